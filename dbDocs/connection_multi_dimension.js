@@ -3,6 +3,7 @@ import pg from 'pg';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { ensureDocumentsTable, listDocumentsDimensions } from '../scripts/dimensions/documents-tables.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -106,6 +107,7 @@ export async function installPgvectorExtension() {
 
 /**
  * Initialize database schema with multi-dimension support
+ * Applies the migrations afterwards, so existing databases pick up new columns and indexes
  */
 export async function initializeMultiDimensionSchema() {
     try {
@@ -117,13 +119,42 @@ export async function initializeMultiDimensionSchema() {
         client.release();
         
         console.log('✅ Multi-dimension database schema initialized successfully');
-        return true;
+        return await applyMultiDimensionMigrations();
     } catch (error) {
         console.error('❌ Failed to initialize multi-dimension database schema:', error.message);
         return false;
     }
 }
 
+/**
+ * Apply the SQL migrations in migrations/ in file name order
+ * Every migration is idempotent, so they are all run each time
+ */
+export async function applyMultiDimensionMigrations() {
+    try {
+        const migrationsPath = path.join(__dirname, 'migrations');
+        const migrationFiles = (await fs.readdir(migrationsPath))
+            .filter(file => file.endsWith('.sql'))
+            .sort();
+        
+        const client = await getPool().connect();
+        try {
+            for (const file of migrationFiles) {
+                const migrationSql = await fs.readFile(path.join(migrationsPath, file), 'utf8');
+                await client.query(migrationSql);
+                console.log(`✅ Applied migration ${file}`);
+            }
+        } finally {
+            client.release();
+        }
+        
+        return true;
+    } catch (error) {
+        console.error('❌ Failed to apply multi-dimension database migrations:', error.message);
+        return false;
+    }
+}
+
 /**
  * Initialize database schema
  */
@@ -144,17 +175,35 @@ export async function initializeSchema() {
     }
 }
 
+/**
+ * Create the documents table of an embedding dimension (e.g. a Matryoshka truncation) if needed
+ */
+export async function ensureMultiDimensionTable(dimension) {
+    const created = await ensureDocumentsTable(getPool(), dimension);
+    if (created) {
+        console.log(`✅ Created table documents_${dimension}`);
+    }
+    return created;
+}
+
+/**
+ * Get the names of all documents_<dimension> tables
+ */
+export async function getDocumentsTableNames() {
+    const dimensions = await listDocumentsDimensions(getPool());
+    return dimensions.map(dimension => `documents_${dimension}`);
+}
+
 /**
  * Get database statistics for multi-dimension schema
  */
 export async function getMultiDimensionDatabaseStats() {
     try {
+        const documentsTables = await getDocumentsTableNames();
         const client = await getPool().connect();
         
         const queries = [
-            { name: 'documents_1536', query: 'SELECT COUNT(*) as count FROM documents_1536' },
-            { name: 'documents_3072', query: 'SELECT COUNT(*) as count FROM documents_3072' },
-            { name: 'documents_768', query: 'SELECT COUNT(*) as count FROM documents_768' },
+            ...documentsTables.map(name => ({ name, query: `SELECT COUNT(*) as count FROM ${name}` })),
             { name: 'benchmark_results', query: 'SELECT COUNT(*) as count FROM benchmark_results' },
             { name: 'test_queries', query: 'SELECT COUNT(*) as count FROM test_queries' },
             { name: 'performance_metrics', query: 'SELECT COUNT(*) as count FROM performance_metrics' }
@@ -171,24 +220,15 @@ export async function getMultiDimensionDatabaseStats() {
         }
         
         // Calculate total documents
-        stats.documents = (stats.documents_1536 || 0) + (stats.documents_3072 || 0) + (stats.documents_768 || 0);
+        stats.documents = documentsTables.reduce((sum, name) => sum + (stats[name] || 0), 0);
         
         // Get available models for each dimension
         try {
-            const modelsQuery = `
-                SELECT 'documents_1536' as table_name, embedding_model, content_type, COUNT(*) as count
-                FROM documents_1536
-                GROUP BY embedding_model, content_type
-                UNION ALL
-                SELECT 'documents_3072' as table_name, embedding_model, content_type, COUNT(*) as count
-                FROM documents_3072
+            const modelsQuery = documentsTables.map(name => `
+                SELECT '${name}' as table_name, embedding_model, content_type, COUNT(*) as count
+                FROM ${name}
                 GROUP BY embedding_model, content_type
-                UNION ALL
-                SELECT 'documents_768' as table_name, embedding_model, content_type, COUNT(*) as count
-                FROM documents_768
-                GROUP BY embedding_model, content_type
-                ORDER BY table_name, embedding_model, content_type
-            `;
+            `).join(' UNION ALL ') + ' ORDER BY table_name, embedding_model, content_type';
             
             const modelsResult = await client.query(modelsQuery);
             stats.availableModels = modelsResult.rows;
@@ -201,11 +241,7 @@ export async function getMultiDimensionDatabaseStats() {
             const librariesQuery = `
                 SELECT xeto_library, COUNT(*) as count
                 FROM (
-                    SELECT xeto_library FROM documents_1536 WHERE xeto_library IS NOT NULL
-                    UNION ALL
-                    SELECT xeto_library FROM documents_3072 WHERE xeto_library IS NOT NULL
-                    UNION ALL
-                    SELECT xeto_library FROM documents_768 WHERE xeto_library IS NOT NULL
+                    ${documentsTables.map(name => `SELECT xeto_library FROM ${name} WHERE xeto_library IS NOT NULL`).join(' UNION ALL ')}
                 ) as all_libraries
                 GROUP BY xeto_library
                 ORDER BY count DESC
@@ -378,11 +414,13 @@ export async function setupDatabase() {
  */
 export async function clearMultiDimensionDatabase() {
     try {
-        await executeQuery('DELETE FROM documents_1536');
-        await executeQuery('DELETE FROM documents_3072');
-        await executeQuery('DELETE FROM documents_768');
+        for (const tableName of await getDocumentsTableNames()) {
+            await executeQuery(`DELETE FROM ${tableName}`);
+        }
         await executeQuery('DELETE FROM benchmark_results');
         await executeQuery('DELETE FROM performance_metrics');
+        await executeQuery('DELETE FROM bm25_term_stats');
+        await executeQuery('DELETE FROM bm25_corpus_stats');
         
         console.log('✅ Multi-dimension database cleared');
         return true;
@@ -2,7 +2,8 @@
  * PostgreSQL + pgvector Multi-Dimension Database Builder
  * 
  * Builds embedding databases directly in PostgreSQL with pgvector for vector similarity search.
- * Supports multiple embedding dimensions (1536, 3072, 768) in separate tables.
+ * Supports multiple embedding dimensions (1536, 3072, 768) in separate tables, plus
+ * Matryoshka truncations of OpenAI embeddings in documents_<dimension> tables created on demand.
  */
 
 import 'dotenv/config';
@@ -11,6 +12,8 @@ import {
     executeQuery, 
     executeTransaction, 
     getMultiDimensionDatabaseStats,
+    ensureMultiDimensionTable,
+    getDocumentsTableNames,
     testConnection,
     checkPgvectorExtension 
 } from './connection_multi_dimension.js';
@@ -20,12 +23,17 @@ import * as jsonAstConverter from '../content-processors/json-ast-converter.js';
 import * as documentationProcessor from '../content-processors/documentation-processor.js';
 import * as openaiEmbeddings from '../embeddings/openai-embeddings.js';
 import * as geminiEmbeddings from '../embeddings/gemini-embeddings.js';
+import { buildSearchText } from '../scripts/strategies/xeto-identifiers.js';
+import { refreshBM25Statistics } from '../scripts/strategies/bm25-statistics.js';
+import { parseEmbeddingModel, formatEmbeddingModel, truncateEmbedding } from '../scripts/dimensions/matryoshka.js';
 import fs from 'fs-extra';
 import path from 'path';
 
 /**
  * Build embedding database in PostgreSQL with pgvector
  * @param {Object} config - Build configuration
+ * @param {Object} config.dimensions - Extra Matryoshka target dimensions per model,
+ *   e.g. { 'text-embedding-3-large': [256, 512, 1024] } (optional)
  * @returns {Object} Build result with statistics
  */
 export async function buildMultiDimensionEmbeddingDatabase(config) {
@@ -36,6 +44,9 @@ export async function buildMultiDimensionEmbeddingDatabase(config) {
     console.log(`Database: PostgreSQL + pgvector (Multi-Dimension)`);
     console.log(`Providers: ${config.providers.join(', ')}`);
     console.log(`Formats: ${config.contentFormats.join(', ')}`);
+    for (const [model, dimensions] of Object.entries(config.dimensions || {})) {
+        console.log(`Truncations: ${model} @ ${dimensions.join(', ')}`);
+    }
     
     try {
         // Step 1: Verify database connection and pgvector
@@ -230,6 +241,12 @@ export async function buildMultiDimensionEmbeddingDatabase(config) {
                 console.log(`\n  Generating ${provider} ${model} embeddings...`);
                 embeddingResults[provider][model] = {};
                 
+                // Truncations are stored under their own model spec in documents_<dimension> tables
+                const truncatedModels = (config.dimensions?.[model] || []).map(dimensions => formatEmbeddingModel(model, dimensions));
+                for (const truncatedModel of truncatedModels) {
+                    await ensureMultiDimensionTable(parseEmbeddingModel(truncatedModel).dimensions);
+                }
+                
                 for (const format of config.contentFormats) {
                     for (const chunkSize of config.chunkSizes) {
                         const content = chunkedContent[format][chunkSize];
@@ -259,6 +276,20 @@ export async function buildMultiDimensionEmbeddingDatabase(config) {
                                 
                                 console.log(`      ✅ Generated and stored ${embeddings.embeddings.length} embeddings`);
                                 
+                                // Matryoshka truncations reuse the full embeddings instead of new API calls
+                                for (const truncatedModel of truncatedModels) {
+                                    const { dimensions } = parseEmbeddingModel(truncatedModel);
+                                    await storeMultiDimensionEmbeddingsInPostgres(
+                                        content,
+                                        embeddings.embeddings.map(embeddingObj => truncateEmbedding(embeddingObj.embedding || embeddingObj, dimensions)),
+                                        provider,
+                                        truncatedModel,
+                                        format,
+                                        chunkSize
+                                    );
+                                    console.log(`      ✅ Stored ${embeddings.embeddings.length} ${truncatedModel} embeddings`);
+                                }
+                                
                                 statistics.totalEmbeddings += embeddings.embeddings.length;
                                 statistics.providerStats[provider].totalEmbeddings += embeddings.embeddings.length;
                                 
@@ -284,8 +315,20 @@ export async function buildMultiDimensionEmbeddingDatabase(config) {
             }
         }
         
-        // Step 6: Generate final statistics
-        console.log('\n📊 Step 6: Generating Statistics');
+        // Step 6: Fill search_text of documents stored before it existed, then refresh BM25 statistics
+        console.log('\n🔤 Step 6: Refreshing Keyword Search Data');
+        
+        for (const tableName of await getDocumentsTableNames()) {
+            const filled = await fillMissingSearchText(tableName);
+            if (filled > 0) {
+                console.log(`   ${tableName}: filled search_text of ${filled} existing documents`);
+            }
+            const corpora = await refreshBM25Statistics(getPool(), tableName);
+            console.log(`   ${tableName}: ${corpora} corpora`);
+        }
+        
+        // Step 7: Generate final statistics
+        console.log('\n📊 Step 7: Generating Statistics');
         
         const finalStats = await getMultiDimensionDatabaseStats();
         statistics.totalItems = finalStats.documents || 0;
@@ -343,7 +386,7 @@ async function generateEmbeddings(texts, provider, model, batchSize) {
 
 /**
  * Store embeddings in PostgreSQL with multi-dimension support
- * Uses different tables based on embedding dimensions
+ * Uses the documents_<dimension> table of the embeddings' length
  */
 async function storeMultiDimensionEmbeddingsInPostgres(contentItems, embeddings, provider, model, format, chunkSize) {
     const queries = [];
@@ -356,17 +399,8 @@ async function storeMultiDimensionEmbeddingsInPostgres(contentItems, embeddings,
         // Determine embedding dimensions
         const dimensions = embedding.length;
         
-        // Select the appropriate table based on dimensions
-        let tableName;
-        if (dimensions === 1536) {
-            tableName = 'documents_1536';
-        } else if (dimensions === 3072) {
-            tableName = 'documents_3072';
-        } else if (dimensions === 768) {
-            tableName = 'documents_768';
-        } else {
-            throw new Error(`Unsupported embedding dimensions: ${dimensions}`);
-        }
+        // Select the appropriate table based on dimensions (created by the schema or ensureMultiDimensionTable)
+        const tableName = `documents_${dimensions}`;
         
         queries.push({
             query: `
@@ -379,8 +413,9 @@ async function storeMultiDimensionEmbeddingsInPostgres(contentItems, embeddings,
                     xeto_spec_name, 
                     xeto_library, 
                     inheritance_path, 
-                    file_path
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                    file_path,
+                    search_text
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
             `,
             params: [
                 item.content,
@@ -397,7 +432,8 @@ async function storeMultiDimensionEmbeddingsInPostgres(contentItems, embeddings,
                 item.metadata.typeName || null,
                 item.metadata.library || null,
                 item.metadata.inherits || null,
-                item.metadata.filePath || null
+                item.metadata.filePath || null,
+                buildSearchText(item.content) // '' when there are no identifiers; NULL marks rows not processed yet
             ]
         });
     }
@@ -406,6 +442,33 @@ async function storeMultiDimensionEmbeddingsInPostgres(contentItems, embeddings,
     await executeTransaction(queries);
 }
 
+/**
+ * Fill search_text for documents stored before the column existed
+ * Migration 001 adds the column as NULL, and the identifier split is only available in
+ * JavaScript, so rows are read, processed and updated in batches.
+ */
+async function fillMissingSearchText(tableName, batchSize = 500) {
+    let filled = 0;
+    
+    while (true) {
+        const { rows } = await executeQuery(
+            `SELECT id, content FROM ${tableName} WHERE search_text IS NULL ORDER BY id LIMIT $1`,
+            [batchSize]
+        );
+        if (rows.length === 0) {
+            return filled;
+        }
+        
+        await executeQuery(`
+            UPDATE ${tableName} d
+            SET search_text = filled.search_text
+            FROM unnest($1::int[], $2::text[]) AS filled(id, search_text)
+            WHERE d.id = filled.id
+        `, [rows.map(row => row.id), rows.map(row => buildSearchText(row.content))]);
+        filled += rows.length;
+    }
+}
+
 /**
  * Create content chunks of specified size
  */
@@ -476,28 +539,20 @@ export async function queryMultiDimensionPostgresDatabase(queryText, provider, m
         category = null
     } = options;
     
-    // Generate query embedding
-    const queryEmbeddingResult = await generateEmbeddings([queryText], provider, model, 1);
+    // Generate query embedding (truncated like the stored embeddings for model@dimensions specs)
+    const { model: baseModel, dimensions: truncatedDimensions } = parseEmbeddingModel(model);
+    const queryEmbeddingResult = await generateEmbeddings([queryText], provider, baseModel, 1);
     if (!queryEmbeddingResult.success || !queryEmbeddingResult.embeddings || queryEmbeddingResult.embeddings.length === 0) {
         throw new Error('Failed to generate query embedding');
     }
     
     const queryEmbeddingObj = queryEmbeddingResult.embeddings[0];
-    const queryEmbedding = queryEmbeddingObj.embedding || queryEmbeddingObj;
+    const fullEmbedding = queryEmbeddingObj.embedding || queryEmbeddingObj;
+    const queryEmbedding = truncatedDimensions ? truncateEmbedding(fullEmbedding, truncatedDimensions) : fullEmbedding;
     
     // Determine dimensions and select appropriate table
     const dimensions = queryEmbedding.length;
-    let tableName;
-    
-    if (dimensions === 1536) {
-        tableName = 'documents_1536';
-    } else if (dimensions === 3072) {
-        tableName = 'documents_3072';
-    } else if (dimensions === 768) {
-        tableName = 'documents_768';
-    } else {
-        throw new Error(`Unsupported embedding dimensions: ${dimensions}`);
-    }
+    const tableName = `documents_${dimensions}`;
     
     // Build SQL query with filters
     let whereClause = 'WHERE embedding_model = $2';
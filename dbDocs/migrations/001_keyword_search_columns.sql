@@ -0,0 +1,46 @@
+-- Keyword search columns and indexes for the documents_* tables
+--
+-- Adds search_text (CamelCase-split identifiers, filled by the database builder) and the
+-- generated tsv / tsv_weighted vectors used by hybrid-search, combined-search and
+-- rrf-search, plus GIN indexes on both vectors. Safe to run more than once; adding the
+-- generated columns to an existing table rewrites it, so expect a pause on large tables.
+
+ALTER TABLE documents_1536 ADD COLUMN IF NOT EXISTS search_text TEXT;
+ALTER TABLE documents_3072 ADD COLUMN IF NOT EXISTS search_text TEXT;
+ALTER TABLE documents_768 ADD COLUMN IF NOT EXISTS search_text TEXT;
+
+ALTER TABLE documents_1536 ADD COLUMN IF NOT EXISTS tsv TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', content || ' ' || coalesce(search_text, ''))) STORED;
+ALTER TABLE documents_3072 ADD COLUMN IF NOT EXISTS tsv TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', content || ' ' || coalesce(search_text, ''))) STORED;
+ALTER TABLE documents_768 ADD COLUMN IF NOT EXISTS tsv TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', content || ' ' || coalesce(search_text, ''))) STORED;
+
+ALTER TABLE documents_1536 ADD COLUMN IF NOT EXISTS tsv_weighted TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(xeto_spec_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(xeto_library, '')), 'B') ||
+        setweight(to_tsvector('english', content || ' ' || coalesce(search_text, '')), 'C')
+    ) STORED;
+ALTER TABLE documents_3072 ADD COLUMN IF NOT EXISTS tsv_weighted TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(xeto_spec_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(xeto_library, '')), 'B') ||
+        setweight(to_tsvector('english', content || ' ' || coalesce(search_text, '')), 'C')
+    ) STORED;
+ALTER TABLE documents_768 ADD COLUMN IF NOT EXISTS tsv_weighted TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(xeto_spec_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(xeto_library, '')), 'B') ||
+        setweight(to_tsvector('english', content || ' ' || coalesce(search_text, '')), 'C')
+    ) STORED;
+
+-- Full-text search indexes
+CREATE INDEX IF NOT EXISTS idx_documents_1536_tsv ON documents_1536 USING GIN (tsv);
+CREATE INDEX IF NOT EXISTS idx_documents_1536_tsv_weighted ON documents_1536 USING GIN (tsv_weighted);
+
+CREATE INDEX IF NOT EXISTS idx_documents_3072_tsv ON documents_3072 USING GIN (tsv);
+CREATE INDEX IF NOT EXISTS idx_documents_3072_tsv_weighted ON documents_3072 USING GIN (tsv_weighted);
+
+CREATE INDEX IF NOT EXISTS idx_documents_768_tsv ON documents_768 USING GIN (tsv);
+CREATE INDEX IF NOT EXISTS idx_documents_768_tsv_weighted ON documents_768 USING GIN (tsv_weighted);
@@ -0,0 +1,30 @@
+-- Relevant document labels for test queries
+--
+-- Adds test_queries.relevant_documents: the Xeto spec names or document keys (file_path)
+-- a good retrieval returns for the query. The benchmark scores retrieved documents against
+-- them (recall@K, precision@K, MRR, nDCG, hit rate). Labels the default test queries whose
+-- answer is a known set of specs; queries without labels get no retrieval metrics. Safe to
+-- run more than once; labels that were already set are left unchanged.
+--
+-- Queries whose answer is an open set of subtypes ("What types inherit from NumberPoint?",
+-- "Show me all sensor types for air temperature") are not labelled: a label of the base
+-- spec alone would reward returning only the base spec and score the subtypes as misses.
+
+ALTER TABLE test_queries ADD COLUMN IF NOT EXISTS relevant_documents TEXT[];
+
+UPDATE test_queries q
+SET relevant_documents = labels.relevant_documents
+FROM (VALUES
+    ('What is Co2Sensor?', ARRAY['Co2Sensor']),
+    ('Show me ZoneAirTempSensor specification', ARRAY['ZoneAirTempSensor']),
+    ('What are the properties of DischargeAirTempSensor?', ARRAY['DischargeAirTempSensor']),
+    ('What is the difference between Co2Point and Co2Sensor?', ARRAY['Co2Point', 'Co2Sensor']),
+    ('How do I measure CO2 in a zone?', ARRAY['ZoneCo2Sensor'])
+) AS labels (query_text, relevant_documents)
+WHERE q.query_text = labels.query_text AND q.relevant_documents IS NULL;
+
+-- Earlier versions labelled the two subtype queries with their base spec only
+UPDATE test_queries
+SET relevant_documents = NULL
+WHERE (query_text = 'What types inherit from NumberPoint?' AND relevant_documents = ARRAY['NumberPoint'])
+   OR (query_text = 'Show me all sensor types for air temperature' AND relevant_documents = ARRAY['AirTempSensor']);
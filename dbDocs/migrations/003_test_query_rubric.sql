@@ -0,0 +1,7 @@
+-- Grading rubrics for test queries
+--
+-- Adds test_queries.rubric: what a complete answer to the query covers, used by the answer
+-- judges (scripts/judges/) to score completeness. Queries without a rubric are graded
+-- against their expected keywords. Safe to run more than once.
+
+ALTER TABLE test_queries ADD COLUMN IF NOT EXISTS rubric TEXT;
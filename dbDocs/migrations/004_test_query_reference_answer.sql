@@ -0,0 +1,8 @@
+-- Reference answers for test queries
+--
+-- Adds test_queries.reference_answer: a model answer to the query. The benchmark scores
+-- each response against it by semantic similarity and token F1, next to keyword matching.
+-- Queries without a reference answer get no reference scores. Reference answers are
+-- authored with scripts/manage-reference-answers.js. Safe to run more than once.
+
+ALTER TABLE test_queries ADD COLUMN IF NOT EXISTS reference_answer TEXT;
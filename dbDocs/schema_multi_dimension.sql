@@ -13,6 +13,13 @@ CREATE TABLE IF NOT EXISTS documents_1536 (
     xeto_library VARCHAR(100), -- e.g., 'ph.points', 'ph.equips'
     inheritance_path TEXT[], -- Array of parent types
     file_path TEXT, -- Original file path
+    search_text TEXT, -- CamelCase-split identifiers and expanded abbreviations for keyword search
+    tsv TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content || ' ' || coalesce(search_text, ''))) STORED, -- Keyword search vector
+    tsv_weighted TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(xeto_spec_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(xeto_library, '')), 'B') ||
+        setweight(to_tsvector('english', content || ' ' || coalesce(search_text, '')), 'C')
+    ) STORED, -- Spec name (A), library (B) and content (C)
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -29,6 +36,13 @@ CREATE TABLE IF NOT EXISTS documents_3072 (
     xeto_library VARCHAR(100),
     inheritance_path TEXT[],
     file_path TEXT,
+    search_text TEXT,
+    tsv TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content || ' ' || coalesce(search_text, ''))) STORED,
+    tsv_weighted TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(xeto_spec_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(xeto_library, '')), 'B') ||
+        setweight(to_tsvector('english', content || ' ' || coalesce(search_text, '')), 'C')
+    ) STORED,
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -45,6 +59,13 @@ CREATE TABLE IF NOT EXISTS documents_768 (
     xeto_library VARCHAR(100),
     inheritance_path TEXT[],
     file_path TEXT,
+    search_text TEXT,
+    tsv TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content || ' ' || coalesce(search_text, ''))) STORED,
+    tsv_weighted TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(xeto_spec_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(xeto_library, '')), 'B') ||
+        setweight(to_tsvector('english', content || ' ' || coalesce(search_text, '')), 'C')
+    ) STORED,
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -71,6 +92,28 @@ CREATE OR REPLACE VIEW documents_view AS
            created_at, updated_at, '768'::text AS dimension_size
     FROM documents_768;
 
+-- BM25 document frequencies per documents_* table, content type and embedding model
+-- (maintained by scripts/strategies/bm25-statistics.js)
+CREATE TABLE IF NOT EXISTS bm25_term_stats (
+    table_name VARCHAR(50) NOT NULL, -- e.g., 'documents_1536'
+    content_type VARCHAR(50) NOT NULL,
+    embedding_model VARCHAR(100) NOT NULL,
+    term TEXT NOT NULL, -- Lexeme from the tsv column
+    doc_freq INTEGER NOT NULL, -- Number of documents containing the term
+    PRIMARY KEY (table_name, content_type, embedding_model, term)
+);
+
+-- BM25 corpus size and average document length for the same corpora
+CREATE TABLE IF NOT EXISTS bm25_corpus_stats (
+    table_name VARCHAR(50) NOT NULL,
+    content_type VARCHAR(50) NOT NULL,
+    embedding_model VARCHAR(100) NOT NULL,
+    doc_count INTEGER NOT NULL,
+    avg_doc_length DOUBLE PRECISION NOT NULL, -- Average number of tsv token positions
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (table_name, content_type, embedding_model)
+);
+
 -- Benchmark results table
 CREATE TABLE IF NOT EXISTS benchmark_results (
     id SERIAL PRIMARY KEY,
@@ -91,6 +134,9 @@ CREATE TABLE IF NOT EXISTS test_queries (
     category VARCHAR(100) NOT NULL, -- 'direct_lookup', 'inheritance', 'functional', etc.
     query_text TEXT NOT NULL,
     expected_keywords TEXT[], -- Keywords that should appear in good responses
+    relevant_documents TEXT[], -- Spec names / document keys (file_path) a good retrieval returns
+    rubric TEXT, -- What a complete answer covers (graded by the answer judges)
+    reference_answer TEXT, -- Model answer that responses are scored against (similarity, token F1)
     difficulty_level INTEGER DEFAULT 1, -- 1-5 scale
     created_at TIMESTAMP DEFAULT NOW()
 );
@@ -125,13 +171,13 @@ CREATE INDEX IF NOT EXISTS idx_documents_768_xeto_spec ON documents_768(xeto_spe
 CREATE INDEX IF NOT EXISTS idx_documents_768_xeto_library ON documents_768(xeto_library);
 CREATE INDEX IF NOT EXISTS idx_documents_768_created_at ON documents_768(created_at);
 
--- Vector similarity search indexes (will be created after data is loaded)
--- CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_documents_1536_embedding_cosine 
--- ON documents_1536 USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
--- CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_documents_3072_embedding_cosine 
--- ON documents_3072 USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
--- CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_documents_768_embedding_cosine 
--- ON documents_768 USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
+-- Full-text search (GIN) indexes on tsv/tsv_weighted are created by migrations/001_keyword_search_columns.sql,
+-- which also adds the keyword search columns to tables created before they existed
+
+-- Vector similarity search (HNSW/IVFFlat) indexes are created after data is loaded with
+-- scripts/manage-indexes.js; pgvector cannot index the full vectors of documents_3072 (over
+-- 2000 dimensions), so its indexes go on coarse forms (halfvec, prefix, binary) that
+-- manage-indexes.js adds as generated columns
 
 -- Benchmark results indexes
 CREATE INDEX IF NOT EXISTS idx_benchmark_results_test_run ON benchmark_results(test_run_id);
@@ -172,3 +218,6 @@ INSERT INTO test_queries (category, query_text, expected_keywords, difficulty_le
 ('troubleshooting', 'Show me all pressure measurement types for ductwork', ARRAY['pressure', 'measurement', 'ductwork', 'sensor'], 2),
 ('troubleshooting', 'What temperature sensors can I use to verify economizer operation?', ARRAY['temperature', 'sensor', 'economizer', 'operation'], 3)
 ON CONFLICT DO NOTHING;
+
+-- Relevant documents of the default test queries are labelled by migrations/002_test_query_relevance.sql
+-- The default test queries are also in datasets/default.jsonl (see scripts/manage-test-queries.js)
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Database Build CLI
+ *
+ * This script runs the multi-dimension database builder: it parses the Xeto sources,
+ * embeds every content format with each provider's embedding models and stores the
+ * results in the documents_<dimension> tables. --dimensions adds Matryoshka truncations
+ * of the models that support shortening, stored in their own documents_<n> tables.
+ */
+
+import { buildMultiDimensionEmbeddingDatabase } from '../dbDocs/database-builder-multi-dimension.js';
+import { closePool } from '../dbDocs/connection_multi_dimension.js';
+import { getNativeDimensions } from './dimensions/matryoshka.js';
+import { parseArgs } from 'node:util';
+import 'dotenv/config';
+import chalk from 'chalk';
+
+// Embedding models built for each provider
+const PROVIDER_MODELS = {
+  openai: [process.env.OPENAI_EMBEDDING_SMALL, process.env.OPENAI_EMBEDDING_LARGE].filter(Boolean),
+  gemini: [process.env.GEMINI_EMBEDDING_STABLE].filter(Boolean)
+};
+
+// Content formats the builder can produce
+const CONTENT_FORMATS = ['xeto', 'markdown', 'json', 'documentation'];
+
+// Parse command line arguments
+const options = {
+  'xeto-path': {
+    type: 'string',
+    default: process.env.XETO_PATH
+  },
+  'doc-path': {
+    type: 'string',
+    default: process.env.DOC_PATH
+  },
+  provider: {
+    type: 'string',
+    short: 'p',
+    multiple: true,
+    default: []
+  },
+  format: {
+    type: 'string',
+    short: 'f',
+    multiple: true,
+    default: []
+  },
+  'chunk-size': {
+    type: 'string',
+    multiple: true,
+    default: []
+  },
+  'batch-size': {
+    type: 'string',
+    default: '100'
+  },
+  dimensions: {
+    type: 'string',
+    multiple: true,
+    default: []
+  },
+  help: {
+    type: 'boolean',
+    short: 'h',
+    default: false
+  }
+};
+
+const { values } = parseArgs({ options });
+
+if (values.help) {
+  showHelp();
+  process.exit(0);
+}
+
+if (!values['xeto-path']) {
+  console.error(chalk.bold.red('❌ Error: --xeto-path (or XETO_PATH) is required'));
+  process.exit(1);
+}
+
+const providers = values.provider.length > 0 ? values.provider : Object.keys(PROVIDER_MODELS);
+for (const provider of providers) {
+  if (!PROVIDER_MODELS[provider]) {
+    console.error(chalk.bold.red(`❌ Error: --provider must be one of ${Object.keys(PROVIDER_MODELS).join(', ')}, got '${provider}'`));
+    process.exit(1);
+  }
+}
+
+const contentFormats = values.format.length > 0 ? values.format : ['xeto', 'markdown', 'documentation'];
+for (const format of contentFormats) {
+  if (!CONTENT_FORMATS.includes(format)) {
+    console.error(chalk.bold.red(`❌ Error: --format must be one of ${CONTENT_FORMATS.join(', ')}, got '${format}'`));
+    process.exit(1);
+  }
+}
+
+const models = Object.fromEntries(providers.map(provider => [provider, PROVIDER_MODELS[provider]]));
+
+const config = {
+  xetoPath: values['xeto-path'],
+  docPath: values['doc-path'],
+  providers,
+  models,
+  contentFormats,
+  chunkSizes: parsePositiveIntegers('chunk-size', values['chunk-size'].length > 0 ? values['chunk-size'] : ['1000']),
+  batchSize: parsePositiveIntegers('batch-size', [values['batch-size']])[0],
+  dimensions: buildDimensions(Object.values(models).flat(), parsePositiveIntegers('dimensions', values.dimensions))
+};
+
+let result = { success: false };
+try {
+  result = await buildMultiDimensionEmbeddingDatabase(config);
+} finally {
+  await closePool();
+}
+
+process.exit(result.success ? 0 : 1);
+
+/**
+ * Parse the values of a repeatable positive integer option
+ */
+function parsePositiveIntegers(flag, flagValues) {
+  return flagValues.map(value => {
+    const number = parseInt(value, 10);
+    if (!/^\d+$/.test(value) || number < 1) {
+      console.error(chalk.bold.red(`❌ Error: --${flag} must be a positive integer, got '${value}'`));
+      process.exit(1);
+    }
+    return number;
+  });
+}
+
+/**
+ * Build the builder's Matryoshka target dimensions per model
+ * Sizes at or above a model's native dimensions are skipped for that model
+ */
+function buildDimensions(modelNames, dimensions) {
+  const targets = {};
+
+  for (const model of modelNames) {
+    const nativeDimensions = getNativeDimensions(model);
+    if (!nativeDimensions || dimensions.length === 0) continue;
+
+    const accepted = dimensions.filter(dimension => dimension < nativeDimensions);
+    for (const dimension of dimensions.filter(dimension => dimension > nativeDimensions)) {
+      console.log(chalk.gray(`  - Skipped ${model}@${dimension}: ${model} has ${nativeDimensions} dimensions`));
+    }
+    if (accepted.length > 0) {
+      targets[model] = [...new Set(accepted)];
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(chalk.bold.green(`
+🏗️  Database Build
+
+${chalk.white('Usage:')}
+  ${chalk.yellow('node build-database.js')} ${chalk.gray('[options]')}
+
+${chalk.white('Options:')}
+  ${chalk.cyan('--xeto-path')} ${chalk.gray('<dir>')}       Directory of Xeto sources (default: XETO_PATH)
+  ${chalk.cyan('--doc-path')} ${chalk.gray('<dir>')}        Directory of documentation files for the documentation format (default: DOC_PATH)
+  ${chalk.cyan('-p, --provider')} ${chalk.gray('<name>')}   Embedding provider: ${Object.keys(PROVIDER_MODELS).join(', ')} (can be specified multiple times; default: all)
+  ${chalk.cyan('-f, --format')} ${chalk.gray('<format>')}   Content format: ${CONTENT_FORMATS.join(', ')} (can be specified multiple times; default: xeto, markdown, documentation)
+  ${chalk.cyan('--chunk-size')} ${chalk.gray('<chars>')}    Chunk size in characters (can be specified multiple times; default: 1000)
+  ${chalk.cyan('--batch-size')} ${chalk.gray('<n>')}        Texts per embedding request (default: 100)
+  ${chalk.cyan('--dimensions')} ${chalk.gray('<n>')}        Also store text-embedding-3-small / text-embedding-3-large truncated to n dimensions
+                          in documents_<n> (can be specified multiple times; skipped for models with n or fewer dimensions)
+  ${chalk.cyan('-h, --help')}              Show this help message
+
+${chalk.white('Examples:')}
+  ${chalk.gray('# Build OpenAI embeddings with 256- and 512-dimension truncations')}
+  ${chalk.yellow('node build-database.js --xeto-path ../xeto/src --provider openai --dimensions 256 --dimensions 512')}
+
+  ${chalk.gray('# Benchmark the truncations')}
+  ${chalk.yellow('node run-benchmark.js --embedding text-embedding-3-large --dimensions 256 --dimensions 512')}
+`));
+}
@@ -0,0 +1,163 @@
+/**
+ * Parent-Document ("Small-to-Big") Context Assembly for RAG
+ *
+ * Small chunks match queries precisely but give the LLM only a fragment of a spec.
+ * This module keeps the matched chunks as anchors and replaces each one with a passage
+ * reassembled from its neighbouring chunks of the same source item: same file_path,
+ * xeto_spec_name, content type, embedding model and chunk size. createChunks() records
+ * chunkIndex, chunkStart and chunkEnd in metadata, so the overlap between consecutive
+ * chunks is removed when they are joined.
+ *
+ * Passages grow outwards from the matched chunk, one neighbour per side at a time, until
+ * the window is exhausted or the next chunk would exceed the token budget shared by the
+ * whole context.
+ */
+
+// Default token budget for the assembled context
+export const DEFAULT_PARENT_TOKEN_BUDGET = 2000;
+
+/**
+ * Fetch the sibling chunks of matched documents
+ * @param {Object} pool - PostgreSQL pool (or anything with query(sql, params))
+ * @param {Number} dimension - Embedding dimension (selects the documents_<dimension> table)
+ * @param {Array} ids - Matched document IDs
+ * @returns {Map} Matched document ID -> sibling rows ordered by chunkIndex (including the match)
+ */
+export async function fetchSiblingChunks(pool, dimension, ids) {
+  if (ids.length === 0) return new Map();
+
+  const tableName = `documents_${dimension}`;
+
+  // Rows without a file path or spec name have no identifiable source item
+  const result = await pool.query(
+    `SELECT
+       m.id AS matched_id,
+       d.id,
+       d.content,
+       d.metadata
+     FROM ${tableName} m
+     JOIN ${tableName} d ON
+       d.content_type = m.content_type AND
+       d.embedding_model = m.embedding_model AND
+       d.file_path IS NOT DISTINCT FROM m.file_path AND
+       d.xeto_spec_name IS NOT DISTINCT FROM m.xeto_spec_name AND
+       d.metadata->'chunkSize' IS NOT DISTINCT FROM m.metadata->'chunkSize' AND
+       (m.file_path IS NOT NULL OR m.xeto_spec_name IS NOT NULL OR d.id = m.id)
+     WHERE m.id = ANY($1)
+     ORDER BY m.id, COALESCE((d.metadata->>'chunkIndex')::int, 0), d.id`,
+    [ids]
+  );
+
+  const siblings = new Map();
+  for (const row of result.rows) {
+    if (!siblings.has(row.matched_id)) siblings.set(row.matched_id, []);
+    siblings.get(row.matched_id).push(row);
+  }
+
+  return siblings;
+}
+
+/**
+ * Replace matched chunks with passages reassembled from their sibling chunks
+ * @param {Array} results - Search results, best first
+ * @param {Map} siblings - Matched document ID -> sibling rows (see fetchSiblingChunks)
+ * @param {Object} options - Assembly options
+ * @param {Number} options.window - Neighbouring chunks to add on each side (default: the whole item)
+ * @param {Number} options.tokenBudget - Token budget for all passages (default: 2000)
+ * @param {Function} options.countTokens - Token counter (default: 4 characters per token)
+ * @returns {Array} Results with reassembled `content` and `scores.parentChunks` / `scores.parentTotalChunks`
+ * @throws {Error} If the window or token budget is invalid
+ */
+export function assembleParentDocuments(results, siblings, options = {}) {
+  const {
+    window = null,
+    tokenBudget = DEFAULT_PARENT_TOKEN_BUDGET,
+    countTokens = text => Math.ceil(text.length / 4)
+  } = options;
+
+  if (window !== null && (!Number.isInteger(window) || window < 0)) {
+    throw new Error(`Parent-document window must be a non-negative integer, got ${window}`);
+  }
+  if (!Number.isFinite(tokenBudget) || tokenBudget <= 0) {
+    throw new Error(`Parent-document token budget must be positive, got ${tokenBudget}`);
+  }
+
+  const assembled = [];
+  const includedIds = new Set();
+  let usedTokens = 0;
+
+  for (const result of results) {
+    // Already part of an earlier passage
+    if (includedIds.has(result.id)) continue;
+
+    const chunks = siblings.get(result.id) || [{ id: result.id, content: result.content, metadata: result.metadata }];
+    const anchor = Math.max(0, chunks.findIndex(chunk => chunk.id === result.id));
+    const lowest = window === null ? 0 : Math.max(0, anchor - window);
+    const highest = window === null ? chunks.length - 1 : Math.min(chunks.length - 1, anchor + window);
+
+    const fits = (low, high) => usedTokens + countTokens(joinChunks(chunks.slice(low, high + 1))) <= tokenBudget;
+
+    // The best result is always kept, even when its chunk alone exceeds the budget
+    if (assembled.length > 0 && !fits(anchor, anchor)) continue;
+
+    let low = anchor;
+    let high = anchor;
+    let growLow = true;
+    let growHigh = true;
+
+    while (growLow || growHigh) {
+      if (growLow) {
+        const next = low - 1;
+        growLow = next >= lowest && !includedIds.has(chunks[next].id) && fits(next, high);
+        if (growLow) low = next;
+      }
+      if (growHigh) {
+        const next = high + 1;
+        growHigh = next <= highest && !includedIds.has(chunks[next].id) && fits(low, next);
+        if (growHigh) high = next;
+      }
+    }
+
+    const passage = chunks.slice(low, high + 1);
+    const content = joinChunks(passage);
+    passage.forEach(chunk => includedIds.add(chunk.id));
+    usedTokens += countTokens(content);
+
+    assembled.push({
+      ...result,
+      content,
+      scores: {
+        ...result.scores,
+        parentChunks: passage.length,
+        parentTotalChunks: chunks.length
+      }
+    });
+  }
+
+  return assembled;
+}
+
+/**
+ * Join consecutive chunks, dropping the overlap recorded by chunkStart/chunkEnd
+ * @param {Array} chunks - Consecutive chunk rows ordered by chunkIndex
+ * @returns {String} Joined text
+ */
+function joinChunks(chunks) {
+  let text = '';
+  let previousEnd = null;
+
+  for (const chunk of chunks) {
+    const start = chunk.metadata?.chunkStart;
+    const overlap = previousEnd !== null && Number.isInteger(start) ? Math.max(0, previousEnd - start) : 0;
+    text += chunk.content.slice(overlap);
+    previousEnd = chunk.metadata?.chunkEnd ?? null;
+  }
+
+  return text;
+}
+
+export default {
+  DEFAULT_PARENT_TOKEN_BUDGET,
+  fetchSiblingChunks,
+  assembleParentDocuments
+};
@@ -0,0 +1,420 @@
+/**
+ * Test Query Datasets
+ *
+ * Test queries normally live in the test_queries table. This module reads and writes them
+ * as dataset files, so query sets can be versioned, shared, imported into the database, or
+ * benchmarked directly from the file:
+ *
+ * - JSONL: one JSON object per line, with arrays as JSON arrays
+ * - CSV: a header row naming the fields, with array items separated by '|'
+ *
+ * Every query is validated (category, text and at least one expected keyword are required,
+ * difficulty is an integer from 1 to 5) and queries whose text repeats an earlier one
+ * (ignoring case and whitespace) are dropped.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Supported dataset file formats (also their file extensions)
+export const DATASET_FORMATS = ['jsonl', 'csv'];
+
+// Test query fields stored in a dataset, in column order
+export const DATASET_FIELDS = ['category', 'query_text', 'expected_keywords', 'difficulty_level', 'relevant_documents', 'rubric', 'reference_answer'];
+
+// Directory searched for datasets given by name (e.g. 'default' for datasets/default.jsonl)
+export const DATASETS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'datasets');
+
+// Fields holding arrays, and the separator of their items in CSV cells
+const ARRAY_FIELDS = ['expected_keywords', 'relevant_documents'];
+const CSV_ARRAY_SEPARATOR = '|';
+
+/**
+ * Find the file of a dataset given by path or by name
+ * @param {String} dataset - Path of a dataset file, or the name of a file in DATASETS_DIR
+ * @returns {String} Path of the dataset file
+ * @throws {Error} If no file matches
+ */
+export async function resolveDatasetPath(dataset) {
+  const candidates = [
+    dataset,
+    ...DATASET_FORMATS.map(format => path.join(DATASETS_DIR, `${dataset}.${format}`))
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      if ((await fs.stat(candidate)).isFile()) return candidate;
+    } catch (error) {
+      // Not there, try the next candidate
+    }
+  }
+
+  throw new Error(`Dataset '${dataset}' not found (looked for the file and for ${DATASET_FORMATS.map(format => `${dataset}.${format}`).join(' or ')} in ${DATASETS_DIR})`);
+}
+
+/**
+ * Get the format of a dataset file from its extension
+ * @param {String} file - Dataset file path
+ * @returns {String} 'jsonl' or 'csv'
+ * @throws {Error} If the extension is not a dataset format
+ */
+export function getDatasetFormat(file) {
+  const format = path.extname(file).slice(1).toLowerCase();
+  if (!DATASET_FORMATS.includes(format)) {
+    throw new Error(`Cannot tell the dataset format of '${file}': use a .${DATASET_FORMATS.join(' or .')} file`);
+  }
+  return format;
+}
+
+/**
+ * Read, validate and de-duplicate a dataset file
+ * @param {String} dataset - Path of a dataset file, or the name of a file in DATASETS_DIR
+ * @returns {Object} { file, queries, duplicates } where each query has an id of the form
+ *   '<file name>:<line>' and duplicates lists the dropped repeated query texts
+ * @throws {Error} If the file is missing, cannot be parsed, or has invalid queries (all
+ *   problems are listed in the message)
+ */
+export async function readDataset(dataset) {
+  const file = await resolveDatasetPath(dataset);
+  const text = await fs.readFile(file, 'utf8');
+  const records = getDatasetFormat(file) === 'csv' ? parseCsv(text) : parseJsonl(text);
+
+  const errors = [];
+  const queries = [];
+  for (const { line, entry, error } of records) {
+    const problems = error ? [error] : validateTestQuery(entry);
+    if (problems.length > 0) {
+      errors.push(...problems.map(problem => `line ${line}: ${problem}`));
+      continue;
+    }
+    queries.push({ id: `${path.basename(file)}:${line}`, ...normalizeTestQuery(entry) });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid dataset ${file}:\n  ${errors.join('\n  ')}`);
+  }
+  if (queries.length === 0) {
+    throw new Error(`Dataset ${file} has no test queries`);
+  }
+
+  const { unique, duplicates } = deduplicateTestQueries(queries);
+  return { file, queries: unique, duplicates };
+}
+
+/**
+ * Write test queries to a dataset file
+ * @param {String} file - Dataset file path (.jsonl or .csv)
+ * @param {Array} queries - Test queries
+ * @returns {Number} Number of queries written
+ */
+export async function writeDataset(file, queries) {
+  await fs.writeFile(file, serializeDataset(queries, getDatasetFormat(file)));
+  return queries.length;
+}
+
+/**
+ * Serialize test queries in a dataset format
+ * @param {Array} queries - Test queries
+ * @param {String} format - 'jsonl' or 'csv'
+ * @returns {String} Dataset text
+ */
+export function serializeDataset(queries, format) {
+  if (format === 'csv') {
+    const rows = queries.map(query => DATASET_FIELDS.map(field => {
+      const value = query[field];
+      if (value === null || value === undefined) return '';
+      return formatCsvCell(ARRAY_FIELDS.includes(field) ? value.join(CSV_ARRAY_SEPARATOR) : String(value));
+    }).join(','));
+    return [DATASET_FIELDS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  return queries
+    .map(query => JSON.stringify(Object.fromEntries(DATASET_FIELDS.map(field => [field, query[field] ?? null]))))
+    .join('\n') + '\n';
+}
+
+/**
+ * Check a test query entry
+ * @param {Object} entry - Test query fields
+ * @returns {Array} Problems found (empty when the entry is valid)
+ */
+export function validateTestQuery(entry) {
+  if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+    return ['expected an object of test query fields'];
+  }
+
+  const problems = [];
+  const unknown = Object.keys(entry).filter(field => !DATASET_FIELDS.includes(field) && field !== 'id');
+  if (unknown.length > 0) {
+    problems.push(`unknown fields ${unknown.join(', ')} (expected ${DATASET_FIELDS.join(', ')})`);
+  }
+
+  for (const field of ['category', 'query_text']) {
+    if (typeof entry[field] !== 'string' || !entry[field].trim()) {
+      problems.push(`${field} is required`);
+    }
+  }
+  if (typeof entry.category === 'string' && entry.category.trim().length > 100) {
+    problems.push('category must be at most 100 characters');
+  }
+
+  if (!isStringArray(entry.expected_keywords) || entry.expected_keywords.filter(keyword => keyword.trim()).length === 0) {
+    problems.push('expected_keywords must be a non-empty list of keywords');
+  }
+  if (entry.relevant_documents != null && !isStringArray(entry.relevant_documents)) {
+    problems.push('relevant_documents must be a list of spec names or document keys');
+  }
+
+  if (entry.difficulty_level != null && entry.difficulty_level !== '') {
+    const difficulty = Number(entry.difficulty_level);
+    if (!Number.isInteger(difficulty) || difficulty < 1 || difficulty > 5) {
+      problems.push(`difficulty_level must be an integer from 1 to 5, got '${entry.difficulty_level}'`);
+    }
+  }
+
+  for (const field of ['rubric', 'reference_answer']) {
+    if (entry[field] != null && typeof entry[field] !== 'string') {
+      problems.push(`${field} must be text`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Drop test queries whose text repeats an earlier query
+ * @param {Array} queries - Test queries
+ * @returns {Object} { unique, duplicates } where duplicates are the dropped query texts
+ */
+export function deduplicateTestQueries(queries) {
+  const seen = new Set();
+  const unique = [];
+  const duplicates = [];
+
+  for (const query of queries) {
+    const key = getQueryKey(query.query_text);
+    if (seen.has(key)) {
+      duplicates.push(query.query_text);
+      continue;
+    }
+    seen.add(key);
+    unique.push(query);
+  }
+
+  return { unique, duplicates };
+}
+
+/**
+ * Key that identifies repeated query texts (case and whitespace are ignored)
+ * @param {String} queryText - Query text
+ * @returns {String} Key
+ */
+export function getQueryKey(queryText) {
+  return queryText.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Read the test queries of the database
+ * @param {Object} pool - pg Pool
+ * @param {Object} options - Export options
+ * @param {Array} options.categories - Only export these categories (default: all)
+ * @returns {Array} Test queries, ordered by id
+ */
+export async function exportTestQueries(pool, { categories = [] } = {}) {
+  const result = await pool.query(
+    `SELECT ${DATASET_FIELDS.join(', ')} FROM test_queries
+     WHERE cardinality($1::text[]) = 0 OR category = ANY($1::text[])
+     ORDER BY id`,
+    [categories]
+  );
+  return result.rows;
+}
+
+/**
+ * Import test queries into the database in one transaction
+ * @param {Object} pool - pg Pool
+ * @param {Array} queries - Validated test queries (see readDataset)
+ * @param {Object} options - Import options
+ * @param {Boolean} options.update - Update queries whose text is already in the database
+ *   instead of skipping them (default: false)
+ * @returns {Object} { inserted, updated, skipped }
+ */
+export async function importTestQueries(pool, queries, { update = false } = {}) {
+  const counts = { inserted: 0, updated: 0, skipped: 0 };
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT id, query_text FROM test_queries');
+    const existingIds = new Map(existing.rows.map(row => [getQueryKey(row.query_text), row.id]));
+
+    for (const query of queries) {
+      const values = DATASET_FIELDS.map(field => query[field] ?? null);
+      const existingId = existingIds.get(getQueryKey(query.query_text));
+
+      if (existingId === undefined) {
+        const inserted = await client.query(
+          `INSERT INTO test_queries (${DATASET_FIELDS.join(', ')})
+           VALUES (${DATASET_FIELDS.map((field, index) => `$${index + 1}`).join(', ')})
+           RETURNING id`,
+          values
+        );
+        existingIds.set(getQueryKey(query.query_text), inserted.rows[0].id);
+        counts.inserted++;
+      } else if (update) {
+        await client.query(
+          `UPDATE test_queries SET ${DATASET_FIELDS.map((field, index) => `${field} = $${index + 2}`).join(', ')}
+           WHERE id = $1`,
+          [existingId, ...values]
+        );
+        counts.updated++;
+      } else {
+        counts.skipped++;
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return counts;
+}
+
+/**
+ * Normalize a valid test query entry (trimmed text, CSV strings converted, defaults applied)
+ */
+function normalizeTestQuery(entry) {
+  const trimList = list => list.map(item => item.trim()).filter(Boolean);
+  const optionalText = value => typeof value === 'string' && value.trim() ? value.trim() : null;
+
+  return {
+    category: entry.category.trim(),
+    query_text: entry.query_text.trim().replace(/\s+/g, ' '),
+    expected_keywords: trimList(entry.expected_keywords),
+    difficulty_level: entry.difficulty_level != null && entry.difficulty_level !== '' ? Number(entry.difficulty_level) : 1,
+    relevant_documents: entry.relevant_documents ? trimList(entry.relevant_documents) : null,
+    rubric: optionalText(entry.rubric),
+    reference_answer: optionalText(entry.reference_answer)
+  };
+}
+
+/**
+ * Parse JSONL text into entries
+ * @returns {Array} { line, entry } or { line, error } per non-empty line
+ */
+function parseJsonl(text) {
+  return text.split(/\r?\n/)
+    .map((content, index) => ({ line: index + 1, content }))
+    .filter(({ content }) => content.trim())
+    .map(({ line, content }) => {
+      try {
+        return { line, entry: JSON.parse(content) };
+      } catch (error) {
+        return { line, error: `invalid JSON (${error.message})` };
+      }
+    });
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into entries, using the header row as field names
+ * @returns {Array} { line, entry } or { line, error } per data row
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  const [header, ...dataRows] = rows.filter(({ cells }) => cells.some(value => value.trim()));
+  if (!header) return [];
+
+  const fields = header.cells.map(field => field.trim());
+  return dataRows.map(({ line: dataLine, cells }) => {
+    if (cells.length !== fields.length) {
+      return { line: dataLine, error: `expected ${fields.length} columns, got ${cells.length}` };
+    }
+
+    const entry = {};
+    fields.forEach((field, index) => {
+      const value = cells[index];
+      if (ARRAY_FIELDS.includes(field)) {
+        entry[field] = value.trim() ? value.split(CSV_ARRAY_SEPARATOR) : (field === 'expected_keywords' ? [] : null);
+      } else {
+        entry[field] = value === '' ? null : value;
+      }
+    });
+    return { line: dataLine, entry };
+  });
+}
+
+/**
+ * Quote a CSV cell when it contains a separator, quote or line break
+ */
+function formatCsvCell(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Check that a value is an array of strings
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+export default {
+  DATASET_FORMATS,
+  DATASET_FIELDS,
+  DATASETS_DIR,
+  resolveDatasetPath,
+  getDatasetFormat,
+  readDataset,
+  writeDataset,
+  serializeDataset,
+  validateTestQuery,
+  deduplicateTestQueries,
+  getQueryKey,
+  exportTestQueries,
+  importTestQueries
+};
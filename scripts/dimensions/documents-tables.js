@@ -0,0 +1,96 @@
+/**
+ * documents_<dimension> Tables
+ *
+ * schema_multi_dimension.sql creates the tables of the native embedding dimensions
+ * (1536, 3072, 768). Tables for other dimensions, such as Matryoshka truncations, are
+ * created on demand with the same columns and indexes, and the benchmark, index and
+ * statistics tools find every table through listDocumentsDimensions().
+ */
+
+// pgvector's maximum vector dimensions
+export const MAX_VECTOR_DIMENSIONS = 16000;
+
+/**
+ * Build the DDL of a documents table and its indexes
+ * @param {Number} dimension - Embedding dimension
+ * @returns {String} CREATE TABLE / CREATE INDEX statements (all IF NOT EXISTS)
+ * @throws {Error} If the dimension is not a valid vector size
+ */
+export function documentsTableSql(dimension) {
+  if (!Number.isInteger(dimension) || dimension < 1 || dimension > MAX_VECTOR_DIMENSIONS) {
+    throw new Error(`Invalid embedding dimension: ${dimension} (expected an integer from 1 to ${MAX_VECTOR_DIMENSIONS})`);
+  }
+
+  const tableName = `documents_${dimension}`;
+  return `
+    CREATE TABLE IF NOT EXISTS ${tableName} (
+      id SERIAL PRIMARY KEY,
+      content TEXT NOT NULL,
+      content_type VARCHAR(50) NOT NULL,
+      embedding_model VARCHAR(100) NOT NULL,
+      embedding VECTOR(${dimension}),
+      metadata JSONB DEFAULT '{}',
+      xeto_spec_name VARCHAR(255),
+      xeto_library VARCHAR(100),
+      inheritance_path TEXT[],
+      file_path TEXT,
+      search_text TEXT,
+      tsv TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content || ' ' || coalesce(search_text, ''))) STORED,
+      tsv_weighted TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(xeto_spec_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(xeto_library, '')), 'B') ||
+        setweight(to_tsvector('english', content || ' ' || coalesce(search_text, '')), 'C')
+      ) STORED,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_${tableName}_content_type ON ${tableName}(content_type);
+    CREATE INDEX IF NOT EXISTS idx_${tableName}_embedding_model ON ${tableName}(embedding_model);
+    CREATE INDEX IF NOT EXISTS idx_${tableName}_xeto_spec ON ${tableName}(xeto_spec_name);
+    CREATE INDEX IF NOT EXISTS idx_${tableName}_xeto_library ON ${tableName}(xeto_library);
+    CREATE INDEX IF NOT EXISTS idx_${tableName}_created_at ON ${tableName}(created_at);
+    CREATE INDEX IF NOT EXISTS idx_${tableName}_tsv ON ${tableName} USING GIN (tsv);
+    CREATE INDEX IF NOT EXISTS idx_${tableName}_tsv_weighted ON ${tableName} USING GIN (tsv_weighted);
+  `;
+}
+
+/**
+ * Create the documents table of a dimension if it does not exist
+ * @param {Object} pool - pg Pool (or client)
+ * @param {Number} dimension - Embedding dimension
+ * @returns {Boolean} True when the table was created, false when it already existed
+ */
+export async function ensureDocumentsTable(pool, dimension) {
+  const sql = documentsTableSql(dimension);
+  const existing = await listDocumentsDimensions(pool);
+  if (existing.includes(dimension)) return false;
+
+  await pool.query(sql);
+  return true;
+}
+
+/**
+ * List the dimensions of the existing documents tables
+ * @param {Object} pool - pg Pool (or client)
+ * @returns {Array} Dimensions, in descending order (e.g. [3072, 1536, 768, 256])
+ */
+export async function listDocumentsDimensions(pool) {
+  const result = await pool.query(`
+    SELECT c.relname
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE c.relkind = 'r' AND c.relname ~ '^documents_[0-9]+$' AND n.nspname = current_schema()
+  `);
+
+  return result.rows
+    .map(row => parseInt(row.relname.slice('documents_'.length), 10))
+    .sort((a, b) => b - a);
+}
+
+export default {
+  MAX_VECTOR_DIMENSIONS,
+  documentsTableSql,
+  ensureDocumentsTable,
+  listDocumentsDimensions
+};
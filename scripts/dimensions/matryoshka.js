@@ -0,0 +1,96 @@
+/**
+ * Matryoshka Dimension Truncation for OpenAI Embeddings
+ *
+ * text-embedding-3 models are trained so that a prefix of an embedding is itself a
+ * usable embedding. The API's `dimensions` parameter returns such a prefix, rescaled to
+ * unit length; truncateEmbedding() does the same to a full embedding locally, so one
+ * embedding run can fill tables of several target dimensions.
+ *
+ * A truncated model is written as `<model>@<dimensions>` (e.g. text-embedding-3-large@256).
+ * The spec is used everywhere a model name is: on the command line, in the
+ * documents_<dimensions> table's embedding_model column (openai_text-embedding-3-large@256)
+ * and in benchmark results, so truncations never mix with the native embeddings.
+ */
+
+// Models that support shortening, with their native dimensions
+export const MATRYOSHKA_MODELS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072
+};
+
+/**
+ * Split an embedding model spec into the model and its target dimensions
+ * @param {String} spec - Model name, optionally with a target dimension (e.g. text-embedding-3-large@256)
+ * @returns {Object} { model, dimensions } where dimensions is null for native embeddings
+ * @throws {Error} If the target dimension is invalid or the model does not support shortening
+ */
+export function parseEmbeddingModel(spec) {
+  const separator = spec.lastIndexOf('@');
+  if (separator === -1) return { model: spec, dimensions: null };
+
+  const model = spec.slice(0, separator);
+  const value = spec.slice(separator + 1);
+  const dimensions = Number(value);
+
+  const nativeDimensions = getNativeDimensions(model);
+  if (!nativeDimensions) {
+    throw new Error(`${model} does not support shortening (supported: ${Object.keys(MATRYOSHKA_MODELS).join(', ')})`);
+  }
+  if (!/^\d+$/.test(value) || dimensions < 1 || dimensions > nativeDimensions) {
+    throw new Error(`Invalid dimensions for ${model}: '${value}' (expected an integer from 1 to ${nativeDimensions})`);
+  }
+
+  return { model, dimensions };
+}
+
+/**
+ * Build the spec of a truncated embedding model
+ * @param {String} model - Model name (e.g. text-embedding-3-large)
+ * @param {Number} dimensions - Target dimensions
+ * @returns {String} Model spec (e.g. text-embedding-3-large@256); validated by parseEmbeddingModel
+ */
+export function formatEmbeddingModel(model, dimensions) {
+  const spec = `${model}@${dimensions}`;
+  parseEmbeddingModel(spec);
+  return spec;
+}
+
+/**
+ * Get the native dimensions of a model that supports shortening
+ * @param {String} model - Model name (provider-prefixed names like openai_text-embedding-3-large also match)
+ * @returns {Number|null} Native dimensions, or null when the model cannot be shortened
+ */
+export function getNativeDimensions(model) {
+  const name = Object.keys(MATRYOSHKA_MODELS).find(candidate => model.endsWith(candidate));
+  return name ? MATRYOSHKA_MODELS[name] : null;
+}
+
+/**
+ * Truncate an embedding to its first dimensions and rescale it to unit length
+ * @param {Array} embedding - Full embedding vector
+ * @param {Number} dimensions - Target dimensions
+ * @returns {Array} Truncated, L2-normalized embedding
+ */
+export function truncateEmbedding(embedding, dimensions) {
+  const prefix = embedding.slice(0, dimensions);
+  const norm = Math.sqrt(prefix.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? prefix.map(value => value / norm) : prefix;
+}
+
+/**
+ * Estimate the storage of one pgvector `vector` value
+ * @param {Number} dimensions - Vector dimensions
+ * @returns {Number} Bytes per vector (4 bytes per dimension plus an 8-byte header)
+ */
+export function getVectorStorageBytes(dimensions) {
+  return 4 * dimensions + 8;
+}
+
+export default {
+  MATRYOSHKA_MODELS,
+  parseEmbeddingModel,
+  formatEmbeddingModel,
+  getNativeDimensions,
+  truncateEmbedding,
+  getVectorStorageBytes
+};
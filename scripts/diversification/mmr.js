@@ -0,0 +1,120 @@
+/**
+ * Maximal Marginal Relevance (MMR) Diversification for RAG
+ *
+ * Small chunk sizes leave many overlapping chunks of the same spec in the documents_*
+ * tables, so a plain top-K often contains near-duplicates. MMR re-selects the context
+ * from an over-fetched candidate list, trading relevance to the query against
+ * similarity to the documents already selected:
+ *
+ * mmr(d) = lambda * sim(query, d) - (1 - lambda) * max over selected s of sim(d, s)
+ *
+ * lambda = 1 is pure relevance, lambda = 0 is pure diversity.
+ */
+
+// Default balance between relevance and diversity
+export const DEFAULT_MMR_LAMBDA = 0.5;
+
+/**
+ * Fetch stored embeddings for candidate documents
+ * @param {Object} pool - PostgreSQL pool (or anything with query(sql, params))
+ * @param {Number} dimension - Embedding dimension (selects the documents_<dimension> table)
+ * @param {Array} ids - Document IDs
+ * @returns {Map} Document ID -> embedding array
+ */
+export async function fetchEmbeddings(pool, dimension, ids) {
+  if (ids.length === 0) return new Map();
+
+  const result = await pool.query(
+    `SELECT id, embedding::text AS embedding FROM documents_${dimension} WHERE id = ANY($1)`,
+    [ids]
+  );
+
+  return new Map(result.rows.map(row => [row.id, JSON.parse(row.embedding)]));
+}
+
+/**
+ * Select a diverse top-K from candidates with Maximal Marginal Relevance
+ * @param {Array} queryEmbedding - Query embedding vector
+ * @param {Array} candidates - Search results, best first
+ * @param {Map} embeddings - Document ID -> embedding array
+ * @param {Number} topK - Number of results to select
+ * @param {Number} lambda - Relevance/diversity balance between 0 and 1 (default: 0.5)
+ * @returns {Array} Selected results with `scores.mmrScore`
+ * @throws {Error} If lambda is outside [0, 1]
+ */
+export function selectWithMMR(queryEmbedding, candidates, embeddings, topK, lambda = DEFAULT_MMR_LAMBDA) {
+  if (!Number.isFinite(lambda) || lambda < 0 || lambda > 1) {
+    throw new Error(`MMR lambda must be between 0 and 1, got ${lambda}`);
+  }
+
+  // Candidates without a stored embedding cannot be compared; keep them after the rest
+  const comparable = candidates.filter(candidate => embeddings.has(candidate.id));
+  const incomparable = candidates.filter(candidate => !embeddings.has(candidate.id));
+
+  const relevance = new Map(
+    comparable.map(candidate => [candidate.id, cosineSimilarity(queryEmbedding, embeddings.get(candidate.id))])
+  );
+
+  const selected = [];
+  const remaining = [...comparable];
+
+  while (selected.length < topK && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    for (let i = 0; i < remaining.length; i++) {
+      const candidate = remaining[i];
+      const candidateEmbedding = embeddings.get(candidate.id);
+
+      const redundancy = selected.length === 0
+        ? 0
+        : Math.max(...selected.map(s => cosineSimilarity(candidateEmbedding, embeddings.get(s.result.id))));
+
+      const score = lambda * relevance.get(candidate.id) - (1 - lambda) * redundancy;
+
+      // Strict comparison keeps the retrieval order for ties
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = i;
+      }
+    }
+
+    const [chosen] = remaining.splice(bestIndex, 1);
+    selected.push({ result: chosen, score: bestScore });
+  }
+
+  const results = selected.map(({ result, score }) => ({
+    ...result,
+    scores: { ...result.scores, mmrScore: score }
+  }));
+
+  return [...results, ...incomparable].slice(0, topK);
+}
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array} a - First vector
+ * @param {Array} b - Second vector
+ * @returns {Number} Cosine similarity (0 if either vector is all zeros)
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+export default {
+  DEFAULT_MMR_LAMBDA,
+  fetchEmbeddings,
+  selectWithMMR,
+  cosineSimilarity
+};
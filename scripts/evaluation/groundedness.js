@@ -0,0 +1,226 @@
+/**
+ * Groundedness Checking of Generated Answers
+ *
+ * The answering prompt asks the LLM to use only the retrieved context; this module checks
+ * whether it did. An answer is split into claims (its sentences and list items), and each
+ * claim is compared with every retrieved chunk: a claim is supported when enough of its
+ * terms appear in one chunk. In 'llm' mode, the claims lexical overlap did not support are
+ * sent to a chat model, which decides whether the context supports them after all (lexical
+ * overlap misses paraphrases). Unsupported claims count as hallucinations.
+ */
+
+import { tokenize } from '../text/tokenize.js';
+
+// Groundedness check modes: lexical overlap only, or overlap plus LLM verification
+export const GROUNDEDNESS_MODES = ['lexical', 'llm'];
+
+// Share of a claim's terms that one chunk must contain to support it
+export const DEFAULT_SUPPORT_THRESHOLD = 0.6;
+
+// Claims with fewer terms (headings, "In summary:") are not checked
+const MIN_CLAIM_TERMS = 3;
+
+// Characters of the retrieved context shown to the verifying model
+const MAX_CONTEXT_CHARS = 6000;
+
+/**
+ * Split an answer into checkable claims
+ * @param {String} answer - Generated answer
+ * @returns {Array} Claim texts, without list markers and emphasis
+ */
+export function splitClaims(answer) {
+  return (answer || '')
+    .split(/\n+|(?<=[.!?])\s+(?=[A-Z0-9*`"'(])/)
+    .map(text => text
+      .replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '')
+      .replace(/[*_`#]+/g, '')
+      .trim())
+    .filter(text => claimTerms(text).length >= MIN_CLAIM_TERMS);
+}
+
+/**
+ * Check the claims of an answer against the retrieved chunks
+ * @param {String} answer - Generated answer
+ * @param {Array} chunks - Contents of the retrieved documents the answer was generated from
+ * @param {Object} config - Check configuration
+ * @param {String} config.mode - 'lexical' or 'llm' (default: 'lexical')
+ * @param {Number} config.threshold - Share of claim terms one chunk must contain (default: 0.6)
+ * @param {Function} config.complete - async (prompt, model, options) => reply text ('llm' mode)
+ * @param {String} config.model - Chat model verifying claims ('llm' mode)
+ * @returns {Object} { claims, unsupportedClaims, hallucinationRate, usage } where each claim is
+ *   { text, overlap, chunkIndex, supported, verifiedBy }, hallucinationRate is null when the answer
+ *   has no claims, and usage is null unless a model was asked
+ * @throws {Error} If the mode is unknown, or 'llm' mode lacks a completion function or model
+ */
+export async function checkGroundedness(answer, chunks, config = {}) {
+  const { mode = 'lexical', threshold = DEFAULT_SUPPORT_THRESHOLD, complete, model } = config;
+
+  if (!GROUNDEDNESS_MODES.includes(mode)) {
+    throw new Error(`Unknown groundedness mode '${mode}'. Available modes: ${GROUNDEDNESS_MODES.join(', ')}`);
+  }
+  if (mode === 'llm' && typeof complete !== 'function') {
+    throw new Error('LLM groundedness verification requires a completion function');
+  }
+  if (mode === 'llm' && !model) {
+    throw new Error('LLM groundedness verification requires a model');
+  }
+
+  const chunkTerms = chunks.map(chunk => new Set(claimTerms(chunk)));
+  const claims = splitClaims(answer).map(text => {
+    const { overlap, chunkIndex } = bestOverlap(claimTerms(text), chunkTerms);
+    return { text, overlap, chunkIndex, supported: overlap >= threshold, verifiedBy: 'lexical' };
+  });
+
+  let usage = null;
+  const uncertainClaims = claims.filter(claim => !claim.supported);
+  if (mode === 'llm' && uncertainClaims.length > 0) {
+    const prompt = buildVerificationPrompt(uncertainClaims, chunks);
+    const reply = await complete(prompt, model, {
+      temperature: 0,
+      maxTokens: 20 + uncertainClaims.length * 8
+    });
+    usage = { model, inputText: prompt, outputText: reply || '' };
+
+    const verdicts = parseVerdicts(reply, uncertainClaims.length);
+    uncertainClaims.forEach((claim, index) => {
+      // Claims without a verdict keep the lexical result
+      if (verdicts[index] === null) return;
+      claim.supported = verdicts[index];
+      claim.verifiedBy = 'llm';
+    });
+  }
+
+  const unsupportedClaims = claims.filter(claim => !claim.supported).length;
+  return {
+    claims,
+    unsupportedClaims,
+    hallucinationRate: claims.length > 0 ? unsupportedClaims / claims.length : null,
+    usage
+  };
+}
+
+/**
+ * Summarize the hallucination rate of checked results
+ * @param {Array} results - Benchmark results with claimCount and unsupportedClaims in result.metrics
+ * @returns {Object|null} { checkedAnswers, claims, unsupportedClaims, hallucinationRate,
+ *   answersWithHallucinations }, or null when no result was checked; the rate is over all claims
+ */
+export function summarizeGroundedness(results) {
+  const checked = results.filter(result => typeof result.metrics?.hallucinationRate === 'number');
+  if (checked.length === 0) return null;
+
+  const claims = checked.reduce((sum, result) => sum + result.metrics.claimCount, 0);
+  const unsupportedClaims = checked.reduce((sum, result) => sum + result.metrics.unsupportedClaims, 0);
+
+  return {
+    checkedAnswers: checked.length,
+    claims,
+    unsupportedClaims,
+    hallucinationRate: unsupportedClaims / claims,
+    answersWithHallucinations: checked.filter(result => result.metrics.unsupportedClaims > 0).length
+  };
+}
+
+/**
+ * Summarize the hallucination rate of each configuration
+ * (search strategy + LLM + embedding model + content type)
+ * @param {Array} results - Benchmark results
+ * @returns {Array} { configuration, ...summarizeGroundedness() } rows of checked configurations,
+ *   lowest hallucination rate first
+ */
+export function summarizeGroundednessByConfiguration(results) {
+  const groups = new Map();
+
+  for (const result of results) {
+    const configuration = `${result.search_strategy || 'vector-search'} + ${result.llm_model} + ${result.embedding_model} + ${result.content_type}`;
+    if (!groups.has(configuration)) groups.set(configuration, []);
+    groups.get(configuration).push(result);
+  }
+
+  return [...groups.entries()]
+    .map(([configuration, group]) => ({ configuration, summary: summarizeGroundedness(group) }))
+    .filter(({ summary }) => summary)
+    .map(({ configuration, summary }) => ({ configuration, ...summary }))
+    .sort((a, b) => a.hallucinationRate - b.hallucinationRate);
+}
+
+/**
+ * Find the chunk that contains the largest share of a claim's terms
+ * @param {Array} terms - Claim terms
+ * @param {Array} chunkTerms - Term set of each chunk
+ * @returns {Object} { overlap, chunkIndex } with chunkIndex null when no chunk shares a term
+ */
+function bestOverlap(terms, chunkTerms) {
+  let best = { overlap: 0, chunkIndex: null };
+
+  chunkTerms.forEach((found, chunkIndex) => {
+    const overlap = terms.filter(term => found.has(term)).length / terms.length;
+    if (overlap > best.overlap) best = { overlap, chunkIndex };
+  });
+
+  return best;
+}
+
+/**
+ * Build the prompt asking a model which claims the context supports
+ * @param {Array} claims - Claims to verify
+ * @param {Array} chunks - Retrieved chunk contents
+ * @returns {String} Prompt
+ */
+function buildVerificationPrompt(claims, chunks) {
+  const statements = claims.map((claim, index) => `[${index + 1}] ${claim.text}`).join('\n');
+
+  return `
+You are checking whether statements about building automation systems, HVAC, and the Xeto specification language are supported by a context.
+A statement is supported only if the context states or directly implies it; general knowledge does not count.
+
+Context:
+${chunks.join('\n\n').slice(0, MAX_CONTEXT_CHARS)}
+
+Statements:
+${statements}
+
+Reply with only a JSON array of ${claims.length} booleans, true for each supported statement, in the order given.
+`;
+}
+
+/**
+ * Parse support verdicts from the model reply
+ * @param {String} reply - Model reply
+ * @param {Number} count - Number of claims
+ * @returns {Array} One verdict per claim (null where the reply had none)
+ */
+function parseVerdicts(reply, count) {
+  const verdicts = new Array(count).fill(null);
+  const match = (reply || '').match(/\[[^\]]*\]/);
+  if (!match) return verdicts;
+
+  try {
+    const parsed = JSON.parse(match[0]);
+    for (let i = 0; i < count && i < parsed.length; i++) {
+      if (typeof parsed[i] === 'boolean') verdicts[i] = parsed[i];
+    }
+  } catch (error) {
+    // Unparseable reply: keep the lexical results
+  }
+
+  return verdicts;
+}
+
+/**
+ * Split text into terms, folding plurals so "sensors" supports "sensor"
+ * @param {String} text - Text to split
+ * @returns {Array} Unique terms
+ */
+function claimTerms(text) {
+  return tokenize(text, { foldPlurals: true });
+}
+
+export default {
+  GROUNDEDNESS_MODES,
+  DEFAULT_SUPPORT_THRESHOLD,
+  splitClaims,
+  checkGroundedness,
+  summarizeGroundedness,
+  summarizeGroundednessByConfiguration
+};
@@ -0,0 +1,220 @@
+/**
+ * Reference Answer Scoring
+ *
+ * Keyword matching only checks that expected terms occur in a response. When a test query
+ * has a reference answer (test_queries.reference_answer), the response is also compared
+ * with it as a whole:
+ *
+ * - semantic similarity: cosine similarity of the response and reference embeddings, which
+ *   credits paraphrases
+ * - token F1: harmonic mean of the share of response tokens found in the reference
+ *   (precision) and the share of reference tokens found in the response (recall), counting
+ *   repeated tokens as often as they occur in both, which penalizes padding and omissions
+ *
+ * Queries without a reference answer get null scores and are left out of the averages.
+ * This module also reads and writes the reference answers of test queries.
+ */
+
+import { cosineSimilarity } from '../diversification/mmr.js';
+import { splitWords } from '../text/tokenize.js';
+
+// Reference answer scores recorded per result, in display order
+export const REFERENCE_METRICS = ['semanticSimilarity', 'tokenF1', 'tokenPrecision', 'tokenRecall'];
+
+// Words ignored by token F1 (as in SQuAD-style answer evaluation)
+const IGNORED_TOKENS = ['a', 'an', 'the'];
+
+/**
+ * Score a response against the reference answer of its query
+ * @param {String} response - Generated answer
+ * @param {String} reference - Reference answer (null or empty when the query has none)
+ * @param {Object} config - Scoring configuration
+ * @param {Function} config.embed - async (text) => embedding vector, for semantic similarity
+ * @returns {Object} { semanticSimilarity, tokenF1, tokenPrecision, tokenRecall }, all null
+ *   when there is no reference answer
+ */
+export async function scoreReferenceAnswer(response, reference, config = {}) {
+  if (!reference || !reference.trim()) {
+    return Object.fromEntries(REFERENCE_METRICS.map(metric => [metric, null]));
+  }
+
+  const { precision, recall, f1 } = tokenF1(response, reference);
+  const [responseEmbedding, referenceEmbedding] = await Promise.all([
+    config.embed(response || ''),
+    config.embed(reference)
+  ]);
+
+  return {
+    semanticSimilarity: cosineSimilarity(responseEmbedding, referenceEmbedding),
+    tokenF1: f1,
+    tokenPrecision: precision,
+    tokenRecall: recall
+  };
+}
+
+/**
+ * Token-level precision, recall and F1 of a response against a reference answer
+ * @param {String} response - Generated answer
+ * @param {String} reference - Reference answer
+ * @returns {Object} { precision, recall, f1 }, all 0 when either side has no tokens
+ */
+export function tokenF1(response, reference) {
+  const responseTokens = tokenize(response);
+  const referenceTokens = tokenize(reference);
+  if (responseTokens.length === 0 || referenceTokens.length === 0) {
+    return { precision: 0, recall: 0, f1: 0 };
+  }
+
+  const remaining = new Map();
+  for (const token of referenceTokens) {
+    remaining.set(token, (remaining.get(token) || 0) + 1);
+  }
+
+  let common = 0;
+  for (const token of responseTokens) {
+    if (remaining.get(token) > 0) {
+      remaining.set(token, remaining.get(token) - 1);
+      common++;
+    }
+  }
+
+  if (common === 0) return { precision: 0, recall: 0, f1: 0 };
+
+  const precision = common / responseTokens.length;
+  const recall = common / referenceTokens.length;
+  return { precision, recall, f1: (2 * precision * recall) / (precision + recall) };
+}
+
+/**
+ * Average the reference answer scores of scored results
+ * @param {Array} results - Benchmark results with reference scores in result.metrics
+ * @returns {Object|null} { scoredAnswers, semanticSimilarity, tokenF1, tokenPrecision, tokenRecall },
+ *   or null when no result had a reference answer
+ */
+export function summarizeReferenceScores(results) {
+  const scored = results.filter(result => typeof result.metrics?.tokenF1 === 'number');
+  if (scored.length === 0) return null;
+
+  const summary = { scoredAnswers: scored.length };
+  for (const metric of REFERENCE_METRICS) {
+    const values = scored.map(result => result.metrics[metric]).filter(value => typeof value === 'number');
+    summary[metric] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  }
+
+  return summary;
+}
+
+/**
+ * Format a reference score summary for console output
+ * @param {Object} summary - Output of summarizeReferenceScores
+ * @returns {String} e.g. "Similarity 0.91, Token F1 0.42 (6 with reference)"
+ */
+export function formatReferenceSummary(summary) {
+  const format = value => typeof value === 'number' ? value.toFixed(2) : '-';
+  return `Similarity ${format(summary.semanticSimilarity)}, Token F1 ${format(summary.tokenF1)} (${summary.scoredAnswers} with reference)`;
+}
+
+/**
+ * List the test queries with their reference answers
+ * @param {Object} pool - pg Pool
+ * @returns {Array} { id, category, query_text, reference_answer } rows, ordered by id
+ */
+export async function listReferenceAnswers(pool) {
+  const result = await pool.query(
+    'SELECT id, category, query_text, reference_answer FROM test_queries ORDER BY id'
+  );
+  return result.rows;
+}
+
+/**
+ * Set (or clear, with null) the reference answer of a test query
+ * @param {Object} pool - pg Pool
+ * @param {Number} queryId - Test query id
+ * @param {String|null} referenceAnswer - Reference answer
+ * @returns {Boolean} Whether the query exists
+ */
+export async function setReferenceAnswer(pool, queryId, referenceAnswer) {
+  const result = await pool.query(
+    'UPDATE test_queries SET reference_answer = $2 WHERE id = $1',
+    [queryId, referenceAnswer]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Import reference answers in one transaction
+ * @param {Object} pool - pg Pool
+ * @param {Array} entries - { id, query_text, reference_answer } entries; a query is matched
+ *   by id when the entry has one, else by its exact query text
+ * @param {Object} options - Import options
+ * @param {Boolean} options.overwrite - Replace reference answers that are already set (default: false)
+ * @returns {Object} { updated, skipped, unmatched } where skipped entries had no answer or
+ *   targeted a query that already has one, and unmatched lists entries matching no query
+ * @throws {Error} If an entry has neither an id nor a query text
+ */
+export async function importReferenceAnswers(pool, entries, { overwrite = false } = {}) {
+  const counts = { updated: 0, skipped: 0, unmatched: [] };
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const entry of entries) {
+      if (entry.id == null && !entry.query_text) {
+        throw new Error(`Reference answer entry needs an id or a query_text: ${JSON.stringify(entry)}`);
+      }
+      if (!entry.reference_answer || !entry.reference_answer.trim()) {
+        counts.skipped++;
+        continue;
+      }
+
+      const match = entry.id != null ? 'id = $1' : 'query_text = $1';
+      const existing = await client.query(
+        `SELECT id, reference_answer FROM test_queries WHERE ${match}`,
+        [entry.id != null ? entry.id : entry.query_text]
+      );
+      if (existing.rows.length === 0) {
+        counts.unmatched.push(entry.id != null ? `#${entry.id}` : entry.query_text);
+        continue;
+      }
+
+      for (const row of existing.rows) {
+        if (row.reference_answer && !overwrite) {
+          counts.skipped++;
+          continue;
+        }
+        await client.query('UPDATE test_queries SET reference_answer = $2 WHERE id = $1', [row.id, entry.reference_answer.trim()]);
+        counts.updated++;
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return counts;
+}
+
+/**
+ * Split text into lowercase tokens without punctuation and articles
+ * @param {String} text - Text to split
+ * @returns {Array} Tokens, with repeats
+ */
+function tokenize(text) {
+  return splitWords(text).filter(token => !IGNORED_TOKENS.includes(token));
+}
+
+export default {
+  REFERENCE_METRICS,
+  scoreReferenceAnswer,
+  tokenF1,
+  summarizeReferenceScores,
+  formatReferenceSummary,
+  listReferenceAnswers,
+  setReferenceAnswer,
+  importReferenceAnswers
+};
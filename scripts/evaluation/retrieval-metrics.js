@@ -0,0 +1,119 @@
+/**
+ * Retrieval Quality Metrics
+ *
+ * Scores the documents a strategy retrieved against the relevant documents labelled on
+ * a test query (test_queries.relevant_documents), independently of the LLM answer.
+ * A label is a Xeto spec name (e.g. Co2Sensor) or a document key (a file_path); a
+ * retrieved row is relevant when its xeto_spec_name or file_path equals a label.
+ *
+ * Several chunks can carry the same label, so recall and nDCG credit each label once,
+ * at the rank of its first matching row, while precision counts every relevant row.
+ * Queries without labels get null metrics and are left out of the averages.
+ */
+
+// Retrieval metrics recorded per result, in display order
+export const RETRIEVAL_METRICS = ['hitRate', 'recallAtK', 'precisionAtK', 'mrr', 'ndcg'];
+
+/**
+ * Fetch the keys that relevance labels are matched against
+ * @param {Object} pool - pg Pool
+ * @param {Number} dimension - Embedding dimension (selects the documents_<dimension> table)
+ * @param {Array} ids - Document ids
+ * @returns {Map} Document id -> array of keys (spec name and file path, when set)
+ */
+export async function fetchDocumentKeys(pool, dimension, ids) {
+  if (ids.length === 0) return new Map();
+
+  const result = await pool.query(
+    `SELECT id, xeto_spec_name, file_path FROM documents_${dimension} WHERE id = ANY($1::int[])`,
+    [ids]
+  );
+
+  return new Map(result.rows.map(row => [
+    row.id,
+    [row.xeto_spec_name, row.file_path].filter(Boolean)
+  ]));
+}
+
+/**
+ * Score a ranked list of retrieved documents against the labelled relevant documents
+ * @param {Array} retrievedKeys - Keys of each retrieved document, in rank order (see fetchDocumentKeys)
+ * @param {Array} relevantDocuments - Labelled spec names / document keys (null or empty when unlabelled)
+ * @param {Number} k - Cutoff K (the run's topK)
+ * @returns {Object} { hitRate, recallAtK, precisionAtK, mrr, ndcg }, each from 0 to 1 or null when unlabelled
+ */
+export function scoreRetrieval(retrievedKeys, relevantDocuments, k) {
+  const labels = new Set(relevantDocuments || []);
+  if (labels.size === 0) {
+    return Object.fromEntries(RETRIEVAL_METRICS.map(metric => [metric, null]));
+  }
+
+  const found = new Set();
+  let relevantRows = 0;
+  let firstRelevantRank = null;
+  let dcg = 0;
+
+  retrievedKeys.slice(0, k).forEach((keys, index) => {
+    const matches = keys.filter(key => labels.has(key));
+    if (matches.length === 0) return;
+
+    relevantRows++;
+    firstRelevantRank ??= index + 1;
+
+    // Only the first row of each label gains, so duplicate chunks cannot push nDCG above 1
+    const newLabels = matches.filter(label => !found.has(label));
+    if (newLabels.length > 0) {
+      newLabels.forEach(label => found.add(label));
+      dcg += 1 / Math.log2(index + 2);
+    }
+  });
+
+  let idealDcg = 0;
+  for (let rank = 1; rank <= Math.min(labels.size, k); rank++) {
+    idealDcg += 1 / Math.log2(rank + 1);
+  }
+
+  return {
+    hitRate: firstRelevantRank ? 1 : 0,
+    recallAtK: found.size / labels.size,
+    precisionAtK: relevantRows / k,
+    mrr: firstRelevantRank ? 1 / firstRelevantRank : 0,
+    ndcg: dcg / idealDcg
+  };
+}
+
+/**
+ * Average the retrieval metrics of labelled results
+ * @param {Array} results - Benchmark results with retrieval metrics in result.metrics
+ * @returns {Object|null} { labelledQueries, hitRate, recallAtK, precisionAtK, mrr, ndcg },
+ *   or null when no result was labelled
+ */
+export function summarizeRetrievalMetrics(results) {
+  const labelled = results.filter(result => typeof result.metrics?.recallAtK === 'number');
+  if (labelled.length === 0) return null;
+
+  const summary = { labelledQueries: labelled.length };
+  for (const metric of RETRIEVAL_METRICS) {
+    summary[metric] = labelled.reduce((sum, result) => sum + result.metrics[metric], 0) / labelled.length;
+  }
+  return summary;
+}
+
+/**
+ * Format summarized retrieval metrics for console output
+ * @param {Object} summary - Result of summarizeRetrievalMetrics
+ * @returns {String} e.g. "Recall@K 0.75, Precision@K 0.40, MRR 0.83, nDCG 0.79, Hit Rate 1.00 (4 labelled)"
+ */
+export function formatRetrievalSummary(summary) {
+  return `Recall@K ${summary.recallAtK.toFixed(2)}, Precision@K ${summary.precisionAtK.toFixed(2)}, ` +
+    `MRR ${summary.mrr.toFixed(2)}, nDCG ${summary.ndcg.toFixed(2)}, Hit Rate ${summary.hitRate.toFixed(2)} ` +
+    `(${summary.labelledQueries} labelled)`;
+}
+
+export default {
+  RETRIEVAL_METRICS,
+  fetchDocumentKeys,
+  scoreRetrieval,
+  summarizeRetrievalMetrics,
+  formatRetrievalSummary
+};
@@ -0,0 +1,56 @@
+/**
+ * Hypothetical Document Embeddings (HyDE) for RAG
+ *
+ * Abstract questions ("How do VAV systems connect to air handlers?") embed far from the
+ * Xeto spec text that answers them. HyDE asks a chat model to draft a plausible answer
+ * written like the indexed documents, and retrieval uses the draft's embedding instead
+ * of the question's. The draft may contain mistakes; it only has to look like the
+ * documents that hold the real answer.
+ */
+
+// Writing style of the draft for each content type
+const DRAFT_STYLES = {
+  xeto: 'Xeto spec source (type name, doc comment, inherited types and slots), like a file from a Xeto library',
+  markdown: 'Markdown reference documentation for the relevant Xeto types, with headings and short descriptions',
+  documentation: 'a passage of technical documentation about the relevant Xeto types'
+};
+
+/**
+ * Draft a hypothetical document for a query
+ * @param {String} queryText - Original query text
+ * @param {String} contentType - Content type being searched (selects the draft style)
+ * @param {Object} config - Drafting configuration
+ * @param {Function} config.complete - async (prompt, model, options) => reply text
+ * @param {String} config.model - Chat model used for drafting
+ * @param {Number} config.maxTokens - Maximum draft length in tokens (default: 300)
+ * @returns {Object} { draft, usage: { model, inputText, outputText } }
+ * @throws {Error} If the completion function or model is missing
+ */
+export async function draftHypotheticalDocument(queryText, contentType, config = {}) {
+  const { complete, model, maxTokens = 300 } = config;
+
+  if (typeof complete !== 'function') {
+    throw new Error('HyDE requires a completion function');
+  }
+  if (!model) {
+    throw new Error('HyDE requires a model');
+  }
+
+  const style = DRAFT_STYLES[contentType] || DRAFT_STYLES.documentation;
+  const prompt = `
+You are an expert in building automation systems, HVAC, and the Xeto specification language.
+Write ${style} that answers the question below. Write only the document itself, without any preamble.
+
+Question: ${queryText}
+`;
+
+  const reply = await complete(prompt, model, { temperature: 0.3, maxTokens });
+
+  return {
+    // An empty draft falls back to the question, so retrieval still has something to embed
+    draft: (reply || '').trim() || queryText,
+    usage: { model, inputText: prompt, outputText: reply || '' }
+  };
+}
+
+export default draftHypotheticalDocument;
@@ -0,0 +1,307 @@
+/**
+ * Approximate Nearest Neighbour (ANN) Index Management for pgvector
+ *
+ * Without an ANN index every vector search is a sequential scan over its documents_*
+ * table. This module creates, rebuilds, drops and describes one HNSW or IVFFlat index
+ * on the `embedding` column of a table, using the cosine operator class the strategies'
+ * `<=>` searches need.
+ *
+ * Tables above pgvector's 2000-dimension limit (documents_3072) can instead index a
+ * coarse form of their embeddings (see strategies/coarse-vectors.js). Creating such an
+ * index first adds the form as a generated column, so it is kept in sync with `embedding`.
+ *
+ * Search-time accuracy is set per connection: `ivfflat.probes` (lists scanned per query)
+ * and `hnsw.ef_search` (candidate list size). annSearchConnectionOptions() turns them
+ * into the libpq `options` startup parameter, so every connection of every strategy of a
+ * benchmark run uses the same values.
+ */
+
+import { COARSE_VECTOR_DIMENSIONS, COARSE_VECTOR_FORMS } from '../strategies/coarse-vectors.js';
+
+// Supported index access methods
+export const ANN_INDEX_TYPES = ['hnsw', 'ivfflat'];
+
+// Build parameters of each index type, with pgvector's defaults
+export const DEFAULT_ANN_PARAMS = {
+  hnsw: { m: 16, ef_construction: 64 },
+  ivfflat: { lists: 100 }
+};
+
+// pgvector cannot index vector columns with more dimensions than this
+export const MAX_ANN_DIMENSION = 2000;
+
+// Indexable forms of the embeddings: the full vector, or one of the coarse forms
+export const ANN_INDEX_FORMS = ['full', ...Object.keys(COARSE_VECTOR_FORMS)];
+
+// Operator class of each form (cosine distance, or Hamming distance for bits)
+const FORM_OPERATOR_CLASSES = {
+  full: 'vector_cosine_ops',
+  halfvec: 'halfvec_cosine_ops',
+  prefix: 'vector_cosine_ops',
+  binary: 'bit_hamming_ops'
+};
+
+// Allowed range of each build parameter
+const PARAM_RANGES = {
+  m: [2, 100],
+  ef_construction: [4, 1000],
+  lists: [1, 32768]
+};
+
+/**
+ * Get the name of the ANN index of a documents table
+ * @param {Number} dimension - Embedding dimension (selects the documents_<dimension> table)
+ * @param {String} type - Index type (hnsw or ivfflat)
+ * @param {String} form - Indexed form of the embeddings (default: full)
+ * @returns {String} Index name (e.g. idx_documents_1536_embedding_hnsw, idx_documents_3072_embedding_halfvec_hnsw)
+ */
+export function getAnnIndexName(dimension, type, form = 'full') {
+  return `idx_documents_${dimension}_${getFormColumn(form)}_${type}`;
+}
+
+/**
+ * Get the column that holds a form of the embeddings
+ * @param {String} form - Indexed form (full, halfvec, prefix or binary)
+ * @returns {String} Column name
+ * @throws {Error} If the form is unknown
+ */
+function getFormColumn(form) {
+  if (!ANN_INDEX_FORMS.includes(form)) {
+    throw new Error(`Unknown index form '${form}'. Available forms: ${ANN_INDEX_FORMS.join(', ')}`);
+  }
+  return form === 'full' ? 'embedding' : COARSE_VECTOR_FORMS[form].column;
+}
+
+/**
+ * Validate index build parameters and fill in defaults
+ * @param {String} type - Index type (hnsw or ivfflat)
+ * @param {Object} params - Build parameters (m and ef_construction for hnsw, lists for ivfflat)
+ * @returns {Object} Complete build parameters
+ * @throws {Error} If the type is unknown or a parameter is invalid
+ */
+export function resolveAnnParams(type, params = {}) {
+  if (!ANN_INDEX_TYPES.includes(type)) {
+    throw new Error(`Unknown ANN index type '${type}'. Available types: ${ANN_INDEX_TYPES.join(', ')}`);
+  }
+
+  const resolved = { ...DEFAULT_ANN_PARAMS[type] };
+
+  for (const [name, value] of Object.entries(params)) {
+    if (value === undefined) continue;
+    if (!(name in resolved)) {
+      throw new Error(`Parameter '${name}' does not apply to ${type} indexes`);
+    }
+
+    const [min, max] = PARAM_RANGES[name];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Invalid ${type} ${name}: ${value} (expected an integer from ${min} to ${max})`);
+    }
+    resolved[name] = value;
+  }
+
+  if (type === 'hnsw' && resolved.ef_construction < 2 * resolved.m) {
+    throw new Error(`Invalid hnsw ef_construction: ${resolved.ef_construction} (must be at least 2 x m = ${2 * resolved.m})`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Describe the ANN index on one form of a documents table's embeddings
+ * @param {Object} pool - pg Pool (or client)
+ * @param {Number} dimension - Embedding dimension
+ * @param {String} form - Indexed form (default: full)
+ * @returns {Object|null} { name, type, params, form }, or null when the form has no ANN index
+ */
+export async function describeAnnIndex(pool, dimension, form = 'full') {
+  const indexes = await describeAnnIndexes(pool, dimension);
+  return indexes.find(index => index.form === form) || null;
+}
+
+/**
+ * Describe all ANN indexes of a documents table
+ * @param {Object} pool - pg Pool (or client)
+ * @param {Number} dimension - Embedding dimension
+ * @returns {Array} { name, type, params, form } for each ANN index, ordered by form
+ */
+export async function describeAnnIndexes(pool, dimension) {
+  const result = await pool.query(`
+    SELECT i.relname AS index_name, am.amname AS index_type, i.reloptions, a.attname AS column_name
+    FROM pg_index x
+    JOIN pg_class i ON i.oid = x.indexrelid
+    JOIN pg_class t ON t.oid = x.indrelid
+    JOIN pg_am am ON am.oid = i.relam
+    JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = x.indkey[0]
+    WHERE t.relname = $1 AND am.amname = ANY($2)
+    ORDER BY i.relname
+  `, [`documents_${dimension}`, ANN_INDEX_TYPES]);
+
+  const indexes = [];
+  for (const row of result.rows) {
+    const form = ANN_INDEX_FORMS.find(candidate => getFormColumn(candidate) === row.column_name);
+    if (!form || indexes.some(index => index.form === form)) continue;
+
+    const params = { ...DEFAULT_ANN_PARAMS[row.index_type] };
+    for (const option of row.reloptions || []) {
+      const [name, value] = option.split('=');
+      params[name] = Number(value);
+    }
+
+    indexes.push({ name: row.index_name, type: row.index_type, params, form });
+  }
+
+  return indexes.sort((a, b) => ANN_INDEX_FORMS.indexOf(a.form) - ANN_INDEX_FORMS.indexOf(b.form));
+}
+
+/**
+ * Create the ANN index on one form of a documents table's embeddings
+ *
+ * A coarse form is first added to the table as a generated column (if it is not there yet).
+ * @param {Object} pool - pg Pool (or client)
+ * @param {Number} dimension - Embedding dimension
+ * @param {String} type - Index type (hnsw or ivfflat)
+ * @param {Object} params - Build parameters (see resolveAnnParams)
+ * @param {String} form - Indexed form (default: full)
+ * @returns {Object} { name, type, params, form, buildTime }
+ * @throws {Error} If the form cannot be indexed on this table or already has an ANN index
+ */
+export async function createAnnIndex(pool, dimension, type, params = {}, form = 'full') {
+  const resolved = resolveAnnParams(type, params);
+  const column = getFormColumn(form);
+  const tableName = `documents_${dimension}`;
+
+  if (form === 'full' && dimension > MAX_ANN_DIMENSION) {
+    throw new Error(`${tableName} cannot have an ANN index: pgvector indexes vector columns of up to ${MAX_ANN_DIMENSION} dimensions (index a coarse form instead: ${Object.keys(COARSE_VECTOR_FORMS).join(', ')})`);
+  }
+  if (form !== 'full' && !COARSE_VECTOR_DIMENSIONS.includes(dimension)) {
+    throw new Error(`${tableName} does not store coarse vector forms (only documents_${COARSE_VECTOR_DIMENSIONS.join(', documents_')} do)`);
+  }
+
+  const existing = await describeAnnIndex(pool, dimension, form);
+  if (existing) {
+    throw new Error(`${tableName} already has ${existing.type} index ${existing.name}; rebuild or drop it first`);
+  }
+
+  const name = getAnnIndexName(dimension, type, form);
+  const withClause = Object.entries(resolved).map(([key, value]) => `${key} = ${value}`).join(', ');
+
+  const startTime = Date.now();
+  if (form !== 'full') {
+    const coarse = COARSE_VECTOR_FORMS[form];
+    await pool.query(`
+      ALTER TABLE ${tableName}
+      ADD COLUMN IF NOT EXISTS ${column} ${coarse.columnType(dimension)}
+      GENERATED ALWAYS AS (${coarse.expression(dimension)}) STORED
+    `);
+  }
+  await pool.query(`CREATE INDEX ${name} ON ${tableName} USING ${type} (${column} ${FORM_OPERATOR_CLASSES[form]}) WITH (${withClause})`);
+
+  return { name, type, params: resolved, form, buildTime: Date.now() - startTime };
+}
+
+/**
+ * Rebuild the ANN index on one form of a documents table's embeddings
+ *
+ * Without a new type or parameters the index is rebuilt in place (REINDEX), which
+ * retrains IVFFlat lists on the current rows. Otherwise it is dropped and recreated.
+ * @param {Object} pool - pg Pool
+ * @param {Number} dimension - Embedding dimension
+ * @param {String} type - New index type (default: the current type)
+ * @param {Object} params - New build parameters (default: the current parameters)
+ * @param {String} form - Indexed form (default: full)
+ * @returns {Object} { name, type, params, form, buildTime }
+ * @throws {Error} If the form has no ANN index
+ */
+export async function rebuildAnnIndex(pool, dimension, type = null, params = {}, form = 'full') {
+  const existing = await describeAnnIndex(pool, dimension, form);
+  if (!existing) {
+    throw new Error(`documents_${dimension} has no ${describeForm(form)} ANN index to rebuild`);
+  }
+
+  const changedParams = Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== undefined)
+  );
+  if ((!type || type === existing.type) && Object.keys(changedParams).length === 0) {
+    const startTime = Date.now();
+    await pool.query(`REINDEX INDEX ${existing.name}`);
+    return { ...existing, buildTime: Date.now() - startTime };
+  }
+
+  // Keep current parameters that still apply to the (possibly new) type
+  const newType = type || existing.type;
+  const inherited = newType === existing.type ? existing.params : {};
+  const resolved = resolveAnnParams(newType, { ...inherited, ...changedParams });
+
+  // Drop and create in one transaction, so a failed build keeps the old index
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await dropAnnIndex(client, dimension, form);
+    const created = await createAnnIndex(client, dimension, newType, resolved, form);
+    await client.query('COMMIT');
+    return created;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Drop the ANN index on one form of a documents table's embeddings
+ *
+ * The generated column of a coarse form is kept, so rebuilding does not recompute it.
+ * @param {Object} pool - pg Pool (or client)
+ * @param {Number} dimension - Embedding dimension
+ * @param {String} form - Indexed form (default: full)
+ * @returns {Object|null} The dropped index ({ name, type, params, form }), or null when there was none
+ */
+export async function dropAnnIndex(pool, dimension, form = 'full') {
+  const existing = await describeAnnIndex(pool, dimension, form);
+  if (existing) {
+    await pool.query(`DROP INDEX IF EXISTS ${existing.name}`);
+  }
+  return existing;
+}
+
+/**
+ * Describe an indexed form for messages
+ * @param {String} form - Indexed form
+ * @returns {String} e.g. 'full vector' or 'halfvec'
+ */
+function describeForm(form) {
+  return form === 'full' ? 'full vector' : form;
+}
+
+/**
+ * Build the connection `options` that set ANN search parameters
+ * @param {Object} annSearch - Search parameters
+ * @param {Number} annSearch.probes - ivfflat.probes (IVFFlat lists scanned per query)
+ * @param {Number} annSearch.efSearch - hnsw.ef_search (HNSW candidate list size)
+ * @returns {String|undefined} libpq options string, or undefined when nothing is set
+ */
+export function annSearchConnectionOptions(annSearch) {
+  if (!annSearch) return undefined;
+
+  const settings = [];
+  if (annSearch.probes !== undefined) settings.push(`-c ivfflat.probes=${annSearch.probes}`);
+  if (annSearch.efSearch !== undefined) settings.push(`-c hnsw.ef_search=${annSearch.efSearch}`);
+
+  return settings.length > 0 ? settings.join(' ') : undefined;
+}
+
+export default {
+  ANN_INDEX_TYPES,
+  ANN_INDEX_FORMS,
+  DEFAULT_ANN_PARAMS,
+  MAX_ANN_DIMENSION,
+  getAnnIndexName,
+  resolveAnnParams,
+  describeAnnIndex,
+  describeAnnIndexes,
+  createAnnIndex,
+  rebuildAnnIndex,
+  dropAnnIndex,
+  annSearchConnectionOptions
+};
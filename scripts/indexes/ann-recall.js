@@ -0,0 +1,193 @@
+/**
+ * Exact vs. ANN Recall Measurement
+ *
+ * An ANN index trades result quality for speed. For one query vector, this module runs
+ * the same nearest-neighbour query twice on a documents_* table: once with index scans
+ * disabled through planner settings (the exact top-K) and once through the index with
+ * the run's ivfflat.probes / hnsw.ef_search. recall@K is the share of the exact top-K
+ * that the index also returned. The planner may still choose an exact plan for the
+ * second run (e.g. when the content type and model filters are selective), so the ANN
+ * run's plan is checked and reported as `indexUsed`.
+ *
+ * With a coarse vector form (see strategies/coarse-vectors.js), the second run is the
+ * two-stage search the strategies use: candidates from the coarse form's index, rescored
+ * on the full vectors.
+ *
+ * Settings are applied with set_config(..., true) inside a transaction, so they never
+ * leak into other queries on the pooled connection.
+ */
+
+import { performance } from 'node:perf_hooks';
+import { getStoredEmbeddingModel } from '../strategies/search-request.js';
+import { vectorSearchSource } from '../strategies/coarse-vectors.js';
+
+/**
+ * Measure recall@K of the ANN index for one query vector
+ * @param {Object} pool - pg Pool
+ * @param {Object} params - Measurement parameters
+ * @param {Number} params.dimension - Embedding dimension (selects the documents_<dimension> table)
+ * @param {Array} params.embedding - Query embedding vector
+ * @param {String} params.embeddingModel - Embedding model of the query (scopes the rows)
+ * @param {String} params.contentType - Content type to search
+ * @param {Number} params.topK - Number of neighbours to compare
+ * @param {Object} params.annSearch - ANN search settings ({ probes, efSearch }) or null for server defaults
+ * @param {String} params.indexName - Name of the table's ANN index (omit when there is none)
+ * @param {String} params.coarseVector - Coarse form searched first by the ANN run (omit to search the full vectors)
+ * @param {Number} params.rescoreFactor - Coarse candidates per result (default: 4)
+ * @returns {Object} { exactIds, annIds, recall, exactTime, annTime, indexUsed } with times in ms;
+ *   indexUsed is null without an index name
+ */
+export async function measureAnnRecall(pool, params) {
+  const { dimension, embedding, embeddingModel, contentType, topK, annSearch, indexName, coarseVector, rescoreFactor } = params;
+
+  const tableName = `documents_${dimension}`;
+  const whereSql = 'content_type = $2 AND embedding_model = $3';
+  const buildQuery = source => `
+    SELECT id
+    FROM ${source}
+    WHERE ${whereSql}
+    ORDER BY embedding <=> $1::vector
+    LIMIT $4
+  `;
+  const annSource = vectorSearchSource(tableName, { dimension, options: { coarseVector, rescoreFactor } }, whereSql, '$4');
+  const values = [JSON.stringify(embedding), contentType, getStoredEmbeddingModel(embeddingModel), topK];
+
+  // Sequential scans are turned on explicitly, so the planner always has an exact plan
+  const exactSettings = { enable_indexscan: 'off', enable_seqscan: 'on' };
+  const annSettings = {};
+  if (annSearch?.probes !== undefined) annSettings['ivfflat.probes'] = String(annSearch.probes);
+  if (annSearch?.efSearch !== undefined) annSettings['hnsw.ef_search'] = String(annSearch.efSearch);
+
+  const exact = await timedQuery(pool, buildQuery(tableName), values, exactSettings);
+  const ann = await timedQuery(pool, buildQuery(annSource), values, annSettings, Boolean(indexName));
+
+  return {
+    exactIds: exact.ids,
+    annIds: ann.ids,
+    recall: recallAtK(exact.ids, ann.ids),
+    exactTime: exact.time,
+    annTime: ann.time,
+    indexUsed: indexName ? planUsesIndex(ann.plan, indexName) : null
+  };
+}
+
+/**
+ * Calculate recall@K of a result list against the exact neighbours
+ * @param {Array} exactIds - Ids of the exact top-K
+ * @param {Array} annIds - Ids returned by the index
+ * @returns {Number|null} Share of the exact ids found (null when there are no exact ids)
+ */
+export function recallAtK(exactIds, annIds) {
+  if (exactIds.length === 0) return null;
+
+  const found = new Set(annIds);
+  return exactIds.filter(id => found.has(id)).length / exactIds.length;
+}
+
+/**
+ * Summarize recall and latency per table and embedding model
+ * @param {Array} results - Per-query results with table, embedding_model, ann_index, ann_index_params,
+ *   index_used, recall, exact_time and ann_time
+ * @returns {Array} One row per table and model: { table, embeddingModel, annIndex, annIndexParams,
+ *   queries, indexUsedQueries, meanRecall, minRecall, exactLatency, annLatency } where latencies are
+ *   { mean, p50, p95, max } in ms
+ */
+export function summarizeRecall(results) {
+  const groups = new Map();
+
+  for (const result of results) {
+    const key = `${result.table}:${result.embedding_model}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(result);
+  }
+
+  return [...groups.values()].map(group => {
+    const recalls = group.map(result => result.recall).filter(recall => recall !== null);
+
+    return {
+      table: group[0].table,
+      embeddingModel: group[0].embedding_model,
+      annIndex: group[0].ann_index,
+      annIndexParams: group[0].ann_index_params,
+      queries: group.length,
+      indexUsedQueries: group.filter(result => result.index_used).length,
+      meanRecall: recalls.length > 0 ? recalls.reduce((sum, recall) => sum + recall, 0) / recalls.length : null,
+      minRecall: recalls.length > 0 ? Math.min(...recalls) : null,
+      exactLatency: summarizeLatencies(group.map(result => result.exact_time)),
+      annLatency: summarizeLatencies(group.map(result => result.ann_time))
+    };
+  });
+}
+
+/**
+ * Summarize a latency distribution
+ * @param {Array} times - Latencies in ms
+ * @returns {Object} { mean, p50, p95, max }
+ */
+export function summarizeLatencies(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+
+  return {
+    mean: sorted.reduce((sum, time) => sum + time, 0) / sorted.length,
+    p50: percentile(50),
+    p95: percentile(95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * Check whether a query plan scans a given index
+ * @param {Object} plan - Plan node from EXPLAIN (FORMAT JSON)
+ * @param {String} indexName - Index name
+ * @returns {Boolean} True when any node of the plan uses the index
+ */
+function planUsesIndex(plan, indexName) {
+  if (!plan) return false;
+  if (plan['Index Name'] === indexName) return true;
+  return (plan.Plans || []).some(child => planUsesIndex(child, indexName));
+}
+
+/**
+ * Run a query in its own transaction with local planner/index settings and time it
+ * @param {Object} pool - pg Pool
+ * @param {String} query - SQL returning an id column
+ * @param {Array} values - Query parameters
+ * @param {Object} settings - Setting names and values applied for this query only
+ * @param {Boolean} explain - Also return the plan chosen under these settings
+ * @returns {Object} { ids, time, plan } where plan is null unless explain is set
+ */
+async function timedQuery(pool, query, values, settings, explain = false) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const [name, value] of Object.entries(settings)) {
+      await client.query('SELECT set_config($1, $2, true)', [name, value]);
+    }
+
+    let plan = null;
+    if (explain) {
+      const explained = await client.query(`EXPLAIN (FORMAT JSON) ${query}`, values);
+      plan = explained.rows[0]['QUERY PLAN'][0].Plan;
+    }
+
+    const startTime = performance.now();
+    const result = await client.query(query, values);
+    const time = performance.now() - startTime;
+
+    await client.query('COMMIT');
+    return { ids: result.rows.map(row => row.id), time, plan };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export default {
+  measureAnnRecall,
+  recallAtK,
+  summarizeRecall,
+  summarizeLatencies
+};
@@ -0,0 +1,47 @@
+/**
+ * Answer Grading Criteria
+ *
+ * Criteria, score range and rubric shared by the judges and the benchmark.
+ */
+
+// Graded criteria: faithfulness to the retrieved context, relevance to the question,
+// and completeness against the query's rubric
+export const JUDGE_CRITERIA = ['faithfulness', 'relevance', 'completeness'];
+
+// Score range of every criterion
+export const MIN_JUDGE_SCORE = 1;
+export const MAX_JUDGE_SCORE = 5;
+
+/**
+ * Get the rubric a test query's answer is graded against
+ * @param {Object} query - Test query row
+ * @param {String} query.rubric - Hand-written rubric (optional)
+ * @param {Array} query.expected_keywords - Expected keywords, used when there is no rubric
+ * @returns {String} Rubric text
+ */
+export function getQueryRubric(query) {
+  if (query.rubric) return query.rubric;
+
+  const keywords = query.expected_keywords || [];
+  return keywords.length > 0
+    ? `A complete answer covers: ${keywords.join(', ')}.`
+    : 'A complete answer addresses every part of the question.';
+}
+
+/**
+ * Average the criterion scores of one grading
+ * @param {Object} scores - Score per criterion (null where the judge gave none)
+ * @returns {Number|null} Mean of the given scores, or null when there are none
+ */
+export function getOverallJudgeScore(scores) {
+  const given = JUDGE_CRITERIA.map(criterion => scores[criterion]).filter(score => typeof score === 'number');
+  return given.length > 0 ? given.reduce((sum, score) => sum + score, 0) / given.length : null;
+}
+
+export default {
+  JUDGE_CRITERIA,
+  MIN_JUDGE_SCORE,
+  MAX_JUDGE_SCORE,
+  getQueryRubric,
+  getOverallJudgeScore
+};
@@ -0,0 +1,51 @@
+/**
+ * RAG Answer Judge Factory
+ *
+ * This module provides a factory for the optional grading stage that runs after answer
+ * generation. A judge exposes `grade({ queryText, context, answer, rubric })` and returns
+ * `{ scores, rationales, usage }`: one score from MIN_JUDGE_SCORE to MAX_JUDGE_SCORE (or
+ * null when the judge gave none) and one rationale per criterion of JUDGE_CRITERIA (see
+ * criteria.js), and usage is null or `{ model, inputText, outputText }` so the benchmark
+ * can cost it.
+ */
+
+import { createLLMJudge } from './llm-judge.js';
+import { createStubJudge } from './stub-judge.js';
+
+export { JUDGE_CRITERIA, MIN_JUDGE_SCORE, MAX_JUDGE_SCORE, getQueryRubric, getOverallJudgeScore } from './criteria.js';
+
+// Available judges
+const JUDGES = {
+  'llm': createLLMJudge,
+  'stub': createStubJudge
+};
+
+/**
+ * Create a judge
+ * @param {String} judgeName - Name of the judge to create
+ * @param {Object} config - Judge configuration (e.g. { complete, model } for 'llm')
+ * @returns {Object} Judge instance
+ * @throws {Error} If judge is not found
+ */
+export function createJudge(judgeName, config = {}) {
+  const judgeCreator = JUDGES[judgeName];
+
+  if (!judgeCreator) {
+    throw new Error(`Judge '${judgeName}' not found. Available judges: ${Object.keys(JUDGES).join(', ')}`);
+  }
+
+  return judgeCreator(config);
+}
+
+/**
+ * Get list of available judge names
+ * @returns {Array} List of available judge names
+ */
+export function getAvailableJudges() {
+  return Object.keys(JUDGES);
+}
+
+export default {
+  createJudge,
+  getAvailableJudges
+};
@@ -0,0 +1,130 @@
+/**
+ * LLM Judge for RAG
+ *
+ * This module grades a generated answer by asking a chat model (OpenAI or Gemini,
+ * through the benchmark's completion function) to score it on each criterion and to
+ * justify every score in one sentence. Unlike keyword matching, the judge can credit
+ * paraphrases and penalize padded answers that are not supported by the context.
+ */
+
+import { JUDGE_CRITERIA, MIN_JUDGE_SCORE, MAX_JUDGE_SCORE } from './criteria.js';
+
+// Characters of the retrieved context shown to the model
+const MAX_CONTEXT_CHARS = 6000;
+
+/**
+ * LLMJudge class
+ */
+export class LLMJudge {
+  /**
+   * Constructor
+   * @param {Object} config - Judge configuration
+   * @param {Function} config.complete - async (prompt, model, options) => reply text
+   * @param {String} config.model - Chat model used for grading
+   */
+  constructor(config = {}) {
+    if (typeof config.complete !== 'function') {
+      throw new Error('LLM judge requires a completion function');
+    }
+    if (!config.model) {
+      throw new Error('LLM judge requires a model');
+    }
+
+    this.complete = config.complete;
+    this.model = config.model;
+    this.name = 'llm';
+  }
+
+  /**
+   * Grade an answer
+   * @param {Object} input - Grading input
+   * @param {String} input.queryText - Question
+   * @param {String} input.context - Retrieved context the answer was generated from
+   * @param {String} input.answer - Generated answer
+   * @param {String} input.rubric - What a complete answer covers
+   * @returns {Object} { scores, rationales, usage: { model, inputText, outputText } }
+   */
+  async grade({ queryText, context, answer, rubric }) {
+    const prompt = this.buildPrompt(queryText, context, answer, rubric);
+    const reply = await this.complete(prompt, this.model, {
+      temperature: 0,
+      maxTokens: 400
+    });
+
+    return {
+      ...this.parseGrades(reply),
+      usage: { model: this.model, inputText: prompt, outputText: reply || '' }
+    };
+  }
+
+  /**
+   * Build the grading prompt
+   * @param {String} queryText - Question
+   * @param {String} context - Retrieved context
+   * @param {String} answer - Generated answer
+   * @param {String} rubric - What a complete answer covers
+   * @returns {String} Prompt
+   */
+  buildPrompt(queryText, context, answer, rubric) {
+    return `
+You are grading an answer produced by a retrieval-augmented assistant for building automation systems, HVAC, and the Xeto specification language.
+Score the answer from ${MIN_JUDGE_SCORE} (worst) to ${MAX_JUDGE_SCORE} (best) on each criterion:
+- faithfulness: every claim in the answer is supported by the context (no invented facts)
+- relevance: the answer addresses the question, without padding or unrelated material
+- completeness: the answer covers everything the rubric asks for
+
+Question: ${queryText}
+
+Rubric: ${rubric}
+
+Context:
+${context.slice(0, MAX_CONTEXT_CHARS)}
+
+Answer:
+${answer}
+
+Reply with only a JSON object of the form
+{"faithfulness": {"score": n, "rationale": "one sentence"}, "relevance": {"score": n, "rationale": "one sentence"}, "completeness": {"score": n, "rationale": "one sentence"}}
+`;
+  }
+
+  /**
+   * Parse scores and rationales from the model reply
+   * @param {String} reply - Model reply
+   * @returns {Object} { scores, rationales } with null scores for criteria the reply did not grade
+   */
+  parseGrades(reply) {
+    const scores = Object.fromEntries(JUDGE_CRITERIA.map(criterion => [criterion, null]));
+    const rationales = Object.fromEntries(JUDGE_CRITERIA.map(criterion => [criterion, 'No grade in the judge reply']));
+
+    const match = (reply || '').match(/\{[\s\S]*\}/);
+    if (!match) return { scores, rationales };
+
+    try {
+      const parsed = JSON.parse(match[0]);
+      for (const criterion of JUDGE_CRITERIA) {
+        const grade = parsed[criterion];
+        const score = parseFloat(typeof grade === 'object' && grade !== null ? grade.score : grade);
+        if (!Number.isFinite(score)) continue;
+
+        scores[criterion] = Math.min(MAX_JUDGE_SCORE, Math.max(MIN_JUDGE_SCORE, score));
+        rationales[criterion] = typeof grade?.rationale === 'string' ? grade.rationale : '';
+      }
+    } catch (error) {
+      // Unparseable reply: leave the answer ungraded
+    }
+
+    return { scores, rationales };
+  }
+}
+
+/**
+ * Create a new LLM judge
+ * @param {Object} config - Judge configuration
+ * @returns {LLMJudge} LLM judge instance
+ */
+export function createLLMJudge(config) {
+  return new LLMJudge(config);
+}
+
+export default createLLMJudge;
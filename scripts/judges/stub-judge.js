@@ -0,0 +1,92 @@
+/**
+ * Stub Judge for RAG
+ *
+ * A deterministic, offline judge that grades by term overlap: faithfulness is the share
+ * of answer terms found in the context, relevance the share of question terms found in
+ * the answer, and completeness the share of rubric terms found in the answer. Each share
+ * is mapped linearly onto the score range. It needs no API keys, so it is useful for
+ * testing the grading stage of the benchmark pipeline without spending tokens; its scores
+ * are not a substitute for the llm judge.
+ */
+
+import { MIN_JUDGE_SCORE, MAX_JUDGE_SCORE } from './criteria.js';
+import { tokenize } from '../text/tokenize.js';
+
+// Rubric wording ("A complete answer covers ...") ignored in addition to the common stop words
+const RUBRIC_STOP_WORDS = ['covers', 'complete', 'answer'];
+
+/**
+ * StubJudge class
+ */
+export class StubJudge {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this.name = 'stub';
+  }
+
+  /**
+   * Grade an answer
+   * @param {Object} input - Grading input
+   * @param {String} input.queryText - Question
+   * @param {String} input.context - Retrieved context the answer was generated from
+   * @param {String} input.answer - Generated answer
+   * @param {String} input.rubric - What a complete answer covers
+   * @returns {Object} { scores, rationales, usage: null }
+   */
+  async grade({ queryText, context, answer, rubric }) {
+    const answerTerms = judgeTerms(answer);
+    const contextTerms = new Set(judgeTerms(context));
+    const answerTermSet = new Set(answerTerms);
+
+    const overlaps = {
+      faithfulness: this.overlap(answerTerms, contextTerms, 'answer terms appear in the context'),
+      relevance: this.overlap(judgeTerms(queryText), answerTermSet, 'question terms appear in the answer'),
+      completeness: this.overlap(judgeTerms(rubric), answerTermSet, 'rubric terms appear in the answer')
+    };
+
+    const scores = {};
+    const rationales = {};
+    for (const [criterion, { share, rationale }] of Object.entries(overlaps)) {
+      scores[criterion] = MIN_JUDGE_SCORE + share * (MAX_JUDGE_SCORE - MIN_JUDGE_SCORE);
+      rationales[criterion] = rationale;
+    }
+
+    return { scores, rationales, usage: null };
+  }
+
+  /**
+   * Measure which share of some terms appears in a set of terms
+   * @param {Array} terms - Terms to look for
+   * @param {Set} found - Terms to look in
+   * @param {String} description - Rationale suffix (e.g. 'answer terms appear in the context')
+   * @returns {Object} { share, rationale } where share is 0 when there are no terms
+   */
+  overlap(terms, found, description) {
+    const matched = terms.filter(term => found.has(term)).length;
+    return {
+      share: terms.length > 0 ? matched / terms.length : 0,
+      rationale: `${matched} of ${terms.length} ${description}`
+    };
+  }
+}
+
+/**
+ * Split text into terms, ignoring stop words and rubric wording
+ * @param {String} text - Text to split
+ * @returns {Array} Unique terms
+ */
+function judgeTerms(text) {
+  return tokenize(text, { extraStopWords: RUBRIC_STOP_WORDS });
+}
+
+/**
+ * Create a new stub judge
+ * @returns {StubJudge} Stub judge instance
+ */
+export function createStubJudge() {
+  return new StubJudge();
+}
+
+export default createStubJudge;
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * BM25 Statistics CLI
+ *
+ * This script shows and refreshes the corpus statistics that bm25-search reads
+ * (document frequencies, corpus size and average document length) for each
+ * documents_* table. The database builder refreshes them after a build; run this
+ * after loading or changing documents any other way.
+ */
+
+import { refreshBM25Statistics, listBM25CorpusStatistics } from './strategies/bm25-statistics.js';
+import { listDocumentsDimensions } from './dimensions/documents-tables.js';
+import { parseArgs } from 'node:util';
+import { Pool } from 'pg';
+import 'dotenv/config';
+import chalk from 'chalk';
+
+// Parse command line arguments
+const options = {
+  dimension: {
+    type: 'string',
+    short: 'd',
+    multiple: true,
+    default: []
+  },
+  help: {
+    type: 'boolean',
+    short: 'h',
+    default: false
+  }
+};
+
+const { values, positionals } = parseArgs({ options, allowPositionals: true });
+const command = positionals[0] || 'status';
+
+if (values.help) {
+  showHelp();
+  process.exit(0);
+}
+
+if (!['status', 'refresh'].includes(command)) {
+  console.error(chalk.bold.red(`❌ Error: Unknown command '${command}'`));
+  showHelp();
+  process.exit(1);
+}
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 1,
+  connectionTimeoutMillis: 2000
+});
+
+let failed = false;
+
+try {
+  const dimensions = buildDimensions(values, await listDocumentsDimensions(pool));
+
+  for (const dimension of dimensions) {
+    try {
+      await runCommand(dimension);
+    } catch (error) {
+      failed = true;
+      console.error(chalk.red(`  ✗ documents_${dimension}: ${error.message}`));
+    }
+  }
+} catch (error) {
+  failed = true;
+  console.error(chalk.bold.red(`❌ Error: ${error.message}`));
+} finally {
+  await pool.end();
+}
+
+process.exit(failed ? 1 : 0);
+
+/**
+ * Run the command for one documents table
+ */
+async function runCommand(dimension) {
+  const tableName = `documents_${dimension}`;
+
+  if (command === 'refresh') {
+    const startTime = Date.now();
+    const corpora = await refreshBM25Statistics(pool, tableName);
+    console.log(chalk.green(`  ✓ ${tableName}: refreshed ${corpora} corpora in ${Date.now() - startTime}ms`));
+    return;
+  }
+
+  const corpora = await listBM25CorpusStatistics(pool, tableName);
+  if (corpora.length === 0) {
+    console.log(`  ${chalk.cyan(tableName)}: ${chalk.gray('no BM25 statistics')}`);
+    return;
+  }
+
+  console.log(`  ${chalk.cyan(tableName)}:`);
+  for (const corpus of corpora) {
+    console.log(chalk.white(
+      `    ${corpus.contentType} / ${corpus.embeddingModel}: ${corpus.docCount} documents, ` +
+      `avgdl ${corpus.avgDocLength.toFixed(1)}, updated ${new Date(corpus.updatedAt).toISOString()}`
+    ));
+  }
+}
+
+/**
+ * Build the list of tables to manage from command line values and the existing tables
+ */
+function buildDimensions(values, available) {
+  if (values.dimension.length === 0) return available;
+
+  return values.dimension.map(value => {
+    const dimension = parseInt(value, 10);
+    if (!available.includes(dimension)) {
+      throw new Error(`--dimension must be one of the existing tables (${available.join(', ')}), got '${value}'`);
+    }
+    return dimension;
+  });
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(chalk.bold.green(`
+🔤 BM25 Statistics
+
+${chalk.white('Usage:')}
+  ${chalk.yellow('node manage-bm25-statistics.js')} ${chalk.magenta('<command>')} ${chalk.gray('[options]')}
+
+${chalk.white('Commands:')}
+  ${chalk.magenta('status')}                  Show the corpora with BM25 statistics in each documents table (default)
+  ${chalk.magenta('refresh')}                 Recompute the BM25 statistics of each documents table
+
+${chalk.white('Options:')}
+  ${chalk.cyan('-d, --dimension')} ${chalk.gray('<n>')}     Table to manage, e.g. 1536 for documents_1536 (can be specified multiple times; default: all tables)
+  ${chalk.cyan('-h, --help')}              Show this help message
+
+${chalk.white('Examples:')}
+  ${chalk.gray('# Refresh the statistics after loading documents into documents_1536')}
+  ${chalk.yellow('node manage-bm25-statistics.js refresh --dimension 1536')}
+
+  ${chalk.gray('# Benchmark BM25 against the refreshed statistics')}
+  ${chalk.yellow('node run-benchmark.js --strategy bm25-search --embedding text-embedding-3-small')}
+`));
+}
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * ANN Index Management CLI
+ *
+ * This script creates, rebuilds, drops and lists the HNSW or IVFFlat indexes on the
+ * embedding columns of the documents_* tables, including the coarse vector forms that
+ * make documents_3072 indexable.
+ */
+
+import {
+  ANN_INDEX_TYPES,
+  ANN_INDEX_FORMS,
+  DEFAULT_ANN_PARAMS,
+  MAX_ANN_DIMENSION,
+  describeAnnIndexes,
+  createAnnIndex,
+  rebuildAnnIndex,
+  dropAnnIndex
+} from './indexes/ann-index.js';
+import { COARSE_VECTOR_DIMENSIONS } from './strategies/coarse-vectors.js';
+import { listDocumentsDimensions } from './dimensions/documents-tables.js';
+import { parseArgs } from 'node:util';
+import { Pool } from 'pg';
+import 'dotenv/config';
+import chalk from 'chalk';
+
+// Parse command line arguments
+const options = {
+  dimension: {
+    type: 'string',
+    short: 'd',
+    multiple: true,
+    default: []
+  },
+  type: {
+    type: 'string',
+    short: 't'
+  },
+  form: {
+    type: 'string',
+    short: 'f',
+    default: 'full'
+  },
+  m: {
+    type: 'string'
+  },
+  'ef-construction': {
+    type: 'string'
+  },
+  lists: {
+    type: 'string'
+  },
+  help: {
+    type: 'boolean',
+    short: 'h',
+    default: false
+  }
+};
+
+const { values, positionals } = parseArgs({ options, allowPositionals: true });
+const command = positionals[0] || 'status';
+
+if (values.help) {
+  showHelp();
+  process.exit(0);
+}
+
+if (!['status', 'create', 'rebuild', 'drop'].includes(command)) {
+  console.error(chalk.bold.red(`❌ Error: Unknown command '${command}'`));
+  showHelp();
+  process.exit(1);
+}
+
+if (values.type !== undefined && !ANN_INDEX_TYPES.includes(values.type)) {
+  console.error(chalk.bold.red(`❌ Error: --type must be one of ${ANN_INDEX_TYPES.join(', ')}, got '${values.type}'`));
+  process.exit(1);
+}
+
+if (!ANN_INDEX_FORMS.includes(values.form)) {
+  console.error(chalk.bold.red(`❌ Error: --form must be one of ${ANN_INDEX_FORMS.join(', ')}, got '${values.form}'`));
+  process.exit(1);
+}
+
+const params = buildIndexParams(values);
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 1,
+  connectionTimeoutMillis: 2000
+});
+
+let failed = false;
+
+try {
+  // Includes the tables of Matryoshka truncations created by the database builder
+  const dimensions = buildDimensions(values, await listDocumentsDimensions(pool));
+
+  for (const dimension of dimensions) {
+    try {
+      await runCommand(dimension);
+    } catch (error) {
+      failed = true;
+      console.error(chalk.red(`  ✗ documents_${dimension}: ${error.message}`));
+    }
+  }
+} catch (error) {
+  failed = true;
+  console.error(chalk.bold.red(`❌ Error: ${error.message}`));
+} finally {
+  await pool.end();
+}
+
+process.exit(failed ? 1 : 0);
+
+/**
+ * Run the command for one documents table
+ */
+async function runCommand(dimension) {
+  const tableName = `documents_${dimension}`;
+
+  if (command === 'status') {
+    const indexes = await describeAnnIndexes(pool, dimension);
+    console.log(`  ${chalk.cyan(tableName)}: ${indexes.length > 0
+      ? chalk.white(indexes.map(describeIndex).join('; '))
+      : chalk.gray('no ANN index (exact search)')}`);
+    return;
+  }
+
+  if (command === 'drop') {
+    const dropped = await dropAnnIndex(pool, dimension, values.form);
+    console.log(dropped
+      ? chalk.green(`  ✓ ${tableName}: dropped ${describeIndex(dropped)}`)
+      : chalk.gray(`  - ${tableName}: no ${values.form} ANN index`));
+    return;
+  }
+
+  if (command === 'create') {
+    if (!values.type) {
+      throw new Error(`create needs --type (${ANN_INDEX_TYPES.join(' or ')})`);
+    }
+    console.log(chalk.cyan(`  Building ${values.type} index on ${tableName} (${values.form})...`));
+    const created = await createAnnIndex(pool, dimension, values.type, params, values.form);
+    console.log(chalk.green(`  ✓ ${tableName}: created ${describeIndex(created)} in ${created.buildTime}ms`));
+    return;
+  }
+
+  console.log(chalk.cyan(`  Rebuilding ${values.form} ANN index on ${tableName}...`));
+  const rebuilt = await rebuildAnnIndex(pool, dimension, values.type || null, params, values.form);
+  console.log(chalk.green(`  ✓ ${tableName}: rebuilt ${describeIndex(rebuilt)} in ${rebuilt.buildTime}ms`));
+}
+
+/**
+ * Format an index description for output
+ */
+function describeIndex(index) {
+  const params = Object.entries(index.params).map(([key, value]) => `${key}=${value}`).join(', ');
+  const form = index.form === 'full' ? '' : ` on ${index.form}`;
+  return `${index.type}${form} ${index.name} (${params})`;
+}
+
+/**
+ * Build the list of tables to manage from command line values and the existing tables
+ */
+function buildDimensions(values, available) {
+  if (values.dimension.length === 0) {
+    // Tables above the pgvector limit only index coarse forms, so only status covers every table by default
+    if (command === 'status') return available;
+    return values.form === 'full'
+      ? available.filter(dimension => dimension <= MAX_ANN_DIMENSION)
+      : available.filter(dimension => COARSE_VECTOR_DIMENSIONS.includes(dimension));
+  }
+
+  return values.dimension.map(value => {
+    const dimension = parseInt(value, 10);
+    if (!available.includes(dimension)) {
+      throw new Error(`--dimension must be one of the existing tables (${available.join(', ')}), got '${value}'`);
+    }
+    return dimension;
+  });
+}
+
+/**
+ * Build index build parameters from command line values
+ */
+function buildIndexParams(values) {
+  const params = {};
+
+  const paramOptions = [
+    ['m', 'm'],
+    ['ef-construction', 'ef_construction'],
+    ['lists', 'lists']
+  ];
+  for (const [flag, param] of paramOptions) {
+    if (values[flag] === undefined) continue;
+    const value = parseInt(values[flag], 10);
+    if (!Number.isInteger(value) || value < 1) {
+      console.error(chalk.bold.red(`❌ Error: --${flag} must be a positive integer, got '${values[flag]}'`));
+      process.exit(1);
+    }
+    params[param] = value;
+  }
+
+  return params;
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(chalk.bold.green(`
+🗂️  ANN Index Management
+
+${chalk.white('Usage:')}
+  ${chalk.yellow('node manage-indexes.js')} ${chalk.magenta('<command>')} ${chalk.gray('[options]')}
+
+${chalk.white('Commands:')}
+  ${chalk.magenta('status')}                  Show the ANN indexes of each documents table (default)
+  ${chalk.magenta('create')}                  Create an ANN index on --form (needs --type)
+  ${chalk.magenta('rebuild')}                 Rebuild the ANN index in place, or recreate it with a new --type or parameters
+  ${chalk.magenta('drop')}                    Drop the ANN index, so searches scan the table exactly
+
+${chalk.white('Options:')}
+  ${chalk.cyan('-d, --dimension')} ${chalk.gray('<n>')}     Table to manage, e.g. 1536 for documents_1536 (can be specified multiple times; default: all tables that can index the form)
+  ${chalk.cyan('-t, --type')} ${chalk.gray('<type>')}       Index type: ${ANN_INDEX_TYPES.join(', ')}
+  ${chalk.cyan('-f, --form')} ${chalk.gray('<form>')}       Indexed form: ${ANN_INDEX_FORMS.join(', ')} (default: full; coarse forms only for ${COARSE_VECTOR_DIMENSIONS.join(', ')})
+  ${chalk.cyan('--m')} ${chalk.gray('<n>')}                 HNSW connections per node (default: ${DEFAULT_ANN_PARAMS.hnsw.m})
+  ${chalk.cyan('--ef-construction')} ${chalk.gray('<n>')}   HNSW candidate list size while building (default: ${DEFAULT_ANN_PARAMS.hnsw.ef_construction})
+  ${chalk.cyan('--lists')} ${chalk.gray('<n>')}             IVFFlat lists (default: ${DEFAULT_ANN_PARAMS.ivfflat.lists})
+  ${chalk.cyan('-h, --help')}              Show this help message
+
+${chalk.white('Examples:')}
+  ${chalk.gray('# Index the 1536-dimension table with HNSW')}
+  ${chalk.yellow('node manage-indexes.js create --dimension 1536 --type hnsw --m 16 --ef-construction 64')}
+
+  ${chalk.gray('# Switch the 768-dimension table to IVFFlat')}
+  ${chalk.yellow('node manage-indexes.js rebuild --dimension 768 --type ivfflat --lists 50')}
+
+  ${chalk.gray('# Store half-precision 3072-dimension vectors and index them with HNSW')}
+  ${chalk.yellow('node manage-indexes.js create --dimension 3072 --form halfvec --type hnsw')}
+
+  ${chalk.gray('# Benchmark against the index with a wider search')}
+  ${chalk.yellow('node run-benchmark.js --embedding text-embedding-3-small --ef-search 100')}
+`));
+}
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Reference Answer Management CLI
+ *
+ * This script lists, sets and clears the reference answers of the test queries, and
+ * exports them to or imports them from a JSON file, so they can be written in an editor
+ * and reviewed before they are loaded.
+ */
+
+import {
+  listReferenceAnswers,
+  setReferenceAnswer,
+  importReferenceAnswers
+} from './evaluation/reference-answers.js';
+import { parseArgs } from 'node:util';
+import { Pool } from 'pg';
+import fs from 'fs/promises';
+import 'dotenv/config';
+import chalk from 'chalk';
+
+// Parse command line arguments
+const options = {
+  id: {
+    type: 'string'
+  },
+  answer: {
+    type: 'string',
+    short: 'a'
+  },
+  'answer-file': {
+    type: 'string'
+  },
+  output: {
+    type: 'string',
+    short: 'o'
+  },
+  overwrite: {
+    type: 'boolean',
+    default: false
+  },
+  help: {
+    type: 'boolean',
+    short: 'h',
+    default: false
+  }
+};
+
+const { values, positionals } = parseArgs({ options, allowPositionals: true });
+const command = positionals[0] || 'status';
+
+if (values.help) {
+  showHelp();
+  process.exit(0);
+}
+
+if (!['status', 'set', 'clear', 'export', 'import'].includes(command)) {
+  console.error(chalk.bold.red(`❌ Error: Unknown command '${command}'`));
+  showHelp();
+  process.exit(1);
+}
+
+const queryId = buildQueryId(values);
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 1,
+  connectionTimeoutMillis: 2000
+});
+
+let failed = false;
+
+try {
+  await runCommand();
+} catch (error) {
+  failed = true;
+  console.error(chalk.bold.red(`❌ Error: ${error.message}`));
+} finally {
+  await pool.end();
+}
+
+process.exit(failed ? 1 : 0);
+
+/**
+ * Run the command
+ */
+async function runCommand() {
+  if (command === 'status') {
+    const queries = await listReferenceAnswers(pool);
+    for (const query of queries) {
+      const marker = query.reference_answer ? chalk.green('✓') : chalk.gray('-');
+      console.log(`  ${marker} ${chalk.cyan(`#${query.id}`)} ${chalk.white(query.query_text)} ${chalk.gray(`(${query.category})`)}`);
+    }
+    const answered = queries.filter(query => query.reference_answer).length;
+    console.log(chalk.white(`\n  ${answered}/${queries.length} test queries have a reference answer`));
+    return;
+  }
+
+  if (command === 'set' || command === 'clear') {
+    if (queryId === null) {
+      throw new Error(`${command} needs --id`);
+    }
+    const referenceAnswer = command === 'set' ? await readAnswer(values) : null;
+    if (!await setReferenceAnswer(pool, queryId, referenceAnswer)) {
+      throw new Error(`No test query with id ${queryId}`);
+    }
+    console.log(chalk.green(`  ✓ #${queryId}: reference answer ${command === 'set' ? 'set' : 'cleared'}`));
+    return;
+  }
+
+  if (command === 'export') {
+    const queries = await listReferenceAnswers(pool);
+    const json = JSON.stringify(queries, null, 2);
+    if (!values.output) {
+      console.log(json);
+      return;
+    }
+    await fs.writeFile(values.output, `${json}\n`);
+    console.log(chalk.green(`  ✓ Exported ${queries.length} test queries to ${values.output}`));
+    return;
+  }
+
+  const file = positionals[1];
+  if (!file) {
+    throw new Error('import needs a JSON file');
+  }
+  const entries = JSON.parse(await fs.readFile(file, 'utf8'));
+  if (!Array.isArray(entries)) {
+    throw new Error(`${file} must contain a JSON array of { id or query_text, reference_answer } entries`);
+  }
+
+  const { updated, skipped, unmatched } = await importReferenceAnswers(pool, entries, { overwrite: values.overwrite });
+  console.log(chalk.green(`  ✓ Imported ${updated} reference answers from ${file}`));
+  if (skipped > 0) {
+    console.log(chalk.gray(`  - Skipped ${skipped} entries without an answer${values.overwrite ? '' : ' or for queries that already have one (use --overwrite to replace them)'}`));
+  }
+  for (const entry of unmatched) {
+    console.log(chalk.yellow(`  ⚠️  No test query matches ${entry}`));
+  }
+}
+
+/**
+ * Read the reference answer to set from --answer or --answer-file
+ */
+async function readAnswer(values) {
+  if ((values.answer === undefined) === (values['answer-file'] === undefined)) {
+    throw new Error('set needs either --answer or --answer-file');
+  }
+
+  const answer = values.answer !== undefined
+    ? values.answer
+    : await fs.readFile(values['answer-file'], 'utf8');
+  if (!answer.trim()) {
+    throw new Error('The reference answer is empty (use clear to remove one)');
+  }
+  return answer.trim();
+}
+
+/**
+ * Build the test query id from command line values
+ */
+function buildQueryId(values) {
+  if (values.id === undefined) {
+    return null;
+  }
+
+  const id = parseInt(values.id, 10);
+  if (!/^\d+$/.test(values.id) || id < 1) {
+    console.error(chalk.bold.red(`❌ Error: --id must be a positive integer, got '${values.id}'`));
+    process.exit(1);
+  }
+  return id;
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(chalk.bold.green(`
+📝 Reference Answer Management
+
+${chalk.white('Usage:')}
+  ${chalk.yellow('node manage-reference-answers.js')} ${chalk.magenta('<command>')} ${chalk.gray('[options]')}
+
+${chalk.white('Commands:')}
+  ${chalk.magenta('status')}                  List the test queries and whether they have a reference answer (default)
+  ${chalk.magenta('set')}                     Set the reference answer of the query --id
+  ${chalk.magenta('clear')}                   Remove the reference answer of the query --id
+  ${chalk.magenta('export')}                  Write every test query with its reference answer as JSON (to stdout or --output)
+  ${chalk.magenta('import')} ${chalk.gray('<file>')}           Load reference answers from a JSON array of { id or query_text, reference_answer }
+
+${chalk.white('Options:')}
+  ${chalk.cyan('--id')} ${chalk.gray('<n>')}                Test query id (see status)
+  ${chalk.cyan('-a, --answer')} ${chalk.gray('<text>')}     Reference answer to set
+  ${chalk.cyan('--answer-file')} ${chalk.gray('<path>')}    Read the reference answer to set from a file
+  ${chalk.cyan('-o, --output')} ${chalk.gray('<file>')}     File to export to
+  ${chalk.cyan('--overwrite')}             Replace reference answers that are already set when importing
+  ${chalk.cyan('-h, --help')}              Show this help message
+
+${chalk.white('Examples:')}
+  ${chalk.gray('# Write reference answers in an editor, then load them')}
+  ${chalk.yellow('node manage-reference-answers.js export --output reference-answers.json')}
+  ${chalk.yellow('node manage-reference-answers.js import reference-answers.json')}
+
+  ${chalk.gray('# Set one reference answer')}
+  ${chalk.yellow('node manage-reference-answers.js set --id 1 --answer "Co2Sensor is an abstract sensor point that measures carbon dioxide."')}
+
+  ${chalk.gray('# Score answers against the reference answers')}
+  ${chalk.yellow('node run-benchmark.js --queries 15')}
+`));
+}
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Test Query Dataset CLI
+ *
+ * This script exports the test queries of the database to JSONL or CSV dataset files,
+ * validates dataset files, and imports them into the test_queries table.
+ */
+
+import {
+  DATASET_FORMATS,
+  DATASETS_DIR,
+  readDataset,
+  writeDataset,
+  exportTestQueries,
+  importTestQueries
+} from './datasets/test-query-dataset.js';
+import { parseArgs } from 'node:util';
+import { Pool } from 'pg';
+import 'dotenv/config';
+import chalk from 'chalk';
+
+// Parse command line arguments
+const options = {
+  category: {
+    type: 'string',
+    short: 'c',
+    multiple: true,
+    default: []
+  },
+  update: {
+    type: 'boolean',
+    default: false
+  },
+  help: {
+    type: 'boolean',
+    short: 'h',
+    default: false
+  }
+};
+
+const { values, positionals } = parseArgs({ options, allowPositionals: true });
+const [command, file] = positionals;
+
+if (values.help || !command) {
+  showHelp();
+  process.exit(values.help ? 0 : 1);
+}
+
+if (!['export', 'import', 'validate'].includes(command)) {
+  console.error(chalk.bold.red(`❌ Error: Unknown command '${command}'`));
+  showHelp();
+  process.exit(1);
+}
+
+if (!file) {
+  console.error(chalk.bold.red(`❌ Error: ${command} needs a dataset file`));
+  process.exit(1);
+}
+
+// Validation only reads the file
+const pool = command === 'validate'
+  ? null
+  : new Pool({
+    connectionString: process.env.DATABASE_URL,
+    max: 1,
+    connectionTimeoutMillis: 2000
+  });
+
+let failed = false;
+
+try {
+  await runCommand();
+} catch (error) {
+  failed = true;
+  console.error(chalk.bold.red(`❌ Error: ${error.message}`));
+} finally {
+  if (pool) await pool.end();
+}
+
+process.exit(failed ? 1 : 0);
+
+/**
+ * Run the command
+ */
+async function runCommand() {
+  if (command === 'export') {
+    const queries = await exportTestQueries(pool, { categories: values.category });
+    await writeDataset(file, queries);
+    console.log(chalk.green(`  ✓ Exported ${queries.length} test queries to ${file}`));
+    return;
+  }
+
+  const { file: datasetFile, queries, duplicates } = await readDataset(file);
+  console.log(chalk.green(`  ✓ ${datasetFile}: ${queries.length} valid test queries`));
+  for (const queryText of duplicates) {
+    console.log(chalk.yellow(`  ⚠️  Dropped duplicate query: ${queryText}`));
+  }
+
+  if (command === 'validate') return;
+
+  const { inserted, updated, skipped } = await importTestQueries(pool, queries, { update: values.update });
+  console.log(chalk.green(`  ✓ Imported ${inserted} new test queries${values.update ? `, updated ${updated}` : ''}`));
+  if (skipped > 0) {
+    console.log(chalk.gray(`  - Skipped ${skipped} queries already in the database (use --update to replace them)`));
+  }
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  console.log(chalk.bold.green(`
+🗃️  Test Query Datasets
+
+${chalk.white('Usage:')}
+  ${chalk.yellow('node manage-test-queries.js')} ${chalk.magenta('<command>')} ${chalk.gray('<file>')} ${chalk.gray('[options]')}
+
+${chalk.white('Commands:')}
+  ${chalk.magenta('export')} ${chalk.gray('<file>')}           Write the test queries of the database to a .${DATASET_FORMATS.join(' or .')} file
+  ${chalk.magenta('validate')} ${chalk.gray('<dataset>')}      Check a dataset file without touching the database
+  ${chalk.magenta('import')} ${chalk.gray('<dataset>')}        Validate a dataset file and add its queries to the database
+
+  A dataset is a file path or the name of a file in ${DATASETS_DIR} (e.g. default).
+
+${chalk.white('Options:')}
+  ${chalk.cyan('-c, --category')} ${chalk.gray('<name>')}   Only export this category (can be specified multiple times)
+  ${chalk.cyan('--update')}                Replace queries whose text is already in the database when importing
+  ${chalk.cyan('-h, --help')}              Show this help message
+
+${chalk.white('Examples:')}
+  ${chalk.gray('# Share the functional queries as CSV')}
+  ${chalk.yellow('node manage-test-queries.js export functional.csv --category functional')}
+
+  ${chalk.gray('# Load a reviewed dataset, replacing queries with the same text')}
+  ${chalk.yellow('node manage-test-queries.js import my-queries.jsonl --update')}
+
+  ${chalk.gray('# Benchmark a dataset without importing it')}
+  ${chalk.yellow('node run-benchmark.js --dataset my-queries.jsonl')}
+`));
+}
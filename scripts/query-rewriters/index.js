@@ -0,0 +1,52 @@
+/**
+ * RAG Query Rewriter Factory
+ *
+ * This module provides a factory for the optional query transformation stage that runs
+ * before retrieval. A rewriter exposes `rewrite(queryText, count)` and returns
+ * `{ queries, usage }`, where queries are up to `count` extra queries (paraphrases or
+ * sub-questions, never the original) and usage is null or
+ * `{ model, inputText, outputText }` so the benchmark can cost it.
+ */
+
+import { createLLMQueryRewriter } from './llm-rewriter.js';
+import { createRuleQueryRewriter } from './rule-rewriter.js';
+
+// Default number of extra queries per original query
+export const DEFAULT_REWRITE_COUNT = 3;
+
+// Available query rewriters
+const REWRITERS = {
+  'llm': createLLMQueryRewriter,
+  'rules': createRuleQueryRewriter
+};
+
+/**
+ * Create a query rewriter
+ * @param {String} rewriterName - Name of the rewriter to create
+ * @param {Object} config - Rewriter configuration (e.g. { complete, model } for 'llm')
+ * @returns {Object} Query rewriter instance
+ * @throws {Error} If rewriter is not found
+ */
+export function createQueryRewriter(rewriterName, config = {}) {
+  const rewriterCreator = REWRITERS[rewriterName];
+
+  if (!rewriterCreator) {
+    throw new Error(`Query rewriter '${rewriterName}' not found. Available rewriters: ${Object.keys(REWRITERS).join(', ')}`);
+  }
+
+  return rewriterCreator(config);
+}
+
+/**
+ * Get list of available query rewriter names
+ * @returns {Array} List of available query rewriter names
+ */
+export function getAvailableQueryRewriters() {
+  return Object.keys(REWRITERS);
+}
+
+export default {
+  DEFAULT_REWRITE_COUNT,
+  createQueryRewriter,
+  getAvailableQueryRewriters
+};
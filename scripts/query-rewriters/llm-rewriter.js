@@ -0,0 +1,105 @@
+/**
+ * LLM Query Rewriter for RAG
+ *
+ * This module asks a chat model (OpenAI or Gemini, through the benchmark's completion
+ * function) for alternative phrasings and sub-questions of a query, using Xeto type
+ * names where it can, so retrieval is not limited to the user's wording.
+ */
+
+/**
+ * LLMQueryRewriter class
+ */
+export class LLMQueryRewriter {
+  /**
+   * Constructor
+   * @param {Object} config - Rewriter configuration
+   * @param {Function} config.complete - async (prompt, model, options) => reply text
+   * @param {String} config.model - Chat model used for rewriting
+   */
+  constructor(config = {}) {
+    if (typeof config.complete !== 'function') {
+      throw new Error('LLM query rewriter requires a completion function');
+    }
+    if (!config.model) {
+      throw new Error('LLM query rewriter requires a model');
+    }
+
+    this.complete = config.complete;
+    this.model = config.model;
+    this.name = 'llm';
+  }
+
+  /**
+   * Rewrite a query
+   * @param {String} queryText - Original query text
+   * @param {Number} count - Maximum number of extra queries
+   * @returns {Object} { queries, usage: { model, inputText, outputText } }
+   */
+  async rewrite(queryText, count) {
+    const prompt = this.buildPrompt(queryText, count);
+    const reply = await this.complete(prompt, this.model, {
+      temperature: 0.3,
+      maxTokens: 40 * count + 20
+    });
+
+    return {
+      queries: this.parseQueries(reply, queryText, count),
+      usage: { model: this.model, inputText: prompt, outputText: reply || '' }
+    };
+  }
+
+  /**
+   * Build the rewriting prompt
+   * @param {String} queryText - Original query text
+   * @param {Number} count - Number of queries to ask for
+   * @returns {String} Prompt
+   */
+  buildPrompt(queryText, count) {
+    return `
+You are helping search documentation about building automation systems, HVAC, and the Xeto specification language.
+Write ${count} alternative search queries for the question below. Mix paraphrases with narrower sub-questions,
+and use Xeto type names (for example Co2Sensor, ZoneAirTempSensor, Ahu, Vav) where they apply.
+
+Question: ${queryText}
+
+Reply with only a JSON array of ${count} strings.
+`;
+  }
+
+  /**
+   * Parse queries from the model reply
+   * @param {String} reply - Model reply
+   * @param {String} queryText - Original query text (dropped if repeated)
+   * @param {Number} count - Maximum number of queries
+   * @returns {Array} Unique extra queries (empty when the reply was unusable)
+   */
+  parseQueries(reply, queryText, count) {
+    const match = (reply || '').match(/\[[\s\S]*\]/);
+    if (!match) return [];
+
+    try {
+      const parsed = JSON.parse(match[0]);
+      const original = queryText.trim().toLowerCase();
+      const queries = parsed
+        .filter(query => typeof query === 'string')
+        .map(query => query.trim())
+        .filter(query => query && query.toLowerCase() !== original);
+
+      return [...new Set(queries)].slice(0, count);
+    } catch (error) {
+      // Unparseable reply: retrieve with the original query only
+      return [];
+    }
+  }
+}
+
+/**
+ * Create a new LLM query rewriter
+ * @param {Object} config - Rewriter configuration
+ * @returns {LLMQueryRewriter} LLM query rewriter instance
+ */
+export function createLLMQueryRewriter(config) {
+  return new LLMQueryRewriter(config);
+}
+
+export default createLLMQueryRewriter;
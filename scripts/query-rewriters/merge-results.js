@@ -0,0 +1,46 @@
+/**
+ * Multi-Query Result Merging for RAG
+ *
+ * When a query is rewritten, retrieval runs once per query and the result lists are
+ * merged with Reciprocal Rank Fusion. Only ranks are used, so lists from different
+ * queries (whose similarity scores are not comparable) can be fused directly, and
+ * documents found by several queries rise to the top.
+ */
+
+// RRF constant used to fuse the per-query lists
+const MERGE_RRF_K = 60;
+
+/**
+ * Merge per-query result lists
+ * @param {Array} resultLists - One list of search results per query, original query first
+ * @param {Number} topK - Number of results to keep
+ * @returns {Array} Merged results with `scores.multiQueryScore` and `scores.multiQueryHits`
+ */
+export function mergeResultLists(resultLists, topK) {
+  const merged = new Map();
+
+  resultLists.forEach(results => {
+    results.forEach((result, index) => {
+      const contribution = 1 / (MERGE_RRF_K + index + 1);
+      const entry = merged.get(result.id);
+
+      if (entry) {
+        entry.score += contribution;
+        entry.hits++;
+      } else {
+        // Keep the first copy seen, so the original query's scores win
+        merged.set(result.id, { result, score: contribution, hits: 1, order: merged.size });
+      }
+    });
+  });
+
+  return [...merged.values()]
+    .sort((a, b) => (b.score - a.score) || (a.order - b.order))
+    .slice(0, topK)
+    .map(({ result, score, hits }) => ({
+      ...result,
+      scores: { ...result.scores, multiQueryScore: score, multiQueryHits: hits }
+    }));
+}
+
+export default mergeResultLists;
@@ -0,0 +1,82 @@
+/**
+ * Rule-Based Query Rewriter for RAG
+ *
+ * A deterministic, offline rewriter that maps everyday HVAC wording to Xeto type names
+ * ("CO2" -> Co2Sensor, "air handler" -> Ahu). It produces up to two extra queries: the
+ * original with matched phrases replaced by type names, and the type names on their own.
+ * It needs no API keys, so it is useful for testing the rewrite stage without spending
+ * tokens.
+ */
+
+// Phrases replaced by Xeto type names (more specific phrases first)
+const PHRASE_RULES = [
+  { pattern: /\bzone air temp(erature)?s?\b/gi, terms: ['ZoneAirTempSensor'] },
+  { pattern: /\bdischarge air temp(erature)?s?\b/gi, terms: ['DischargeAirTempSensor'] },
+  { pattern: /\bair temp(erature)?s?\b/gi, terms: ['AirTempSensor'] },
+  { pattern: /\b(co2|carbon dioxide)\b/gi, terms: ['Co2Sensor', 'Co2Point'] },
+  { pattern: /\b(ahus?|air handl(er|ers|ing units?))\b/gi, terms: ['Ahu'] },
+  { pattern: /\b(vavs?|variable air volume)\b/gi, terms: ['Vav'] },
+  { pattern: /\bhumidity\b/gi, terms: ['HumiditySensor'] },
+  { pattern: /\bpressure\b/gi, terms: ['PressureSensor'] },
+  { pattern: /\bnumeric points?\b/gi, terms: ['NumberPoint'] }
+];
+
+// Type names added when every pattern matches somewhere in the query
+const COMBINATION_RULES = [
+  { patterns: [/\bzone\b/i, /\b(co2|carbon dioxide)\b/i], terms: ['ZoneCo2Sensor'] },
+  { patterns: [/\bzone\b/i, /\bsetpoints?\b/i, /\btemp(erature)?\b/i], terms: ['ZoneAirTempSp'] }
+];
+
+/**
+ * RuleQueryRewriter class
+ */
+export class RuleQueryRewriter {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this.name = 'rules';
+  }
+
+  /**
+   * Rewrite a query
+   * @param {String} queryText - Original query text
+   * @param {Number} count - Maximum number of extra queries
+   * @returns {Object} { queries, usage: null }
+   */
+  async rewrite(queryText, count) {
+    const terms = [];
+    let substituted = queryText;
+
+    for (const { pattern, terms: ruleTerms } of PHRASE_RULES) {
+      if (!substituted.match(pattern)) continue;
+      substituted = substituted.replace(pattern, ruleTerms.join(' '));
+      terms.push(...ruleTerms);
+    }
+
+    for (const { patterns, terms: ruleTerms } of COMBINATION_RULES) {
+      if (patterns.every(pattern => pattern.test(queryText))) {
+        terms.push(...ruleTerms);
+      }
+    }
+
+    if (terms.length === 0) {
+      return { queries: [], usage: null };
+    }
+
+    const queries = [substituted, [...new Set(terms)].join(' ')]
+      .filter(query => query !== queryText);
+
+    return { queries: [...new Set(queries)].slice(0, count), usage: null };
+  }
+}
+
+/**
+ * Create a new rule-based query rewriter
+ * @returns {RuleQueryRewriter} Rule-based query rewriter instance
+ */
+export function createRuleQueryRewriter() {
+  return new RuleQueryRewriter();
+}
+
+export default createRuleQueryRewriter;
@@ -13,6 +13,9 @@
  * - Total end-to-end time
  * - Cost (embedding + LLM)
  * - Result quality (based on expected keywords)
+ * - Retrieval quality (recall@K, precision@K, MRR, nDCG, hit rate against labelled relevant documents)
+ * - Answer quality graded by a judge (faithfulness, relevance, completeness; optional)
+ * - Hallucination rate (answer claims not supported by the retrieved documents; optional)
  */
 
 import 'dotenv/config';
@@ -20,7 +23,25 @@ import { OpenAI } from 'openai';
 import { GoogleGenAI } from '@google/genai';
 import fs from 'fs/promises';
 import path from 'path';
-import { createSearchStrategy, getAvailableStrategies } from './strategies/index.js';
+import { createSearchStrategy, createSearchRequest, getAvailableStrategies, loadStrategies } from './strategies/index.js';
+import { getStoredEmbeddingModel } from './strategies/search-request.js';
+import { buildFilterClause, describeFilters } from './strategies/filters.js';
+import { createReranker } from './rerankers/index.js';
+import { createJudge, getQueryRubric, getOverallJudgeScore } from './judges/index.js';
+import { DEFAULT_REWRITE_COUNT, createQueryRewriter } from './query-rewriters/index.js';
+import { mergeResultLists } from './query-rewriters/merge-results.js';
+import { draftHypotheticalDocument } from './hyde/hypothetical-document.js';
+import { DEFAULT_MMR_LAMBDA, fetchEmbeddings, selectWithMMR } from './diversification/mmr.js';
+import { DEFAULT_PARENT_TOKEN_BUDGET, fetchSiblingChunks, assembleParentDocuments } from './context/parent-document.js';
+import { describeAnnIndex, annSearchConnectionOptions } from './indexes/ann-index.js';
+import { measureAnnRecall, summarizeRecall } from './indexes/ann-recall.js';
+import { COARSE_VECTOR_DIMENSIONS, DEFAULT_RESCORE_FACTOR, resolveCoarseVector } from './strategies/coarse-vectors.js';
+import { parseEmbeddingModel, getVectorStorageBytes } from './dimensions/matryoshka.js';
+import { listDocumentsDimensions } from './dimensions/documents-tables.js';
+import { fetchDocumentKeys, scoreRetrieval, summarizeRetrievalMetrics, formatRetrievalSummary } from './evaluation/retrieval-metrics.js';
+import { DEFAULT_SUPPORT_THRESHOLD, checkGroundedness, summarizeGroundednessByConfiguration } from './evaluation/groundedness.js';
+import { scoreReferenceAnswer, summarizeReferenceScores, formatReferenceSummary } from './evaluation/reference-answers.js';
+import { readDataset } from './datasets/test-query-dataset.js';
 import { Pool } from 'pg';
 import chalk from 'chalk';
 
@@ -80,6 +101,13 @@ const COST_ESTIMATES = {
   }
 };
 
+// Test query columns added by migrations, read as NULL from databases that predate them
+const MIGRATED_TEST_QUERY_COLUMNS = {
+  relevant_documents: '002_test_query_relevance.sql',
+  rubric: '003_test_query_rubric.sql',
+  reference_answer: '004_test_query_reference_answer.sql'
+};
+
 /**
  * Main benchmarking function
  */
@@ -90,26 +118,104 @@ async function runBenchmark(options = {}) {
     embeddingModels = Object.values(MODELS.embeddings),
     contentTypes = ['xeto', 'markdown', 'documentation'],
     numQueries = 10,
+    dataset = null,
     topK = 5,
+    filters = {},
+    weights = {},
+    strategyOptions = {},
+    rewrite = null,
+    hyde = null,
+    rerank = null,
+    mmr = null,
+    parentDocument = null,
+    annSearch = null,
+    judge = null,
+    groundedness = null,
+    similarityModel = null,
+    strategyDirectories,
+    strategyPackages,
     outputFile = 'benchmark-results.json'
   } = options;
 
+  // Register third-party strategies before validating the requested ones
+  const { errors: strategyLoadErrors } = await loadStrategies({
+    directories: strategyDirectories,
+    packages: strategyPackages
+  });
+  for (const { source, message } of strategyLoadErrors) {
+    console.warn(chalk.yellow(`⚠️  Could not load strategy from ${source}: ${message}`));
+  }
+
+  // Fail fast on invalid filters instead of once per query
+  buildFilterClause(filters, 1);
+
+  const unknownStrategies = searchStrategies.filter(s => !getAvailableStrategies().includes(s));
+  if (unknownStrategies.length > 0) {
+    throw new Error(`Unknown search strategies: ${unknownStrategies.join(', ')}. Available strategies: ${getAvailableStrategies().join(', ')}`);
+  }
+
   console.log(chalk.bold.blue('🔍 RAG Benchmarking Tool'));
   console.log(chalk.blue('======================='));
   console.log(chalk.cyan(`Search Strategies: ${chalk.white(searchStrategies.join(', '))}`));
   console.log(chalk.cyan(`LLM Models: ${chalk.white(llmModels.join(', '))}`));
   console.log(chalk.cyan(`Embedding Models: ${chalk.white(embeddingModels.join(', '))}`));
   console.log(chalk.cyan(`Content Types: ${chalk.white(contentTypes.join(', '))}`));
-  console.log(chalk.cyan(`Number of Test Queries: ${chalk.white(numQueries.toString())}`));
+  console.log(chalk.cyan(`Number of Test Queries: ${chalk.white(numQueries === null ? 'all' : numQueries.toString())}`));
+  if (dataset) {
+    console.log(chalk.cyan(`Test Query Dataset: ${chalk.white(dataset)}`));
+  }
   console.log(chalk.cyan(`Top K Results: ${chalk.white(topK.toString())}`));
+  console.log(chalk.cyan(`Filters: ${chalk.white(describeFilters(filters))}`));
+  if (rewrite) {
+    console.log(chalk.cyan(`Query Rewriter: ${chalk.white(`${rewrite.rewriter} (up to ${getRewriteCount(rewrite)} extra queries${rewrite.model ? `, ${rewrite.model}` : ''})`)}`));
+  }
+  if (hyde) {
+    console.log(chalk.cyan(`HyDE: ${chalk.white(`search with the embedding of a drafted answer${hyde.model ? ` (${hyde.model})` : ''}`)}`));
+  }
+  if (rerank) {
+    console.log(chalk.cyan(`Reranker: ${chalk.white(`${rerank.reranker} (${getRerankCandidates(rerank, topK)} candidates${rerank.model ? `, ${rerank.model}` : ''})`)}`));
+  }
+  if (mmr) {
+    console.log(chalk.cyan(`MMR Diversification: ${chalk.white(`lambda=${getMMRLambda(mmr)} (${getMMRCandidates(mmr, topK)} candidates)`)}`));
+  }
+  if (parentDocument) {
+    console.log(chalk.cyan(`Parent Documents: ${chalk.white(`window=${parentDocument.window ?? 'whole item'}, budget=${getParentTokenBudget(parentDocument)} tokens`)}`));
+  }
+  if (annSearch) {
+    console.log(chalk.cyan(`ANN Search: ${chalk.white(describeAnnSearch(annSearch))}`));
+  }
+  if (strategyOptions.coarseVector) {
+    console.log(chalk.cyan(`Coarse Vectors: ${chalk.white(describeCoarseVector(strategyOptions))}`));
+  }
+  if (judge) {
+    console.log(chalk.cyan(`Answer Judge: ${chalk.white(`${judge.judge}${judge.model ? ` (${judge.model})` : ''}`)}`));
+  }
+  if (groundedness) {
+    console.log(chalk.cyan(`Groundedness Check: ${chalk.white(`${groundedness.mode}, support threshold ${groundedness.threshold ?? DEFAULT_SUPPORT_THRESHOLD}${groundedness.model ? ` (${groundedness.model})` : ''}`)}`));
+  }
+  if (similarityModel) {
+    console.log(chalk.cyan(`Reference Similarity Model: ${chalk.white(similarityModel)}`));
+  }
   console.log(chalk.blue('=======================\n'));
 
   // Get test queries
-  const testQueries = await getTestQueries(numQueries);
+  const testQueries = await getTestQueries(numQueries, dataset);
   console.log(chalk.green(`Loaded ${testQueries.length} test queries`));
 
   const results = [];
 
+  // Embedding model coverage, checked once per table and content type
+  const checkedModelScopes = new Set();
+
+  // ANN index of each documents table, looked up once per run
+  const annIndexes = new Map();
+
+  // Tables of truncated dimensions only exist once the database builder has filled them
+  const documentsDimensions = await listDocumentsDimensions(pool);
+
+  // Reference answer embeddings, computed once per similarity model and query
+  const referenceEmbeddings = new Map();
+
   // Run benchmarks for each combination
   for (const searchStrategy of searchStrategies) {
     for (const llmModel of llmModels) {
@@ -120,8 +226,22 @@ async function runBenchmark(options = {}) {
           console.log(`Skipping ${embeddingModel} - dimension not supported`);
           continue;
         }
+        if (!documentsDimensions.includes(embeddingDimension)) {
+          console.log(chalk.yellow(`Skipping ${embeddingModel} - documents_${embeddingDimension} does not exist (build it with the model's truncated dimensions first)`));
+          continue;
+        }
+
+        if (!annIndexes.has(embeddingDimension)) {
+          annIndexes.set(embeddingDimension, await checkAnnIndex(embeddingDimension, annSearch, strategyOptions.coarseVector));
+        }
 
         for (const contentType of contentTypes) {
+          const scopeKey = `${embeddingModel}:${contentType}`;
+          if (!checkedModelScopes.has(scopeKey)) {
+            checkedModelScopes.add(scopeKey);
+            await checkEmbeddingModelScope(embeddingModel, embeddingDimension, contentType);
+          }
+
           console.log(chalk.bold.magenta(`\nTesting: Strategy=${chalk.white(searchStrategy)}, LLM=${chalk.white(llmModel)}, Embedding=${chalk.white(embeddingModel)}, Content=${chalk.white(contentType)}`));
           
           // Run benchmark for each query
@@ -135,14 +255,45 @@ async function runBenchmark(options = {}) {
                 llmModel,
                 embeddingModel,
                 contentType,
-                topK
+                topK,
+                {
+                  filters,
+                  weights,
+                  options: strategyOptions,
+                  rewrite,
+                  hyde,
+                  rerank,
+                  mmr,
+                  parentDocument,
+                  annSearch,
+                  annIndex: annIndexes.get(embeddingDimension),
+                  judge,
+                  groundedness,
+                  similarityModel,
+                  referenceEmbeddings
+                }
               );
               
               results.push(result);
               
               // Log result summary
               console.log(chalk.green(`    ✓ Search (${searchStrategy}): ${result.metrics.searchTime.toFixed(2)}ms, LLM: ${result.metrics.llmResponseTime.toFixed(2)}ms, Total: ${result.metrics.totalTime.toFixed(2)}ms`));
+              if (rerank) {
+                console.log(chalk.green(`    ✓ Rerank (${rerank.reranker}): ${result.metrics.rerankTime.toFixed(2)}ms, $${result.metrics.rerankCost.toFixed(6)}`));
+              }
               console.log(chalk.green(`    ✓ Cost: $${result.metrics.totalCost.toFixed(6)}, Keywords matched: ${result.metrics.keywordsMatched}/${query.expected_keywords.length}`));
+              if (judge) {
+                console.log(chalk.green(`    ✓ Judge (${judge.judge}): ${formatJudgeScores(result.metrics)}`));
+              }
+              if (result.metrics.tokenF1 !== null) {
+                console.log(chalk.green(`    ✓ Reference: Similarity ${result.metrics.semanticSimilarity.toFixed(2)}, Token F1 ${result.metrics.tokenF1.toFixed(2)}`));
+              }
+              if (result.metrics.hallucinationRate !== null) {
+                console.log(chalk.green(`    ✓ Groundedness: ${result.metrics.unsupportedClaims}/${result.metrics.claimCount} claims unsupported`));
+              }
+              if (result.metrics.recallAtK !== null) {
+                console.log(chalk.green(`    ✓ Retrieval: Recall@${topK} ${result.metrics.recallAtK.toFixed(2)}, MRR ${result.metrics.mrr.toFixed(2)}, nDCG ${result.metrics.ndcg.toFixed(2)}`));
+              }
             } catch (error) {
               console.error(chalk.red(`    ✗ Error: ${error.message}`));
               results.push({
@@ -186,10 +337,146 @@ async function runBenchmark(options = {}) {
   return results;
 }
 
+/**
+ * Measure how many of the exact top-K neighbours each table's ANN index returns
+ */
+async function runRecallBenchmark(options = {}) {
+  const {
+    embeddingModels = Object.values(MODELS.embeddings),
+    contentTypes = ['xeto', 'markdown', 'documentation'],
+    numQueries = 10,
+    dataset = null,
+    topK = 5,
+    annSearch = null,
+    coarseVector = null,
+    rescoreFactor,
+    outputFile = 'results/ann-recall.json'
+  } = options;
+
+  console.log(chalk.bold.blue('🎯 ANN Recall Benchmark'));
+  console.log(chalk.blue('======================='));
+  console.log(chalk.cyan(`Embedding Models: ${chalk.white(embeddingModels.join(', '))}`));
+  console.log(chalk.cyan(`Content Types: ${chalk.white(contentTypes.join(', '))}`));
+  console.log(chalk.cyan(`Number of Test Queries: ${chalk.white(numQueries === null ? 'all' : numQueries.toString())}`));
+  if (dataset) {
+    console.log(chalk.cyan(`Test Query Dataset: ${chalk.white(dataset)}`));
+  }
+  console.log(chalk.cyan(`Recall@K: ${chalk.white(topK.toString())}`));
+  if (annSearch) {
+    console.log(chalk.cyan(`ANN Search: ${chalk.white(describeAnnSearch(annSearch))}`));
+  }
+  if (coarseVector) {
+    console.log(chalk.cyan(`Coarse Vectors: ${chalk.white(describeCoarseVector({ coarseVector, rescoreFactor }))}`));
+  }
+  console.log(chalk.blue('=======================\n'));
+
+  const testQueries = await getTestQueries(numQueries, dataset);
+  console.log(chalk.green(`Loaded ${testQueries.length} test queries`));
+
+  const results = [];
+  const documentsDimensions = await listDocumentsDimensions(pool);
+
+  for (const embeddingModel of embeddingModels) {
+    const embeddingDimension = getEmbeddingDimension(embeddingModel);
+    if (!embeddingDimension) {
+      console.log(`Skipping ${embeddingModel} - dimension not supported`);
+      continue;
+    }
+    if (!documentsDimensions.includes(embeddingDimension)) {
+      console.log(chalk.yellow(`Skipping ${embeddingModel} - documents_${embeddingDimension} does not exist (build it with the model's truncated dimensions first)`));
+      continue;
+    }
+
+    const tableName = `documents_${embeddingDimension}`;
+    console.log(chalk.bold.magenta(`\nTesting: Table=${chalk.white(tableName)}, Embedding=${chalk.white(embeddingModel)}`));
+    const annIndex = await checkAnnIndex(embeddingDimension, annSearch, coarseVector);
+    const coarse = resolveCoarseVector({ dimension: embeddingDimension, options: { coarseVector, rescoreFactor } });
+    if (!annIndex && !coarse) {
+      console.log(chalk.yellow(`Warning: both searches on ${tableName} are exact, so recall is 1 by definition`));
+    }
+
+    for (const query of testQueries) {
+      try {
+        // One embedding per query serves every content type
+        const embedding = await generateEmbedding(query.query_text, embeddingModel);
+
+        for (const contentType of contentTypes) {
+          const measurement = await measureAnnRecall(pool, {
+            dimension: embeddingDimension,
+            embedding,
+            embeddingModel,
+            contentType,
+            topK,
+            annSearch,
+            indexName: annIndex ? annIndex.name : null,
+            coarseVector: coarse ? coarse.form : null,
+            rescoreFactor: coarse ? coarse.rescoreFactor : undefined
+          });
+
+          results.push({
+            query_id: query.id,
+            query_text: query.query_text,
+            embedding_model: embeddingModel,
+            content_type: contentType,
+            table: tableName,
+            ann_index: annIndex ? annIndex.type : null,
+            ann_index_params: annIndex ? annIndex.params : null,
+            ann_probes: annSearch?.probes ?? null,
+            ann_ef_search: annSearch?.efSearch ?? null,
+            coarse_vector: coarse ? coarse.form : null,
+            rescore_factor: coarse ? coarse.rescoreFactor : null,
+            top_k: topK,
+            index_used: measurement.indexUsed,
+            recall: measurement.recall,
+            exact_ids: measurement.exactIds,
+            ann_ids: measurement.annIds,
+            exact_time: measurement.exactTime,
+            ann_time: measurement.annTime
+          });
+
+          const recall = measurement.recall === null ? 'n/a (no rows)' : measurement.recall.toFixed(2);
+          const plan = measurement.indexUsed === false ? chalk.yellow(' (planner chose an exact plan)') : '';
+          console.log(chalk.green(`  ✓ [${contentType}] "${query.query_text.substring(0, 40)}..." recall@${topK}: ${recall}, exact: ${measurement.exactTime.toFixed(2)}ms, ANN: ${measurement.annTime.toFixed(2)}ms`) + plan);
+        }
+      } catch (error) {
+        console.error(chalk.red(`  ✗ "${query.query_text.substring(0, 40)}...": ${error.message}`));
+      }
+    }
+  }
+
+  const summary = summarizeRecall(results);
+
+  const outputDir = path.dirname(outputFile);
+  if (outputDir !== '.') {
+    await fs.mkdir(outputDir, { recursive: true });
+  }
+  await fs.writeFile(
+    outputFile,
+    JSON.stringify({ results, summary, annSearch, coarseVector, rescoreFactor, topK, timestamp: new Date().toISOString() }, null, 2)
+  );
+
+  console.log(chalk.bold.green(`\n✅ Recall benchmark complete. Results saved to ${chalk.white(outputFile)}`));
+
+  console.log(chalk.bold.blue(`\n📊 Recall@${topK} Summary`));
+  console.log(chalk.blue('======================='));
+  for (const row of summary) {
+    const index = row.annIndex
+      ? `${row.annIndex} (${Object.entries(row.annIndexParams).map(([key, value]) => `${key}=${value}`).join(', ')})`
+      : 'no ANN index';
+    console.log(chalk.bold.cyan(`\n${row.table} / ${row.embeddingModel}: ${chalk.white(index)}`));
+    console.log(chalk.white(`  Queries: ${row.queries}${row.annIndex ? ` (${row.indexUsedQueries} used the index)` : ''}`));
+    console.log(chalk.white(`  Recall@${topK}: mean ${row.meanRecall === null ? 'n/a' : row.meanRecall.toFixed(3)}, min ${row.minRecall === null ? 'n/a' : row.minRecall.toFixed(3)}`));
+    console.log(chalk.white(`  Exact latency: mean ${row.exactLatency.mean.toFixed(2)}ms, p50 ${row.exactLatency.p50.toFixed(2)}ms, p95 ${row.exactLatency.p95.toFixed(2)}ms, max ${row.exactLatency.max.toFixed(2)}ms`));
+    console.log(chalk.white(`  ANN latency:   mean ${row.annLatency.mean.toFixed(2)}ms, p50 ${row.annLatency.p50.toFixed(2)}ms, p95 ${row.annLatency.p95.toFixed(2)}ms, max ${row.annLatency.max.toFixed(2)}ms`));
+  }
+
+  return { results, summary };
+}
+
 /**
  * Benchmark a single query
  */
-async function benchmarkQuery(query, searchStrategy, llmModel, embeddingModel, contentType, topK) {
+async function benchmarkQuery(query, searchStrategy, llmModel, embeddingModel, contentType, topK, pipelineConfig = {}) {
   const startTime = Date.now();
   const testRunId = generateUUID();
   
@@ -198,57 +485,148 @@ async function benchmarkQuery(query, searchStrategy, llmModel, embeddingModel, c
   const queryEmbedding = await generateEmbedding(query.query_text, embeddingModel);
   const embeddingTime = Date.now() - embeddingStartTime;
   
+  // Step 1b: Optionally rewrite the query into extra queries and embed them
+  let rewriteTime = 0;
+  let rewriteCost = 0;
+  let queryRewrites = [];
+  const rewriteEmbeddings = [];
+  const rewriteConfig = pipelineConfig.rewrite;
+  if (rewriteConfig) {
+    const rewriter = createQueryRewriter(rewriteConfig.rewriter, {
+      complete: completeWithLLM,
+      model: rewriteConfig.model || llmModel
+    });
+    
+    const rewriteStartTime = Date.now();
+    const { queries, usage } = await rewriter.rewrite(query.query_text, getRewriteCount(rewriteConfig));
+    queryRewrites = queries;
+    for (const rewrittenQuery of queryRewrites) {
+      rewriteEmbeddings.push(await generateEmbedding(rewrittenQuery, embeddingModel));
+      rewriteCost += calculateEmbeddingCost(countTokens(rewrittenQuery), embeddingModel);
+    }
+    rewriteTime = Date.now() - rewriteStartTime;
+    
+    if (usage) {
+      rewriteCost += calculateLLMCost(countTokens(usage.inputText), countTokens(usage.outputText), usage.model);
+    }
+  }
+  
+  // Step 1c: Optionally search with the embedding of a hypothetical answer (HyDE)
+  let hydeTime = 0;
+  let hydeCost = 0;
+  let hydeDraft = null;
+  let retrievalEmbedding = queryEmbedding;
+  const hydeConfig = pipelineConfig.hyde;
+  if (hydeConfig) {
+    const hydeStartTime = Date.now();
+    const { draft, usage } = await draftHypotheticalDocument(query.query_text, contentType, {
+      complete: completeWithLLM,
+      model: hydeConfig.model || llmModel
+    });
+    hydeDraft = draft;
+    retrievalEmbedding = await generateEmbedding(draft, embeddingModel);
+    hydeTime = Date.now() - hydeStartTime;
+    
+    hydeCost = calculateLLMCost(countTokens(usage.inputText), countTokens(usage.outputText), usage.model) +
+      calculateEmbeddingCost(countTokens(draft), embeddingModel);
+  }
+  
   // Step 2: Perform search using the selected strategy
   const searchStartTime = Date.now();
   const embeddingDimension = getEmbeddingDimension(embeddingModel);
   
-  // Create search strategy instance
-  const searchStrategyInstance = createSearchStrategy(searchStrategy, dbConfig);
+  // Two-stage search settings, when the strategies search a coarse vector form of this table first
+  const coarseVector = resolveCoarseVector({ dimension: embeddingDimension, options: pipelineConfig.options });
   
-  // Perform search based on strategy type
-  let searchResults;
-  if (searchStrategy === 'vector-search') {
-    searchResults = await searchStrategyInstance.search(
-      queryEmbedding,
-      embeddingModel,
-      contentType,
-      topK,
-      embeddingDimension
-    );
-  } else if (searchStrategy === 'hybrid-search') {
-    searchResults = await searchStrategyInstance.search(
-      queryEmbedding,
-      query.query_text,
-      embeddingModel,
-      contentType,
-      topK,
-      embeddingDimension
-    );
-  } else if (searchStrategy === 'combined-search') {
-    searchResults = await searchStrategyInstance.search(
-      queryEmbedding,
-      query.query_text,
-      embeddingModel,
-      contentType,
-      topK,
-      embeddingDimension
-    );
-  } else {
-    // Generic fallback for other strategies
-    searchResults = await searchStrategyInstance.search(
-      queryEmbedding,
+  // Create search strategy instance; its connections carry the run's ANN search settings
+  const searchStrategyInstance = createSearchStrategy(searchStrategy, getSearchDbConfig(pipelineConfig.annSearch));
+  
+  // Over-fetch candidates when reranking or MMR will cut them back down to topK
+  const rerankConfig = pipelineConfig.rerank;
+  const mmrConfig = pipelineConfig.mmr;
+  const postRerankTopK = mmrConfig ? getMMRCandidates(mmrConfig, topK) : topK;
+  const retrievalTopK = Math.max(
+    rerankConfig ? getRerankCandidates(rerankConfig, topK) : topK,
+    postRerankTopK
+  );
+  
+  // Every strategy accepts the same request object; rewritten queries get one each.
+  // Keyword matching always uses the question text, even when HyDE replaces its vector.
+  const searchQueries = [
+    { text: query.query_text, embedding: retrievalEmbedding },
+    ...queryRewrites.map((text, index) => ({ text, embedding: rewriteEmbeddings[index] }))
+  ];
+  
+  const resultLists = [];
+  for (const searchQuery of searchQueries) {
+    const searchRequest = createSearchRequest({
+      embedding: searchQuery.embedding,
+      queryText: searchQuery.text,
       embeddingModel,
       contentType,
-      topK,
-      embeddingDimension
-    );
+      topK: retrievalTopK,
+      dimension: embeddingDimension,
+      filters: pipelineConfig.filters,
+      weights: pipelineConfig.weights,
+      options: pipelineConfig.options
+    });
+    
+    resultLists.push(await searchStrategyInstance.search(searchRequest));
   }
   
+  let searchResults = resultLists.length > 1
+    ? mergeResultLists(resultLists, retrievalTopK)
+    : resultLists[0];
+  
   const searchTime = Date.now() - searchStartTime;
   
   // Close the strategy's connection
   await searchStrategyInstance.close();
   
+  // Step 2b: Optionally rerank the candidates down to topK
+  let rerankTime = 0;
+  let rerankCost = 0;
+  const rerankCandidates = searchResults.length;
+  if (rerankConfig) {
+    const reranker = createReranker(rerankConfig.reranker, {
+      complete: completeWithLLM,
+      model: rerankConfig.model || llmModel
+    });
+    
+    const rerankStartTime = Date.now();
+    const { results: rerankedResults, usage } = await reranker.rerank(query.query_text, searchResults, postRerankTopK);
+    rerankTime = Date.now() - rerankStartTime;
+    searchResults = rerankedResults;
+    
+    if (usage) {
+      rerankCost = calculateLLMCost(countTokens(usage.inputText), countTokens(usage.outputText), usage.model);
+    }
+  }
+  
+  // Step 2c: Optionally diversify the context with Maximal Marginal Relevance
+  let mmrTime = 0;
+  const mmrCandidates = searchResults.length;
+  if (mmrConfig) {
+    const mmrStartTime = Date.now();
+    const candidateEmbeddings = await fetchEmbeddings(pool, embeddingDimension, searchResults.map(r => r.id));
+    searchResults = selectWithMMR(retrievalEmbedding, searchResults, candidateEmbeddings, topK, getMMRLambda(mmrConfig));
+    mmrTime = Date.now() - mmrStartTime;
+  }
+  
+  // Step 2d: Optionally replace matched chunks with their reassembled source items
+  let parentDocumentTime = 0;
+  const parentDocumentConfig = pipelineConfig.parentDocument;
+  if (parentDocumentConfig) {
+    const parentStartTime = Date.now();
+    const siblings = await fetchSiblingChunks(pool, embeddingDimension, searchResults.map(r => r.id));
+    searchResults = assembleParentDocuments(searchResults, siblings, {
+      window: parentDocumentConfig.window ?? null,
+      tokenBudget: getParentTokenBudget(parentDocumentConfig),
+      countTokens
+    });
+    parentDocumentTime = Date.now() - parentStartTime;
+  }
+  
   // Step 3: Generate LLM response
   const llmStartTime = Date.now();
   const context = searchResults.map(r => r.content).join('\n\n');
@@ -270,11 +648,84 @@ async function benchmarkQuery(query, searchStrategy, llmModel, embeddingModel, c
   // Calculate costs
   const embeddingCost = calculateEmbeddingCost(queryTokens, embeddingModel);
   const llmCost = calculateLLMCost(queryTokens + contextTokens, responseTokens, llmModel);
-  const totalCost = embeddingCost + llmCost;
+  const totalCost = embeddingCost + llmCost + rewriteCost + hydeCost + rerankCost;
   
   // Calculate keyword matches
   const keywordsMatched = countKeywordMatches(llmResponse, query.expected_keywords);
   
+  // Score the final context against the labelled relevant documents (null metrics when unlabelled)
+  const relevantDocuments = query.relevant_documents || [];
+  const documentKeys = relevantDocuments.length > 0
+    ? await fetchDocumentKeys(pool, embeddingDimension, searchResults.map(r => r.id))
+    : new Map();
+  const retrievalMetrics = scoreRetrieval(searchResults.map(r => documentKeys.get(r.id) || []), relevantDocuments, topK);
+  
+  // Step 5: Optionally grade the answer with a judge (evaluation only, so not part of totalCost)
+  let judgeTime = 0;
+  let judgeCost = 0;
+  let judgement = null;
+  const judgeConfig = pipelineConfig.judge;
+  if (judgeConfig) {
+    const judge = createJudge(judgeConfig.judge, {
+      complete: completeWithLLM,
+      model: judgeConfig.model || llmModel
+    });
+    
+    const judgeStartTime = Date.now();
+    judgement = await judge.grade({
+      queryText: query.query_text,
+      context,
+      answer: llmResponse,
+      rubric: getQueryRubric(query)
+    });
+    judgeTime = Date.now() - judgeStartTime;
+    
+    if (judgement.usage) {
+      judgeCost = calculateLLMCost(countTokens(judgement.usage.inputText), countTokens(judgement.usage.outputText), judgement.usage.model);
+    }
+  }
+  
+  // Step 6: Optionally check which claims of the answer the retrieved documents support
+  let groundednessTime = 0;
+  let groundednessCost = 0;
+  let groundednessCheck = null;
+  const groundednessConfig = pipelineConfig.groundedness;
+  if (groundednessConfig) {
+    const groundednessStartTime = Date.now();
+    groundednessCheck = await checkGroundedness(llmResponse, searchResults.map(r => r.content), {
+      mode: groundednessConfig.mode,
+      threshold: groundednessConfig.threshold,
+      complete: completeWithLLM,
+      model: groundednessConfig.model || llmModel
+    });
+    groundednessTime = Date.now() - groundednessStartTime;
+    
+    if (groundednessCheck.usage) {
+      groundednessCost = calculateLLMCost(countTokens(groundednessCheck.usage.inputText), countTokens(groundednessCheck.usage.outputText), groundednessCheck.usage.model);
+    }
+  }
+  
+  // Step 7: Score the answer against the query's reference answer (evaluation only, so not part of totalCost)
+  const referenceAnswer = query.reference_answer || null;
+  const similarityModel = pipelineConfig.similarityModel || embeddingModel;
+  const referenceEmbeddings = pipelineConfig.referenceEmbeddings || new Map();
+  let referenceCost = 0;
+  const referenceStartTime = Date.now();
+  const referenceScores = await scoreReferenceAnswer(llmResponse, referenceAnswer, {
+    embed: async text => {
+      // The reference answer is embedded once per similarity model, the response every time
+      const cacheKey = `${similarityModel}:${query.id}`;
+      if (text === referenceAnswer && referenceEmbeddings.has(cacheKey)) {
+        return referenceEmbeddings.get(cacheKey);
+      }
+      const embedding = await generateEmbedding(text, similarityModel);
+      referenceCost += calculateEmbeddingCost(countTokens(text), similarityModel);
+      if (text === referenceAnswer) referenceEmbeddings.set(cacheKey, embedding);
+      return embedding;
+    }
+  });
+  const referenceTime = referenceAnswer ? Date.now() - referenceStartTime : 0;
+  
   // Create result object
   const result = {
     test_run_id: testRunId,
@@ -284,8 +735,19 @@ async function benchmarkQuery(query, searchStrategy, llmModel, embeddingModel, c
     llm_model: llmModel,
     embedding_model: embeddingModel,
     content_type: contentType,
+    filters: pipelineConfig.filters || {},
+    query_rewrites: queryRewrites,
+    hyde_draft: hydeDraft,
     response_text: llmResponse,
     retrieved_document_ids: searchResults.map(r => r.id),
+    relevant_documents: relevantDocuments,
+    reference_answer: referenceAnswer,
+    groundedness_claims: groundednessCheck ? groundednessCheck.claims : [],
+    retrieval_scores: searchResults.map(r => ({
+      id: r.id,
+      similarity: r.similarity,
+      ...r.scores
+    })),
     metrics: {
       embeddingTime,
       searchTime,
@@ -298,7 +760,55 @@ async function benchmarkQuery(query, searchStrategy, llmModel, embeddingModel, c
       llmCost,
       totalCost,
       keywordsMatched,
-      keywordMatchPercentage: (keywordsMatched / query.expected_keywords.length) * 100
+      keywordMatchPercentage: (keywordsMatched / query.expected_keywords.length) * 100,
+      ...retrievalMetrics,
+      ...referenceScores,
+      similarityModel: referenceAnswer ? similarityModel : null,
+      referenceTime,
+      referenceCost,
+      judge: judgeConfig ? judgeConfig.judge : null,
+      judgeModel: judgeConfig?.judge === 'llm' ? judgeConfig.model || llmModel : null,
+      judgeFaithfulness: judgement ? judgement.scores.faithfulness : null,
+      judgeRelevance: judgement ? judgement.scores.relevance : null,
+      judgeCompleteness: judgement ? judgement.scores.completeness : null,
+      judgeScore: judgement ? getOverallJudgeScore(judgement.scores) : null,
+      judgeRationales: judgement ? judgement.rationales : null,
+      judgeTime,
+      judgeCost,
+      groundedness: groundednessConfig ? groundednessConfig.mode : null,
+      claimCount: groundednessCheck ? groundednessCheck.claims.length : 0,
+      unsupportedClaims: groundednessCheck ? groundednessCheck.unsupportedClaims : 0,
+      hallucinationRate: groundednessCheck ? groundednessCheck.hallucinationRate : null,
+      groundednessTime,
+      groundednessCost,
+      // Only fused strategies report a normalization mode
+      scoreNormalization: searchResults[0]?.scores?.normalization || null,
+      queryRewriter: rewriteConfig ? rewriteConfig.rewriter : null,
+      rewriteCount: queryRewrites.length,
+      rewriteTime,
+      rewriteCost,
+      hyde: Boolean(hydeConfig),
+      hydeModel: hydeConfig ? hydeConfig.model || llmModel : null,
+      hydeTime,
+      hydeCost,
+      reranker: rerankConfig ? rerankConfig.reranker : null,
+      rerankCandidates: rerankConfig ? rerankCandidates : 0,
+      rerankTime,
+      rerankCost,
+      mmrLambda: mmrConfig ? getMMRLambda(mmrConfig) : null,
+      mmrCandidates: mmrConfig ? mmrCandidates : 0,
+      mmrTime,
+      parentDocumentWindow: parentDocumentConfig ? parentDocumentConfig.window ?? null : null,
+      parentDocumentBudget: parentDocumentConfig ? getParentTokenBudget(parentDocumentConfig) : null,
+      parentDocumentTime,
+      annIndex: pipelineConfig.annIndex ? pipelineConfig.annIndex.type : null,
+      annIndexParams: pipelineConfig.annIndex ? pipelineConfig.annIndex.params : null,
+      annProbes: pipelineConfig.annSearch?.probes ?? null,
+      annEfSearch: pipelineConfig.annSearch?.efSearch ?? null,
+      embeddingDimensions: embeddingDimension,
+      vectorStorageBytes: getVectorStorageBytes(embeddingDimension),
+      coarseVector: coarseVector ? coarseVector.form : null,
+      rescoreFactor: coarseVector ? coarseVector.rescoreFactor : null
     },
     success: true,
     timestamp: new Date().toISOString()
@@ -315,11 +825,13 @@ async function benchmarkQuery(query, searchStrategy, llmModel, embeddingModel, c
  */
 async function generateEmbedding(text, model) {
   if (model.includes('text-embedding-3')) {
-    // OpenAI embedding
+    // OpenAI embedding, shortened by the API for model@dimensions specs
+    const { model: baseModel, dimensions } = parseEmbeddingModel(model);
     const response = await openai.embeddings.create({
-      model: model,
+      model: baseModel,
       input: text,
-      encoding_format: 'float'
+      encoding_format: 'float',
+      ...(dimensions && { dimensions })
     });
     return response.data[0].embedding;
   } else {
@@ -349,13 +861,20 @@ Question: ${query}
 Provide a concise and accurate answer based only on the information in the context.
 `;
 
+  return completeWithLLM(prompt, model);
+}
+
+/**
+ * Send a prompt to an OpenAI or Gemini chat model and return the text reply
+ */
+async function completeWithLLM(prompt, model, { temperature = 0.3, maxTokens = 500 } = {}) {
   if (model.includes('gpt')) {
     // OpenAI
     const response = await openai.chat.completions.create({
       model: model,
       messages: [{ role: 'user', content: prompt }],
-      temperature: 0.3,
-      max_tokens: 500
+      temperature,
+      max_tokens: maxTokens
     });
     return response.choices[0].message.content;
   } else {
@@ -364,8 +883,8 @@ Provide a concise and accurate answer based only on the information in the conte
       model: model,
       contents: prompt,
       config: {
-        temperature: 0.3,
-        maxOutputTokens: 500
+        temperature,
+        maxOutputTokens: maxTokens
       }
     });
     return response.text;
@@ -373,11 +892,33 @@ Provide a concise and accurate answer based only on the information in the conte
 }
 
 /**
- * Get test queries from database
+ * Get test queries from database, or from a dataset file (the first queries, in file order;
+ * a null limit takes all of them)
  */
-async function getTestQueries(limit = 10) {
+async function getTestQueries(limit = 10, dataset = null) {
+  if (dataset) {
+    const { file, queries, duplicates } = await readDataset(dataset);
+    if (duplicates.length > 0) {
+      console.warn(chalk.yellow(`⚠️  Dropped ${duplicates.length} duplicate queries from ${file}`));
+    }
+    return limit === null ? queries : queries.slice(0, limit);
+  }
+  
+  const columnsResult = await pool.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = 'test_queries'`
+  );
+  const columns = new Set(columnsResult.rows.map(row => row.column_name));
+  const missingColumns = Object.keys(MIGRATED_TEST_QUERY_COLUMNS).filter(column => !columns.has(column));
+  if (missingColumns.length > 0) {
+    const migrations = missingColumns.map(column => `dbDocs/migrations/${MIGRATED_TEST_QUERY_COLUMNS[column]}`);
+    console.warn(chalk.yellow(`⚠️  test_queries has no ${missingColumns.join(', ')} column yet; apply ${migrations.join(', ')} to use them`));
+  }
+  
+  const migratedColumns = Object.keys(MIGRATED_TEST_QUERY_COLUMNS)
+    .map(column => columns.has(column) ? column : `NULL AS ${column}`);
   const result = await pool.query(
-    'SELECT id, category, query_text, expected_keywords, difficulty_level FROM test_queries ORDER BY RANDOM() LIMIT $1',
+    `SELECT id, category, query_text, expected_keywords, ${migratedColumns.join(', ')}, difficulty_level FROM test_queries ORDER BY RANDOM() LIMIT $1`,
     [limit]
   );
   return result.rows;
@@ -408,7 +949,14 @@ async function saveBenchmarkResult(result) {
       result.retrieved_document_ids,
       JSON.stringify({
         ...result.metrics,
-        search_strategy: result.search_strategy
+        search_strategy: result.search_strategy,
+        filters: result.filters,
+        query_rewrites: result.query_rewrites,
+        hyde_draft: result.hyde_draft,
+        relevant_documents: result.relevant_documents,
+        reference_answer: result.reference_answer,
+        groundedness_claims: result.groundedness_claims,
+        retrieval_scores: result.retrieval_scores
       })
     ]
   );
@@ -462,10 +1010,14 @@ function generateSummary(results) {
   for (const [strategy, strategyResults] of Object.entries(byStrategy)) {
     const avgTime = average(strategyResults.map(r => r.metrics.searchTime));
     const avgKeywords = average(strategyResults.map(r => r.metrics.keywordMatchPercentage));
+    const retrieval = summarizeRetrievalMetrics(strategyResults);
     
     console.log(chalk.yellow(`  ${strategy}:`));
     console.log(chalk.white(`    Avg Search Time: ${avgTime.toFixed(2)}ms`));
     console.log(chalk.white(`    Avg Keyword Match: ${avgKeywords.toFixed(2)}%`));
+    if (retrieval) {
+      console.log(chalk.white(`    Retrieval: ${formatRetrievalSummary(retrieval)}`));
+    }
   }
   
   // Group by LLM model
@@ -475,11 +1027,19 @@ function generateSummary(results) {
     const avgTime = average(modelResults.map(r => r.metrics.llmResponseTime));
     const avgCost = average(modelResults.map(r => r.metrics.llmCost));
     const avgKeywords = average(modelResults.map(r => r.metrics.keywordMatchPercentage));
+    const judgedResults = modelResults.filter(r => typeof r.metrics.judgeScore === 'number');
+    const referenceSummary = summarizeReferenceScores(modelResults);
     
     console.log(chalk.yellow(`  ${model}:`));
     console.log(chalk.white(`    Avg Response Time: ${avgTime.toFixed(2)}ms`));
     console.log(chalk.white(`    Avg Cost: $${avgCost.toFixed(6)}`));
     console.log(chalk.white(`    Avg Keyword Match: ${avgKeywords.toFixed(2)}%`));
+    if (referenceSummary) {
+      console.log(chalk.white(`    Reference Answers: ${formatReferenceSummary(referenceSummary)}`));
+    }
+    if (judgedResults.length > 0) {
+      console.log(chalk.white(`    Avg Judge Scores: ${formatJudgeScores(averageJudgeScores(judgedResults))} (${judgedResults.length} graded)`));
+    }
   }
   
   // Group by embedding model
@@ -488,10 +1048,14 @@ function generateSummary(results) {
   for (const [model, modelResults] of Object.entries(byEmbedding)) {
     const avgTime = average(modelResults.map(r => r.metrics.searchTime));
     const avgCost = average(modelResults.map(r => r.metrics.embeddingCost));
+    const avgKeywords = average(modelResults.map(r => r.metrics.keywordMatchPercentage));
+    const dimensions = getEmbeddingDimension(model);
     
     console.log(chalk.yellow(`  ${model}:`));
+    console.log(chalk.white(`    Dimensions: ${dimensions} (${getVectorStorageBytes(dimensions)} bytes per vector)`));
     console.log(chalk.white(`    Avg Search Time: ${avgTime.toFixed(2)}ms`));
     console.log(chalk.white(`    Avg Cost: $${avgCost.toFixed(6)}`));
+    console.log(chalk.white(`    Avg Keyword Match: ${avgKeywords.toFixed(2)}%`));
   }
   
   // Group by content type
@@ -506,6 +1070,34 @@ function generateSummary(results) {
     console.log(chalk.white(`    Avg Keyword Match: ${avgKeywords.toFixed(2)}%`));
   }
   
+  // Group by reranker (only when the rerank stage was used)
+  const rerankedResults = successfulResults.filter(r => r.metrics.reranker);
+  if (rerankedResults.length > 0) {
+    const byReranker = groupBy(rerankedResults.map(r => ({ ...r, reranker: r.metrics.reranker })), 'reranker');
+    console.log(chalk.bold.cyan('\nBy Reranker:'));
+    for (const [reranker, rerankerResults] of Object.entries(byReranker)) {
+      const avgTime = average(rerankerResults.map(r => r.metrics.rerankTime));
+      const avgCost = average(rerankerResults.map(r => r.metrics.rerankCost));
+      const avgKeywords = average(rerankerResults.map(r => r.metrics.keywordMatchPercentage));
+      
+      console.log(chalk.yellow(`  ${reranker}:`));
+      console.log(chalk.white(`    Avg Rerank Time: ${avgTime.toFixed(2)}ms`));
+      console.log(chalk.white(`    Avg Rerank Cost: $${avgCost.toFixed(6)}`));
+      console.log(chalk.white(`    Avg Keyword Match: ${avgKeywords.toFixed(2)}%`));
+    }
+  }
+  
+  // Hallucination rate per configuration (only when the groundedness check was used)
+  const groundednessRows = summarizeGroundednessByConfiguration(successfulResults);
+  if (groundednessRows.length > 0) {
+    console.log(chalk.bold.cyan('\nHallucination Rate by Configuration:'));
+    for (const row of groundednessRows) {
+      console.log(chalk.yellow(`  ${row.configuration}:`));
+      console.log(chalk.white(`    Hallucination Rate: ${(row.hallucinationRate * 100).toFixed(2)}% (${row.unsupportedClaims}/${row.claims} claims unsupported)`));
+      console.log(chalk.white(`    Answers with Unsupported Claims: ${row.answersWithHallucinations}/${row.checkedAnswers}`));
+    }
+  }
+  
   // Best combinations
   console.log(chalk.bold.cyan('\nBest Combinations:'));
   
@@ -525,10 +1117,41 @@ function generateSummary(results) {
   console.log(chalk.white(`    Keyword Match: ${mostAccurateResult.metrics.keywordMatchPercentage.toFixed(2)}%`));
 }
 
+/**
+ * Helper function to format judge scores for output
+ */
+function formatJudgeScores(metrics) {
+  const format = score => typeof score === 'number' ? score.toFixed(2) : '-';
+  return `Faithfulness ${format(metrics.judgeFaithfulness)}, Relevance ${format(metrics.judgeRelevance)}, ` +
+    `Completeness ${format(metrics.judgeCompleteness)}, Overall ${format(metrics.judgeScore)}`;
+}
+
+/**
+ * Helper function to average the judge scores of graded results
+ */
+function averageJudgeScores(results) {
+  const averageOf = key => {
+    const scores = results.map(r => r.metrics[key]).filter(score => typeof score === 'number');
+    return scores.length > 0 ? average(scores) : null;
+  };
+  
+  return {
+    judgeFaithfulness: averageOf('judgeFaithfulness'),
+    judgeRelevance: averageOf('judgeRelevance'),
+    judgeCompleteness: averageOf('judgeCompleteness'),
+    judgeScore: averageOf('judgeScore')
+  };
+}
+
 /**
  * Helper function to get embedding dimension
  */
 function getEmbeddingDimension(model) {
+  const { dimensions } = parseEmbeddingModel(model);
+  if (dimensions) {
+    return dimensions;
+  }
+  
   if (model.includes('text-embedding-3-small') || model.includes('text-embedding-004')) {
     return 1536;
   } else if (model.includes('text-embedding-3-large')) {
@@ -539,6 +1162,131 @@ function getEmbeddingDimension(model) {
   return null;
 }
 
+/**
+ * Warn when a documents table mixes embedding models for a content type
+ *
+ * Models of the same dimension share a table; strategies only return rows written by
+ * the query's model, so a mixed table is fine, but a model with no rows is not.
+ * @param {String} embeddingModel - Embedding model used for queries
+ * @param {Number} dimension - Embedding dimension (selects the documents_<dimension> table)
+ * @param {String} contentType - Content type being benchmarked
+ */
+async function checkEmbeddingModelScope(embeddingModel, dimension, contentType) {
+  const tableName = `documents_${dimension}`;
+  const storedModel = getStoredEmbeddingModel(embeddingModel);
+
+  const result = await pool.query(
+    `SELECT embedding_model, COUNT(*) AS count
+     FROM ${tableName}
+     WHERE content_type = $1
+     GROUP BY embedding_model
+     ORDER BY embedding_model`,
+    [contentType]
+  );
+
+  const models = result.rows.map(row => `${row.embedding_model} (${row.count})`);
+
+  if (result.rows.length > 1) {
+    console.log(chalk.yellow(`Warning: ${tableName} mixes embedding models for ${contentType}: ${models.join(', ')}`));
+    console.log(chalk.yellow(`  Searches are restricted to ${storedModel}`));
+  }
+
+  if (!result.rows.some(row => row.embedding_model === storedModel)) {
+    console.log(chalk.yellow(`Warning: ${tableName} has no ${contentType} rows for ${storedModel}; searches will return no results`));
+  }
+}
+
+/**
+ * Look up the ANN index of a documents table and warn when the search settings do not apply
+ * @param {Number} dimension - Embedding dimension (selects the documents_<dimension> table)
+ * @param {Object} annSearch - ANN search settings of the run ({ probes, efSearch }) or null
+ * @param {String} coarseVector - Coarse vector form searched first, if any (tables that store coarse forms only)
+ * @returns {Object|null} Index description ({ name, type, params, form }) or null for exact search
+ */
+async function checkAnnIndex(dimension, annSearch, coarseVector = null) {
+  const tableName = `documents_${dimension}`;
+  const form = coarseVector && COARSE_VECTOR_DIMENSIONS.includes(dimension) ? coarseVector : 'full';
+  const index = await describeAnnIndex(pool, dimension, form);
+
+  if (index) {
+    const params = Object.entries(index.params).map(([key, value]) => `${key}=${value}`).join(', ');
+    console.log(chalk.gray(`${tableName}: ${index.type} index${form === 'full' ? '' : ` on ${form}`} (${params})`));
+  } else if (form !== 'full') {
+    console.log(chalk.yellow(`Warning: ${tableName} has no ${form} index; coarse candidates are found by a full scan (create one with manage-indexes.js create --dimension ${dimension} --form ${form})`));
+  } else {
+    console.log(chalk.gray(`${tableName}: no ANN index, searches are exact`));
+  }
+
+  if (annSearch?.probes !== undefined && index?.type !== 'ivfflat') {
+    console.log(chalk.yellow(`Warning: ${tableName} has no IVFFlat index; --probes has no effect on it`));
+  }
+  if (annSearch?.efSearch !== undefined && index?.type !== 'hnsw') {
+    console.log(chalk.yellow(`Warning: ${tableName} has no HNSW index; --ef-search has no effect on it`));
+  }
+
+  return index;
+}
+
+/**
+ * Helper function to get the database configuration for search strategies
+ */
+function getSearchDbConfig(annSearch) {
+  const options = annSearchConnectionOptions(annSearch);
+  return options ? { ...dbConfig, options } : dbConfig;
+}
+
+/**
+ * Helper function to describe the ANN search settings of a run
+ */
+function describeAnnSearch(annSearch) {
+  const settings = [];
+  if (annSearch.probes !== undefined) settings.push(`ivfflat.probes=${annSearch.probes}`);
+  if (annSearch.efSearch !== undefined) settings.push(`hnsw.ef_search=${annSearch.efSearch}`);
+  return settings.join(', ');
+}
+
+/**
+ * Helper function to describe the coarse vector settings of a run
+ */
+function describeCoarseVector({ coarseVector, rescoreFactor }) {
+  return `${coarseVector} on documents_${COARSE_VECTOR_DIMENSIONS.join(', documents_')}, rescoring ${rescoreFactor ?? DEFAULT_RESCORE_FACTOR} x candidates on full vectors`;
+}
+
+/**
+ * Helper function to get how many extra queries the rewriter may produce
+ */
+function getRewriteCount(rewriteConfig) {
+  return rewriteConfig.count || DEFAULT_REWRITE_COUNT;
+}
+
+/**
+ * Helper function to get how many candidates to retrieve before reranking
+ */
+function getRerankCandidates(rerankConfig, topK) {
+  return Math.max(rerankConfig.candidates || topK * 4, topK);
+}
+
+/**
+ * Helper function to get how many candidates to retrieve before MMR selection
+ */
+function getMMRCandidates(mmrConfig, topK) {
+  return Math.max(mmrConfig.candidates || topK * 4, topK);
+}
+
+/**
+ * Helper function to get the MMR relevance/diversity balance
+ */
+function getMMRLambda(mmrConfig) {
+  return mmrConfig.lambda ?? DEFAULT_MMR_LAMBDA;
+}
+
+/**
+ * Helper function to get the token budget for reassembled parent documents
+ */
+function getParentTokenBudget(parentDocumentConfig) {
+  return parentDocumentConfig.tokenBudget || DEFAULT_PARENT_TOKEN_BUDGET;
+}
+
 /**
  * Helper function to count tokens (approximate)
  */
@@ -552,7 +1300,8 @@ function countTokens(text) {
  * Helper function to calculate embedding cost
  */
 function calculateEmbeddingCost(tokens, model) {
-  const rate = COST_ESTIMATES.embeddings[model] || 0.0001;
+  // Truncated embeddings cost the same as the full ones
+  const rate = COST_ESTIMATES.embeddings[parseEmbeddingModel(model).model] || 0.0001;
   return (tokens / 1000) * rate;
 }
 
@@ -665,6 +1414,8 @@ function getMetricUnit(metricName) {
     return 'tokens';
   } else if (metricName.includes('Percentage')) {
     return '%';
+  } else if (metricName.includes('Bytes')) {
+    return 'bytes';
   }
   return '';
 }
@@ -708,6 +1459,7 @@ async function closeConnection() {
 // Export functions
 export {
   runBenchmark,
+  runRecallBenchmark,
   closeConnection
 };
 
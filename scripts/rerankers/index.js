@@ -0,0 +1,47 @@
+/**
+ * RAG Reranker Factory
+ *
+ * This module provides a factory for the optional reranking stage that runs between
+ * retrieval and answer generation. A reranker exposes
+ * `rerank(queryText, candidates, topK)` and returns `{ results, usage }`, where usage
+ * is null or `{ model, inputText, outputText }` so the benchmark can cost it.
+ */
+
+import { createLLMReranker } from './llm-reranker.js';
+import { createLexicalReranker } from './lexical-reranker.js';
+
+// Available rerankers
+const RERANKERS = {
+  'llm': createLLMReranker,
+  'lexical': createLexicalReranker
+};
+
+/**
+ * Create a reranker
+ * @param {String} rerankerName - Name of the reranker to create
+ * @param {Object} config - Reranker configuration (e.g. { complete, model } for 'llm')
+ * @returns {Object} Reranker instance
+ * @throws {Error} If reranker is not found
+ */
+export function createReranker(rerankerName, config = {}) {
+  const rerankerCreator = RERANKERS[rerankerName];
+
+  if (!rerankerCreator) {
+    throw new Error(`Reranker '${rerankerName}' not found. Available rerankers: ${Object.keys(RERANKERS).join(', ')}`);
+  }
+
+  return rerankerCreator(config);
+}
+
+/**
+ * Get list of available reranker names
+ * @returns {Array} List of available reranker names
+ */
+export function getAvailableRerankers() {
+  return Object.keys(RERANKERS);
+}
+
+export default {
+  createReranker,
+  getAvailableRerankers
+};
@@ -0,0 +1,65 @@
+/**
+ * Lexical Reranker for RAG
+ *
+ * A deterministic, offline reranker that scores candidates by the fraction of query
+ * terms they contain. It needs no API keys, so it is useful for testing the rerank
+ * stage of the benchmark pipeline without spending tokens.
+ */
+
+import { tokenize } from '../text/tokenize.js';
+
+/**
+ * LexicalReranker class
+ */
+export class LexicalReranker {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this.name = 'lexical';
+  }
+
+  /**
+   * Rerank candidates
+   * @param {String} queryText - Original query text
+   * @param {Array} candidates - Search results to rerank
+   * @param {Number} topK - Number of results to keep
+   * @returns {Object} { results, usage: null }
+   */
+  async rerank(queryText, candidates, topK) {
+    const terms = tokenize(queryText);
+
+    const results = candidates
+      .map((candidate, index) => ({ candidate, index, score: this.score(terms, candidate.content) }))
+      .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+      .slice(0, topK)
+      .map(({ candidate, score }) => ({
+        ...candidate,
+        scores: { ...candidate.scores, rerankScore: score }
+      }));
+
+    return { results, usage: null };
+  }
+
+  /**
+   * Score content by the fraction of query terms it contains
+   * @param {Array} terms - Query terms
+   * @param {String} content - Candidate content
+   * @returns {Number} Score between 0 and 1
+   */
+  score(terms, content) {
+    if (terms.length === 0) return 0;
+    const contentTerms = new Set(tokenize(content));
+    return terms.filter(term => contentTerms.has(term)).length / terms.length;
+  }
+}
+
+/**
+ * Create a new lexical reranker
+ * @returns {LexicalReranker} Lexical reranker instance
+ */
+export function createLexicalReranker() {
+  return new LexicalReranker();
+}
+
+export default createLexicalReranker;
@@ -0,0 +1,129 @@
+/**
+ * LLM Reranker for RAG
+ *
+ * This module rescores retrieved candidates by asking a chat model (OpenAI or Gemini,
+ * through the benchmark's completion function) to grade how well each candidate
+ * answers the question, then reorders them by that grade.
+ */
+
+// Characters of each candidate shown to the model
+const MAX_CANDIDATE_CHARS = 800;
+
+/**
+ * LLMReranker class
+ */
+export class LLMReranker {
+  /**
+   * Constructor
+   * @param {Object} config - Reranker configuration
+   * @param {Function} config.complete - async (prompt, model, options) => reply text
+   * @param {String} config.model - Chat model used for grading
+   */
+  constructor(config = {}) {
+    if (typeof config.complete !== 'function') {
+      throw new Error('LLM reranker requires a completion function');
+    }
+    if (!config.model) {
+      throw new Error('LLM reranker requires a model');
+    }
+
+    this.complete = config.complete;
+    this.model = config.model;
+    this.name = 'llm';
+  }
+
+  /**
+   * Rerank candidates
+   * @param {String} queryText - Original query text
+   * @param {Array} candidates - Search results to rerank
+   * @param {Number} topK - Number of results to keep
+   * @returns {Object} { results, usage: { model, inputText, outputText } }
+   */
+  async rerank(queryText, candidates, topK) {
+    if (candidates.length === 0) {
+      return { results: [], usage: null };
+    }
+
+    const prompt = this.buildPrompt(queryText, candidates);
+    const reply = await this.complete(prompt, this.model, {
+      temperature: 0,
+      maxTokens: 20 + candidates.length * 8
+    });
+
+    const grades = this.parseGrades(reply, candidates.length);
+
+    // Keep the retrieval order for ties (and for everything if the reply was unusable)
+    const results = candidates
+      .map((candidate, index) => ({ candidate, index, grade: grades[index] }))
+      .sort((a, b) => (b.grade - a.grade) || (a.index - b.index))
+      .slice(0, topK)
+      .map(({ candidate, grade }) => ({
+        ...candidate,
+        scores: { ...candidate.scores, rerankScore: grade }
+      }));
+
+    return {
+      results,
+      usage: { model: this.model, inputText: prompt, outputText: reply || '' }
+    };
+  }
+
+  /**
+   * Build the grading prompt
+   * @param {String} queryText - Original query text
+   * @param {Array} candidates - Search results to grade
+   * @returns {String} Prompt
+   */
+  buildPrompt(queryText, candidates) {
+    const passages = candidates
+      .map((candidate, index) => `[${index + 1}] ${candidate.content.slice(0, MAX_CANDIDATE_CHARS)}`)
+      .join('\n\n');
+
+    return `
+You are ranking search results about building automation systems, HVAC, and the Xeto specification language.
+Grade how useful each passage is for answering the question, from 0 (irrelevant) to 10 (directly answers it).
+
+Question: ${queryText}
+
+Passages:
+${passages}
+
+Reply with only a JSON array of ${candidates.length} numbers, one grade per passage in the order given.
+`;
+  }
+
+  /**
+   * Parse grades from the model reply
+   * @param {String} reply - Model reply
+   * @param {Number} count - Number of candidates
+   * @returns {Array} One grade per candidate (0 where the reply had none)
+   */
+  parseGrades(reply, count) {
+    const grades = new Array(count).fill(0);
+    const match = (reply || '').match(/\[[^\]]*\]/);
+    if (!match) return grades;
+
+    try {
+      const parsed = JSON.parse(match[0]);
+      for (let i = 0; i < count && i < parsed.length; i++) {
+        const grade = parseFloat(parsed[i]);
+        grades[i] = Number.isFinite(grade) ? grade : 0;
+      }
+    } catch (error) {
+      // Unparseable reply: keep retrieval order
+    }
+
+    return grades;
+  }
+}
+
+/**
+ * Create a new LLM reranker
+ * @param {Object} config - Reranker configuration
+ * @returns {LLMReranker} LLM reranker instance
+ */
+export function createLLMReranker(config) {
+  return new LLMReranker(config);
+}
+
+export default createLLMReranker;
@@ -7,7 +7,15 @@
  * with different configurations.
  */
 
-import { runBenchmark, closeConnection } from './rag-benchmark.js';
+import { runBenchmark, runRecallBenchmark, closeConnection } from './rag-benchmark.js';
+import { getAvailableStrategies, getStrategySource, loadStrategies } from './strategies/index.js';
+import { NORMALIZATION_MODES } from './strategies/score-normalization.js';
+import { COARSE_VECTOR_DIMENSIONS, COARSE_VECTOR_FORMS, DEFAULT_RESCORE_FACTOR } from './strategies/coarse-vectors.js';
+import { MATRYOSHKA_MODELS, parseEmbeddingModel, getNativeDimensions } from './dimensions/matryoshka.js';
+import { getAvailableRerankers } from './rerankers/index.js';
+import { getAvailableJudges } from './judges/index.js';
+import { GROUNDEDNESS_MODES, DEFAULT_SUPPORT_THRESHOLD } from './evaluation/groundedness.js';
+import { getAvailableQueryRewriters } from './query-rewriters/index.js';
 import { parseArgs } from 'node:util';
 import 'dotenv/config';
 import chalk from 'chalk';
@@ -32,16 +40,21 @@ const options = {
     multiple: true,
     default: []
   },
+  dimensions: {
+    type: 'string',
+    multiple: true,
+    default: []
+  },
   content: {
     type: 'string',
     short: 'c',
     multiple: true,
     default: []
   },
+  // No parseArgs default: without --queries, a --dataset runs all of its queries (see buildNumQueries)
   queries: {
     type: 'string',
-    short: 'q',
-    default: '10'
+    short: 'q'
   },
   topk: {
     type: 'string',
@@ -53,6 +66,139 @@ const options = {
     short: 'o',
     default: 'results/benchmark-results.json'
   },
+  library: {
+    type: 'string',
+    multiple: true,
+    default: []
+  },
+  spec: {
+    type: 'string',
+    multiple: true,
+    default: []
+  },
+  meta: {
+    type: 'string',
+    multiple: true,
+    default: []
+  },
+  'chunk-size': {
+    type: 'string'
+  },
+  'file-prefix': {
+    type: 'string'
+  },
+  inherits: {
+    type: 'string',
+    multiple: true,
+    default: []
+  },
+  'rrf-k': {
+    type: 'string'
+  },
+  'graph-hops': {
+    type: 'string'
+  },
+  'graph-seeds': {
+    type: 'string'
+  },
+  'graph-budget': {
+    type: 'string'
+  },
+  'bm25-k1': {
+    type: 'string'
+  },
+  'bm25-b': {
+    type: 'string'
+  },
+  probes: {
+    type: 'string'
+  },
+  'ef-search': {
+    type: 'string'
+  },
+  'coarse-vector': {
+    type: 'string'
+  },
+  'rescore-factor': {
+    type: 'string'
+  },
+  normalization: {
+    type: 'string',
+    short: 'n'
+  },
+  rewrite: {
+    type: 'string'
+  },
+  'rewrite-count': {
+    type: 'string'
+  },
+  'rewrite-model': {
+    type: 'string'
+  },
+  hyde: {
+    type: 'boolean',
+    default: false
+  },
+  'hyde-model': {
+    type: 'string'
+  },
+  rerank: {
+    type: 'string',
+    short: 'r'
+  },
+  'rerank-candidates': {
+    type: 'string'
+  },
+  'rerank-model': {
+    type: 'string'
+  },
+  'mmr-lambda': {
+    type: 'string'
+  },
+  'mmr-candidates': {
+    type: 'string'
+  },
+  'parent-docs': {
+    type: 'boolean',
+    default: false
+  },
+  'parent-window': {
+    type: 'string'
+  },
+  'parent-budget': {
+    type: 'string'
+  },
+  judge: {
+    type: 'string'
+  },
+  'judge-model': {
+    type: 'string'
+  },
+  groundedness: {
+    type: 'string'
+  },
+  'groundedness-model': {
+    type: 'string'
+  },
+  'groundedness-threshold': {
+    type: 'string'
+  },
+  'similarity-model': {
+    type: 'string'
+  },
+  dataset: {
+    type: 'string'
+  },
+  'strategy-dir': {
+    type: 'string',
+    multiple: true,
+    default: []
+  },
+  'strategy-package': {
+    type: 'string',
+    multiple: true,
+    default: []
+  },
   help: {
     type: 'boolean',
     short: 'h',
@@ -80,6 +226,16 @@ const availableModels = {
 // Parse arguments
 const { values, positionals } = parseArgs({ options, allowPositionals: true });
 
+// Load third-party strategies (flags take precedence over RAG_STRATEGY_DIRS / RAG_STRATEGY_PACKAGES)
+const strategySources = {
+  directories: values['strategy-dir'].length > 0 ? values['strategy-dir'] : undefined,
+  packages: values['strategy-package'].length > 0 ? values['strategy-package'] : undefined
+};
+const { errors: strategyLoadErrors } = await loadStrategies(strategySources);
+for (const { source, message } of strategyLoadErrors) {
+  console.warn(chalk.yellow(`⚠️  Could not load strategy from ${source}: ${message}`));
+}
+
 // Show help
 if (values.help) {
   showHelp();
@@ -105,14 +261,53 @@ if (positionals.includes('preset')) {
   process.exit(0);
 }
 
+// Measure exact vs. ANN recall instead of running the RAG pipeline
+if (positionals.includes('recall')) {
+  const recallOptions = {
+    embeddingModels: buildEmbeddingModels(values),
+    contentTypes: values.content.length > 0 ? values.content : availableModels.content,
+    numQueries: buildNumQueries(values),
+    dataset: values.dataset,
+    topK: parseInt(values.topk, 10),
+    annSearch: buildAnnSearchOptions(values),
+    ...buildCoarseVectorOptions(values),
+    outputFile: values.output === options.output.default ? 'results/ann-recall.json' : values.output
+  };
+  
+  let exitCode = 0;
+  try {
+    await runRecallBenchmark(recallOptions);
+  } catch (error) {
+    console.error(chalk.bold.red('❌ Recall benchmark failed:'), error);
+    exitCode = 1;
+  } finally {
+    await closeConnection();
+  }
+  process.exit(exitCode);
+}
+
 // Prepare benchmark options
 const benchmarkOptions = {
   searchStrategies: values.strategy.length > 0 ? values.strategy : availableModels.strategy,
   llmModels: values.llm.length > 0 ? values.llm : availableModels.llm,
-  embeddingModels: values.embedding.length > 0 ? values.embedding : availableModels.embedding,
+  embeddingModels: buildEmbeddingModels(values),
   contentTypes: values.content.length > 0 ? values.content : availableModels.content,
-  numQueries: parseInt(values.queries, 10),
+  numQueries: buildNumQueries(values),
+  dataset: values.dataset,
   topK: parseInt(values.topk, 10),
+  filters: buildFilters(values),
+  strategyOptions: buildStrategyOptions(values),
+  rewrite: buildRewriteOptions(values),
+  hyde: buildHydeOptions(values),
+  rerank: buildRerankOptions(values),
+  mmr: buildMMROptions(values),
+  parentDocument: buildParentDocumentOptions(values),
+  annSearch: buildAnnSearchOptions(values),
+  judge: buildJudgeOptions(values),
+  groundedness: buildGroundednessOptions(values),
+  similarityModel: buildSimilarityModel(values),
+  strategyDirectories: strategySources.directories,
+  strategyPackages: strategySources.packages,
   outputFile: values.output
 };
 
@@ -129,6 +324,447 @@ runBenchmark(benchmarkOptions)
     closeConnection();
   });
 
+/**
+ * Build metadata filters from command line values
+ */
+function buildFilters(values) {
+  const filters = {};
+  
+  if (values.library.length > 0) filters.library = values.library;
+  if (values.spec.length > 0) filters.specName = values.spec;
+  if (values.inherits.length > 0) filters.inherits = values.inherits;
+  if (values['file-prefix'] !== undefined) filters.filePathPrefix = values['file-prefix'];
+  
+  if (values['chunk-size'] !== undefined) {
+    const chunkSize = parseInt(values['chunk-size'], 10);
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+      console.error(chalk.bold.red(`❌ Error: --chunk-size must be a positive integer, got '${values['chunk-size']}'`));
+      process.exit(1);
+    }
+    filters.chunkSize = chunkSize;
+  }
+  
+  if (values.meta.length > 0) {
+    filters.metadata = {};
+    for (const pair of values.meta) {
+      const separator = pair.indexOf('=');
+      if (separator <= 0) {
+        console.error(chalk.bold.red(`❌ Error: --meta expects key=value, got '${pair}'`));
+        process.exit(1);
+      }
+      filters.metadata[pair.slice(0, separator)] = parseMetaValue(pair.slice(separator + 1));
+    }
+  }
+  
+  return filters;
+}
+
+/**
+ * Parse a --meta value as JSON (true, 42, "x") and fall back to the raw string
+ */
+function parseMetaValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Build the number of test queries to run (null runs every query of a --dataset)
+ */
+function buildNumQueries(values) {
+  if (values.queries === undefined) {
+    return values.dataset !== undefined ? null : 10;
+  }
+  
+  const numQueries = parseInt(values.queries, 10);
+  if (!/^\d+$/.test(values.queries) || numQueries < 1) {
+    console.error(chalk.bold.red(`❌ Error: --queries must be a positive integer, got '${values.queries}'`));
+    process.exit(1);
+  }
+  return numQueries;
+}
+
+/**
+ * Build the embedding models to benchmark, adding Matryoshka truncations for --dimensions
+ */
+function buildEmbeddingModels(values) {
+  const models = values.embedding.length > 0 ? values.embedding : availableModels.embedding;
+  
+  const dimensions = values.dimensions.map(value => {
+    const dimension = parseInt(value, 10);
+    if (!/^\d+$/.test(value) || dimension < 1) {
+      console.error(chalk.bold.red(`❌ Error: --dimensions must be a positive integer, got '${value}'`));
+      process.exit(1);
+    }
+    return dimension;
+  });
+  
+  const embeddingModels = [];
+  for (const model of models) {
+    embeddingModels.push(model);
+    if (!model) continue;
+    
+    try {
+      // Validates model@dimensions specs given with --embedding
+      parseEmbeddingModel(model);
+      
+      // --dimensions only applies to native models that support shortening, up to their size
+      const nativeDimensions = getNativeDimensions(model);
+      if (!nativeDimensions || model.includes('@')) continue;
+      for (const dimension of dimensions) {
+        if (dimension === nativeDimensions) continue;
+        if (dimension > nativeDimensions) {
+          console.log(chalk.gray(`  - Skipped ${model}@${dimension}: ${model} has ${nativeDimensions} dimensions`));
+          continue;
+        }
+        embeddingModels.push(`${model}@${dimension}`);
+      }
+    } catch (error) {
+      console.error(chalk.bold.red(`❌ Error: ${error.message}`));
+      process.exit(1);
+    }
+  }
+  
+  return embeddingModels;
+}
+
+/**
+ * Build strategy-specific options from command line values
+ */
+function buildStrategyOptions(values) {
+  const strategyOptions = {};
+  
+  if (values['rrf-k'] !== undefined) {
+    const rrfK = parseFloat(values['rrf-k']);
+    if (!Number.isFinite(rrfK) || rrfK < 0) {
+      console.error(chalk.bold.red(`❌ Error: --rrf-k must be a non-negative number, got '${values['rrf-k']}'`));
+      process.exit(1);
+    }
+    strategyOptions.rrfK = rrfK;
+  }
+  
+  const graphOptions = [
+    ['graph-hops', 'graphHops', 0],
+    ['graph-seeds', 'graphSeeds', 1],
+    ['graph-budget', 'graphBudget', 0]
+  ];
+  for (const [flag, option, minimum] of graphOptions) {
+    if (values[flag] === undefined) continue;
+    const value = parseInt(values[flag], 10);
+    if (!Number.isInteger(value) || value < minimum) {
+      console.error(chalk.bold.red(`❌ Error: --${flag} must be an integer >= ${minimum}, got '${values[flag]}'`));
+      process.exit(1);
+    }
+    strategyOptions[option] = value;
+  }
+  
+  if (values['bm25-k1'] !== undefined) {
+    const k1 = parseFloat(values['bm25-k1']);
+    if (!Number.isFinite(k1) || k1 < 0) {
+      console.error(chalk.bold.red(`❌ Error: --bm25-k1 must be a non-negative number, got '${values['bm25-k1']}'`));
+      process.exit(1);
+    }
+    strategyOptions.bm25K1 = k1;
+  }
+  
+  if (values['bm25-b'] !== undefined) {
+    const b = parseFloat(values['bm25-b']);
+    if (!Number.isFinite(b) || b < 0 || b > 1) {
+      console.error(chalk.bold.red(`❌ Error: --bm25-b must be a number between 0 and 1, got '${values['bm25-b']}'`));
+      process.exit(1);
+    }
+    strategyOptions.bm25B = b;
+  }
+  
+  if (values.normalization !== undefined) {
+    if (!NORMALIZATION_MODES.includes(values.normalization)) {
+      console.error(chalk.bold.red(`❌ Error: --normalization must be one of ${NORMALIZATION_MODES.join(', ')}, got '${values.normalization}'`));
+      process.exit(1);
+    }
+    strategyOptions.normalization = values.normalization;
+  }
+  
+  return { ...strategyOptions, ...buildCoarseVectorOptions(values) };
+}
+
+/**
+ * Build two-stage coarse vector search options from command line values
+ */
+function buildCoarseVectorOptions(values) {
+  if (values['rescore-factor'] !== undefined && values['coarse-vector'] === undefined) {
+    console.error(chalk.bold.red('❌ Error: --rescore-factor requires --coarse-vector'));
+    process.exit(1);
+  }
+  if (values['coarse-vector'] === undefined) {
+    return {};
+  }
+  
+  if (!COARSE_VECTOR_FORMS[values['coarse-vector']]) {
+    console.error(chalk.bold.red(`❌ Error: --coarse-vector must be one of ${Object.keys(COARSE_VECTOR_FORMS).join(', ')}, got '${values['coarse-vector']}'`));
+    process.exit(1);
+  }
+  const coarseOptions = { coarseVector: values['coarse-vector'] };
+  
+  if (values['rescore-factor'] !== undefined) {
+    const rescoreFactor = parseInt(values['rescore-factor'], 10);
+    if (!Number.isInteger(rescoreFactor) || rescoreFactor < 1) {
+      console.error(chalk.bold.red(`❌ Error: --rescore-factor must be a positive integer, got '${values['rescore-factor']}'`));
+      process.exit(1);
+    }
+    coarseOptions.rescoreFactor = rescoreFactor;
+  }
+  
+  return coarseOptions;
+}
+
+/**
+ * Build query rewriting options from command line values
+ */
+function buildRewriteOptions(values) {
+  if (values.rewrite === undefined) {
+    return null;
+  }
+  
+  if (!getAvailableQueryRewriters().includes(values.rewrite)) {
+    console.error(chalk.bold.red(`❌ Error: --rewrite must be one of ${getAvailableQueryRewriters().join(', ')}, got '${values.rewrite}'`));
+    process.exit(1);
+  }
+  
+  const rewrite = { rewriter: values.rewrite };
+  
+  if (values['rewrite-count'] !== undefined) {
+    const count = parseInt(values['rewrite-count'], 10);
+    if (!Number.isInteger(count) || count < 1) {
+      console.error(chalk.bold.red(`❌ Error: --rewrite-count must be a positive integer, got '${values['rewrite-count']}'`));
+      process.exit(1);
+    }
+    rewrite.count = count;
+  }
+  
+  if (values['rewrite-model'] !== undefined) {
+    rewrite.model = values['rewrite-model'];
+  }
+  
+  return rewrite;
+}
+
+/**
+ * Build HyDE options from command line values
+ */
+function buildHydeOptions(values) {
+  if (!values.hyde && values['hyde-model'] === undefined) {
+    return null;
+  }
+  
+  return values['hyde-model'] !== undefined ? { model: values['hyde-model'] } : {};
+}
+
+/**
+ * Build reranking options from command line values
+ */
+function buildRerankOptions(values) {
+  if (values.rerank === undefined) {
+    return null;
+  }
+  
+  if (!getAvailableRerankers().includes(values.rerank)) {
+    console.error(chalk.bold.red(`❌ Error: --rerank must be one of ${getAvailableRerankers().join(', ')}, got '${values.rerank}'`));
+    process.exit(1);
+  }
+  
+  const rerank = { reranker: values.rerank };
+  
+  if (values['rerank-candidates'] !== undefined) {
+    const candidates = parseInt(values['rerank-candidates'], 10);
+    if (!Number.isInteger(candidates) || candidates < 1) {
+      console.error(chalk.bold.red(`❌ Error: --rerank-candidates must be a positive integer, got '${values['rerank-candidates']}'`));
+      process.exit(1);
+    }
+    rerank.candidates = candidates;
+  }
+  
+  if (values['rerank-model'] !== undefined) {
+    rerank.model = values['rerank-model'];
+  }
+  
+  return rerank;
+}
+
+/**
+ * Build answer judge options from command line values
+ */
+function buildJudgeOptions(values) {
+  if (values.judge === undefined) {
+    if (values['judge-model'] !== undefined) {
+      console.error(chalk.bold.red('❌ Error: --judge-model needs --judge llm'));
+      process.exit(1);
+    }
+    return null;
+  }
+  
+  if (!getAvailableJudges().includes(values.judge)) {
+    console.error(chalk.bold.red(`❌ Error: --judge must be one of ${getAvailableJudges().join(', ')}, got '${values.judge}'`));
+    process.exit(1);
+  }
+  
+  const judge = { judge: values.judge };
+  
+  if (values['judge-model'] !== undefined) {
+    judge.model = values['judge-model'];
+  }
+  
+  return judge;
+}
+
+/**
+ * Build groundedness check options from command line values
+ */
+function buildGroundednessOptions(values) {
+  if (values.groundedness === undefined) {
+    if (values['groundedness-model'] !== undefined || values['groundedness-threshold'] !== undefined) {
+      console.error(chalk.bold.red('❌ Error: --groundedness-model and --groundedness-threshold need --groundedness'));
+      process.exit(1);
+    }
+    return null;
+  }
+  
+  if (!GROUNDEDNESS_MODES.includes(values.groundedness)) {
+    console.error(chalk.bold.red(`❌ Error: --groundedness must be one of ${GROUNDEDNESS_MODES.join(', ')}, got '${values.groundedness}'`));
+    process.exit(1);
+  }
+  
+  const groundedness = { mode: values.groundedness };
+  
+  if (values['groundedness-threshold'] !== undefined) {
+    const threshold = parseFloat(values['groundedness-threshold']);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+      console.error(chalk.bold.red(`❌ Error: --groundedness-threshold must be a number greater than 0 and at most 1, got '${values['groundedness-threshold']}'`));
+      process.exit(1);
+    }
+    groundedness.threshold = threshold;
+  }
+  
+  if (values['groundedness-model'] !== undefined) {
+    groundedness.model = values['groundedness-model'];
+  }
+  
+  return groundedness;
+}
+
+/**
+ * Build the embedding model for reference answer similarity from command line values
+ */
+function buildSimilarityModel(values) {
+  if (values['similarity-model'] === undefined) {
+    return null;
+  }
+  
+  try {
+    // Validates model@dimensions specs
+    parseEmbeddingModel(values['similarity-model']);
+  } catch (error) {
+    console.error(chalk.bold.red(`❌ Error: --similarity-model: ${error.message}`));
+    process.exit(1);
+  }
+  
+  return values['similarity-model'];
+}
+
+/**
+ * Build MMR diversification options from command line values
+ */
+function buildMMROptions(values) {
+  if (values['mmr-lambda'] === undefined && values['mmr-candidates'] === undefined) {
+    return null;
+  }
+  
+  const mmr = {};
+  
+  if (values['mmr-lambda'] !== undefined) {
+    const lambda = parseFloat(values['mmr-lambda']);
+    if (!Number.isFinite(lambda) || lambda < 0 || lambda > 1) {
+      console.error(chalk.bold.red(`❌ Error: --mmr-lambda must be between 0 and 1, got '${values['mmr-lambda']}'`));
+      process.exit(1);
+    }
+    mmr.lambda = lambda;
+  }
+  
+  if (values['mmr-candidates'] !== undefined) {
+    const candidates = parseInt(values['mmr-candidates'], 10);
+    if (!Number.isInteger(candidates) || candidates < 1) {
+      console.error(chalk.bold.red(`❌ Error: --mmr-candidates must be a positive integer, got '${values['mmr-candidates']}'`));
+      process.exit(1);
+    }
+    mmr.candidates = candidates;
+  }
+  
+  return mmr;
+}
+
+/**
+ * Build parent-document (small-to-big) options from command line values
+ */
+function buildParentDocumentOptions(values) {
+  if (!values['parent-docs'] && values['parent-window'] === undefined && values['parent-budget'] === undefined) {
+    return null;
+  }
+  
+  const parentDocument = {};
+  
+  if (values['parent-window'] !== undefined) {
+    const window = parseInt(values['parent-window'], 10);
+    if (!Number.isInteger(window) || window < 0) {
+      console.error(chalk.bold.red(`❌ Error: --parent-window must be a non-negative integer, got '${values['parent-window']}'`));
+      process.exit(1);
+    }
+    parentDocument.window = window;
+  }
+  
+  if (values['parent-budget'] !== undefined) {
+    const tokenBudget = parseInt(values['parent-budget'], 10);
+    if (!Number.isInteger(tokenBudget) || tokenBudget < 1) {
+      console.error(chalk.bold.red(`❌ Error: --parent-budget must be a positive integer, got '${values['parent-budget']}'`));
+      process.exit(1);
+    }
+    parentDocument.tokenBudget = tokenBudget;
+  }
+  
+  return parentDocument;
+}
+
+/**
+ * Build ANN search settings from command line values
+ */
+function buildAnnSearchOptions(values) {
+  if (values.probes === undefined && values['ef-search'] === undefined) {
+    return null;
+  }
+  
+  const annSearch = {};
+  
+  if (values.probes !== undefined) {
+    const probes = parseInt(values.probes, 10);
+    if (!Number.isInteger(probes) || probes < 1) {
+      console.error(chalk.bold.red(`❌ Error: --probes must be a positive integer, got '${values.probes}'`));
+      process.exit(1);
+    }
+    annSearch.probes = probes;
+  }
+  
+  if (values['ef-search'] !== undefined) {
+    const efSearch = parseInt(values['ef-search'], 10);
+    if (!Number.isInteger(efSearch) || efSearch < 1 || efSearch > 1000) {
+      console.error(chalk.bold.red(`❌ Error: --ef-search must be an integer from 1 to 1000, got '${values['ef-search']}'`));
+      process.exit(1);
+    }
+    annSearch.efSearch = efSearch;
+  }
+  
+  return annSearch;
+}
+
 /**
  * Show help message
  */
@@ -140,21 +776,66 @@ ${chalk.white('Usage:')}
   ${chalk.yellow('node run-benchmark.js [options]')}
   ${chalk.yellow('node run-benchmark.js list')}
   ${chalk.yellow('node run-benchmark.js preset <preset-name>')}
+  ${chalk.yellow('node run-benchmark.js recall [options]')}
 
 ${chalk.white('Options:')}
   ${chalk.cyan('-s, --strategy')} ${chalk.gray('<name>')}   Search strategy to use (can be specified multiple times)
   ${chalk.cyan('-l, --llm')} ${chalk.gray('<model>')}       LLM model to use (can be specified multiple times)
-  ${chalk.cyan('-e, --embedding')} ${chalk.gray('<model>')} Embedding model to use (can be specified multiple times)
+  ${chalk.cyan('-e, --embedding')} ${chalk.gray('<model>')} Embedding model to use (can be specified multiple times; model@n for a truncation)
+  ${chalk.cyan('--dimensions')} ${chalk.gray('<n>')}        Also benchmark ${Object.keys(MATRYOSHKA_MODELS).join(' / ')} truncated to n dimensions (can be specified multiple times)
+                          (fill documents_<n> first with build-database.js --dimensions n)
   ${chalk.cyan('-c, --content')} ${chalk.gray('<type>')}    Content type to use (can be specified multiple times)
-  ${chalk.cyan('-q, --queries')} ${chalk.gray('<number>')}  Number of test queries to run (default: 10)
+  ${chalk.cyan('-q, --queries')} ${chalk.gray('<number>')}  Number of test queries to run (default: 10, or all queries of --dataset)
+  ${chalk.cyan('--dataset')} ${chalk.gray('<file>')}       Run the test queries of a .jsonl/.csv dataset file (or named dataset) instead of the database
   ${chalk.cyan('-k, --topk')} ${chalk.gray('<number>')}     Number of top results to retrieve (default: 5)
   ${chalk.cyan('-o, --output')} ${chalk.gray('<file>')}     Output file for results (default: benchmark-results.json)
+  ${chalk.cyan('--library')} ${chalk.gray('<name>')}        Only search documents from this Xeto library (can be specified multiple times)
+  ${chalk.cyan('--spec')} ${chalk.gray('<name>')}           Only search documents for this Xeto spec (can be specified multiple times)
+  ${chalk.cyan('--meta')} ${chalk.gray('<key=value>')}      Only search documents whose metadata contains key=value (can be specified multiple times)
+  ${chalk.cyan('--chunk-size')} ${chalk.gray('<chars>')}    Only search chunks built with this chunk size
+  ${chalk.cyan('--file-prefix')} ${chalk.gray('<path>')}    Only search documents whose file_path starts with this prefix
+  ${chalk.cyan('--inherits')} ${chalk.gray('<type>')}       Only search specs whose inheritance_path contains this type (can be specified multiple times)
+  ${chalk.cyan('-n, --normalization')} ${chalk.gray('<mode>')} Score normalization before hybrid/combined fusion: none, minmax, zscore, rank (default: none)
+  ${chalk.cyan('--rewrite')} ${chalk.gray('<name>')}        Retrieve with extra rewritten queries and merge the results: llm, rules (offline)
+  ${chalk.cyan('--rewrite-count')} ${chalk.gray('<n>')}     Maximum extra queries per test query (default: 3)
+  ${chalk.cyan('--rewrite-model')} ${chalk.gray('<model>')} Chat model used by the llm rewriter (default: the benchmarked LLM)
+  ${chalk.cyan('--hyde')}                  Search with the embedding of an LLM-drafted answer instead of the question (HyDE)
+  ${chalk.cyan('--hyde-model')} ${chalk.gray('<model>')}    Chat model that drafts the answer (default: the benchmarked LLM)
+  ${chalk.cyan('-r, --rerank')} ${chalk.gray('<name>')}     Rerank retrieved candidates before the LLM: llm, lexical (offline)
+  ${chalk.cyan('--rerank-candidates')} ${chalk.gray('<n>')} Candidates to retrieve before reranking (default: 4 x topk)
+  ${chalk.cyan('--rerank-model')} ${chalk.gray('<model>')}  Chat model used by the llm reranker (default: the benchmarked LLM)
+  ${chalk.cyan('--mmr-lambda')} ${chalk.gray('<0-1>')}       Diversify context with MMR (1 = relevance only, 0 = diversity only; default: 0.5)
+  ${chalk.cyan('--mmr-candidates')} ${chalk.gray('<n>')}    Candidates to choose from with MMR (default: 4 x topk)
+  ${chalk.cyan('--parent-docs')}           Replace matched chunks with their reassembled source items (small-to-big)
+  ${chalk.cyan('--parent-window')} ${chalk.gray('<n>')}     Neighbouring chunks to add on each side of a match (default: whole item)
+  ${chalk.cyan('--parent-budget')} ${chalk.gray('<tokens>')} Token budget for the reassembled context (default: 2000)
+  ${chalk.cyan('--judge')} ${chalk.gray('<name>')}          Grade answers for faithfulness, relevance and completeness: llm, stub (offline)
+  ${chalk.cyan('--judge-model')} ${chalk.gray('<model>')}   Chat model used by the llm judge (default: the benchmarked LLM)
+  ${chalk.cyan('--groundedness')} ${chalk.gray('<mode>')}   Check answer claims against the retrieved documents: ${GROUNDEDNESS_MODES.join(', ')} (llm verifies what overlap misses)
+  ${chalk.cyan('--groundedness-model')} ${chalk.gray('<model>')} Chat model verifying claims in llm mode (default: the benchmarked LLM)
+  ${chalk.cyan('--groundedness-threshold')} ${chalk.gray('<0-1>')} Share of a claim's terms one document must contain to support it (default: ${DEFAULT_SUPPORT_THRESHOLD})
+  ${chalk.cyan('--similarity-model')} ${chalk.gray('<model>')} Embedding model comparing answers with reference answers (default: the benchmarked embedding model)
+  ${chalk.cyan('--rrf-k')} ${chalk.gray('<number>')}       k constant for rrf-search fusion (default: 60)
+  ${chalk.cyan('--graph-hops')} ${chalk.gray('<n>')}        Inheritance hops followed by graph-expand-search (default: 1)
+  ${chalk.cyan('--graph-seeds')} ${chalk.gray('<n>')}       Vector-search seeds for graph-expand-search (default: half of topk, at most topk)
+  ${chalk.cyan('--graph-budget')} ${chalk.gray('<n>')}      Maximum parents/children added by graph-expand-search (default: topk - seeds)
+  ${chalk.cyan('--bm25-k1')} ${chalk.gray('<number>')}     Term frequency saturation for bm25-search (default: 1.2)
+  ${chalk.cyan('--bm25-b')} ${chalk.gray('<0-1>')}         Document length normalization for bm25-search (default: 0.75)
+  ${chalk.cyan('--probes')} ${chalk.gray('<n>')}            IVFFlat lists scanned per search (ivfflat.probes; see manage-indexes.js)
+  ${chalk.cyan('--ef-search')} ${chalk.gray('<n>')}         HNSW candidate list size per search (hnsw.ef_search; see manage-indexes.js)
+  ${chalk.cyan('--coarse-vector')} ${chalk.gray('<form>')}  Search documents_${COARSE_VECTOR_DIMENSIONS.join('/')} in two stages via a coarse form: ${Object.keys(COARSE_VECTOR_FORMS).join(', ')}
+  ${chalk.cyan('--rescore-factor')} ${chalk.gray('<n>')}    Coarse candidates per result rescored on full vectors (default: ${DEFAULT_RESCORE_FACTOR})
+  ${chalk.cyan('--strategy-dir')} ${chalk.gray('<dir>')}    Load extra search strategies from a directory (can be specified multiple times)
+  ${chalk.cyan('--strategy-package')} ${chalk.gray('<pkg>')} Load an extra search strategy from a package (can be specified multiple times)
   ${chalk.cyan('-h, --help')}              Show this help message
 
 ${chalk.white('Commands:')}
   ${chalk.magenta('list')}                    List available models and content types
   ${chalk.magenta('preset')} ${chalk.gray('<name>')}           Run a predefined benchmark preset
                           Available presets: all, openai, gemini, fastest, cheapest
+  ${chalk.magenta('recall')}                  Compare each table's ANN top-K with the exact top-K (recall@K, latency)
+                          Uses --embedding, --content, --queries, --dataset, --topk, --probes,
+                          --ef-search, --coarse-vector, --rescore-factor
 
 ${chalk.white('Examples:')}
   ${chalk.gray('# Run with default options')}
@@ -166,9 +847,63 @@ ${chalk.white('Examples:')}
   ${chalk.gray('# Run with specific content type and number of queries')}
   ${chalk.yellow('node run-benchmark.js --content xeto --queries 5')}
 
+  ${chalk.gray('# Benchmark a dataset file without importing its queries')}
+  ${chalk.yellow('node run-benchmark.js --dataset default --queries 5')}
+
   ${chalk.gray('# List available configurations')}
   ${chalk.yellow('node run-benchmark.js list')}
 
+  ${chalk.gray('# Only search abstract point specs from ph.points built with 500-char chunks')}
+  ${chalk.yellow('node run-benchmark.js --library ph.points --meta isAbstract=true --chunk-size 500')}
+
+  ${chalk.gray('# Compare fusion with min-max normalized scores')}
+  ${chalk.yellow('node run-benchmark.js --strategy hybrid-search --strategy combined-search --normalization minmax')}
+
+  ${chalk.gray('# Expand Xeto terms like "CO2" into Co2Sensor before retrieval')}
+  ${chalk.yellow('node run-benchmark.js --strategy hybrid-search --rewrite rules')}
+
+  ${chalk.gray('# Compare plain and HyDE vector search on abstract questions')}
+  ${chalk.yellow('node run-benchmark.js --strategy vector-search --hyde')}
+
+  ${chalk.gray('# Rerank 20 vector-search candidates down to 5 with an LLM')}
+  ${chalk.yellow(`node run-benchmark.js --strategy vector-search --rerank llm --rerank-candidates 20 --rerank-model ${process.env.GEMINI_FLASH_MODEL}`)}
+
+  ${chalk.gray('# Grade answers against each query\'s rubric with a separate judge model')}
+  ${chalk.yellow(`node run-benchmark.js --strategy hybrid-search --judge llm --judge-model ${process.env.GEMINI_PRO_MODEL}`)}
+
+  ${chalk.gray('# Measure how often answers go beyond the retrieved documents')}
+  ${chalk.yellow('node run-benchmark.js --strategy vector-search --strategy bm25-search --groundedness llm')}
+
+  ${chalk.gray('# Score answers against reference answers with one embedding model for every run')}
+  ${chalk.yellow(`node run-benchmark.js --embedding ${process.env.OPENAI_EMBEDDING_SMALL} --embedding ${process.env.GEMINI_EMBEDDING_STABLE} --similarity-model ${process.env.OPENAI_EMBEDDING_SMALL}`)}
+
+  ${chalk.gray('# Drop near-duplicate chunks from the context with MMR')}
+  ${chalk.yellow('node run-benchmark.js --strategy hybrid-search --mmr-lambda 0.7')}
+
+  ${chalk.gray('# Answer inheritance questions with seeds plus two hops of parents/children')}
+  ${chalk.yellow('node run-benchmark.js --strategy graph-expand-search --graph-hops 2 --graph-budget 6')}
+
+  ${chalk.gray('# Rank by real BM25 with less length normalization')}
+  ${chalk.yellow('node run-benchmark.js --strategy bm25-search --bm25-k1 1.5 --bm25-b 0.5')}
+
+  ${chalk.gray('# Trade recall for latency on an HNSW-indexed table')}
+  ${chalk.yellow('node run-benchmark.js --strategy vector-search --ef-search 20')}
+
+  ${chalk.gray('# Measure what that ef_search costs in recall@10')}
+  ${chalk.yellow('node run-benchmark.js recall --embedding text-embedding-3-small --topk 10 --ef-search 20')}
+
+  ${chalk.gray('# Chart quality against storage for truncated text-embedding-3-large embeddings')}
+  ${chalk.yellow('node run-benchmark.js --embedding text-embedding-3-large --dimensions 256 --dimensions 512 --dimensions 1024')}
+
+  ${chalk.gray('# Search 3072-dimension embeddings through their halfvec HNSW index, rescoring 8 x topk candidates')}
+  ${chalk.yellow('node run-benchmark.js --embedding text-embedding-3-large --coarse-vector halfvec --rescore-factor 8')}
+
+  ${chalk.gray('# Match on 500-char chunks but answer from whole specs')}
+  ${chalk.yellow('node run-benchmark.js --chunk-size 500 --parent-docs --parent-budget 3000')}
+
+  ${chalk.gray('# Benchmark an experimental strategy from a local directory')}
+  ${chalk.yellow('node run-benchmark.js --strategy-dir ./my-strategies --strategy my-search')}
+
   ${chalk.gray('# Run a preset configuration')}
   ${chalk.yellow('node run-benchmark.js preset fastest')}
 `));
@@ -182,7 +917,11 @@ function showAvailableConfigurations() {
   console.log(chalk.blue('========================\n'));
   
   console.log(chalk.bold.cyan('Search Strategies:'));
-  availableModels.strategy.forEach(strategy => console.log(`  - ${chalk.green(strategy)}`));
+  getAvailableStrategies().forEach(strategy => {
+    const source = getStrategySource(strategy);
+    const label = source === 'built-in' ? '' : ` ${chalk.gray(`(${source})`)}`;
+    console.log(`  - ${chalk.green(strategy)}${label}`);
+  });
   
   console.log(chalk.bold.cyan('\nLLM Models:'));
   availableModels.llm.forEach(model => console.log(`  - ${chalk.green(model)}`));
@@ -193,6 +932,15 @@ function showAvailableConfigurations() {
   console.log(chalk.bold.cyan('\nContent Types:'));
   availableModels.content.forEach(type => console.log(`  - ${chalk.green(type)}`));
   
+  console.log(chalk.bold.cyan('\nRerankers:'));
+  getAvailableRerankers().forEach(reranker => console.log(`  - ${chalk.green(reranker)}`));
+  
+  console.log(chalk.bold.cyan('\nAnswer Judges:'));
+  getAvailableJudges().forEach(judge => console.log(`  - ${chalk.green(judge)}`));
+  
+  console.log(chalk.bold.cyan('\nQuery Rewriters:'));
+  getAvailableQueryRewriters().forEach(rewriter => console.log(`  - ${chalk.green(rewriter)}`));
+  
   console.log(chalk.bold.cyan('\nPresets:'));
   console.log(`  - ${chalk.yellow('all')}: ${chalk.gray('Run all combinations')}`);
   console.log(`  - ${chalk.yellow('openai')}: ${chalk.gray('Run only OpenAI models')}`);
@@ -10,14 +10,36 @@
  * - Different context sizes (small, medium, large)
  * 
  * The combined search strategy integrates vector search, keyword search, and BM25 ranking
- * to provide the most comprehensive and accurate results possible.
+ * to provide the most comprehensive and accurate results possible. Pass --hyde (and
+ * optionally --hyde-model <model>) to run every combination with HyDE retrieval.
  */
 
 import 'dotenv/config';
 import { runBenchmark, closeConnection } from './rag-benchmark.js';
+import { summarizeRetrievalMetrics, formatRetrievalSummary } from './evaluation/retrieval-metrics.js';
+import { summarizeReferenceScores, formatReferenceSummary } from './evaluation/reference-answers.js';
+import { parseArgs } from 'node:util';
 import fs from 'fs/promises';
 import chalk from 'chalk';
 
+// Parse command line arguments (HyDE applies to every combination of the run)
+const { values } = parseArgs({
+  options: {
+    hyde: {
+      type: 'boolean',
+      default: false
+    },
+    'hyde-model': {
+      type: 'string'
+    }
+  }
+});
+
+// Every combination drafts a hypothetical answer when --hyde or --hyde-model is given
+const hyde = values.hyde || values['hyde-model'] !== undefined
+  ? { model: values['hyde-model'] }
+  : null;
+
 // Configuration
 const CONFIG = {
   // Only use the combined search strategy
@@ -53,11 +75,16 @@ const CONFIG = {
     { name: 'large', topK: 10 }
   ],
   
+  // HyDE options (--hyde, --hyde-model <model>), or null to search with the question embedding
+  hyde,
+  
   // Number of test queries to run for each combination
   numQueries: 1,
   
   // Output file for all results
-  outputFile: 'results/combined-benchmark.json'
+  outputFile: hyde
+    ? 'results/combined-benchmark-hyde.json'
+    : 'results/combined-benchmark.json'
 };
 
 /**
@@ -72,6 +99,9 @@ async function runCombinedBenchmarks() {
   console.log(chalk.cyan(`Content Types: ${chalk.white(CONFIG.contentTypes.join(', '))}`));
   console.log(chalk.cyan(`Context Sizes: ${chalk.white(CONFIG.contextSizes.map(cs => `${cs.name} (${cs.topK})`).join(', '))}`));
   console.log(chalk.cyan(`Queries per combination: ${chalk.white(CONFIG.numQueries.toString())}`));
+  if (CONFIG.hyde) {
+    console.log(chalk.cyan(`HyDE: ${chalk.white(CONFIG.hyde.model || 'drafted by each LLM model')}`));
+  }
   console.log(chalk.blue('===========================================\n'));
   
   const allResults = [];
@@ -100,6 +130,7 @@ async function runCombinedBenchmarks() {
               contentTypes: [contentType],
               numQueries: CONFIG.numQueries,
               topK: contextSize.topK,
+              hyde: CONFIG.hyde,
               outputFile: `temp-${CONFIG.searchStrategies[0]}-${llmModel}-${embeddingModel}-${contentType}-${contextSize.name}.json`
             });
             
@@ -113,6 +144,7 @@ async function runCombinedBenchmarks() {
                 contentType,
                 contextSize: contextSize.name,
                 topK: contextSize.topK,
+                hyde: Boolean(CONFIG.hyde),
                 combinationId: `${completedCombinations}`
               }
             }));
@@ -170,11 +202,15 @@ function generateSummary(results) {
     const avgTime = average(modelResults.map(r => r.metrics.llmResponseTime));
     const avgCost = average(modelResults.map(r => r.metrics.llmCost));
     const avgKeywords = average(modelResults.map(r => r.metrics.keywordMatchPercentage));
+    const referenceSummary = summarizeReferenceScores(modelResults);
     
     console.log(chalk.yellow(`  ${model}:`));
     console.log(chalk.white(`    Avg Response Time: ${avgTime.toFixed(2)}ms`));
     console.log(chalk.white(`    Avg Cost: $${avgCost.toFixed(6)}`));
     console.log(chalk.white(`    Avg Keyword Match: ${avgKeywords.toFixed(2)}%`));
+    if (referenceSummary) {
+      console.log(chalk.white(`    Reference Answers: ${formatReferenceSummary(referenceSummary)}`));
+    }
   }
   
   // Group by context size
@@ -217,6 +253,19 @@ function generateSummary(results) {
     console.log(chalk.white(`    Avg Keyword Match: ${avgKeywords.toFixed(2)}%`));
   }
   
+  // Group by search strategy (only results of test queries with labelled relevant documents)
+  const byStrategy = groupBy(successfulResults, 'search_strategy');
+  const retrievalByStrategy = Object.entries(byStrategy)
+    .map(([strategy, strategyResults]) => [strategy, summarizeRetrievalMetrics(strategyResults)])
+    .filter(([, retrieval]) => retrieval);
+  if (retrievalByStrategy.length > 0) {
+    console.log(chalk.bold.cyan('\nRetrieval Quality by Search Strategy:'));
+    for (const [strategy, retrieval] of retrievalByStrategy) {
+      console.log(chalk.yellow(`  ${strategy}:`));
+      console.log(chalk.white(`    ${formatRetrievalSummary(retrieval)}`));
+    }
+  }
+  
   // Best combinations
   console.log(chalk.bold.cyan('\nBest Combinations:'));
   
@@ -8,21 +8,46 @@
  * - Embedding models (OpenAI small/large, Gemini)
  * - Content types (xeto, markdown, documentation)
  * 
- * And saves all results to a single file for easy comparison.
+ * And saves all results to a single file for easy comparison. Pass --hyde (and optionally
+ * --hyde-model <model>) to run every combination with HyDE retrieval.
  */
 
 import 'dotenv/config';
 import { runBenchmark, closeConnection } from './rag-benchmark.js';
+import { summarizeRetrievalMetrics, formatRetrievalSummary } from './evaluation/retrieval-metrics.js';
+import { summarizeReferenceScores, formatReferenceSummary } from './evaluation/reference-answers.js';
+import { parseArgs } from 'node:util';
 import fs from 'fs/promises';
 import chalk from 'chalk';
 
+// Parse command line arguments (HyDE applies to every combination of the run)
+const { values } = parseArgs({
+  options: {
+    hyde: {
+      type: 'boolean',
+      default: false
+    },
+    'hyde-model': {
+      type: 'string'
+    }
+  }
+});
+
+// Every combination drafts a hypothetical answer when --hyde or --hyde-model is given
+const hyde = values.hyde || values['hyde-model'] !== undefined
+  ? { model: values['hyde-model'] }
+  : null;
+
 // Configuration
 const CONFIG = {
   // Search strategies to benchmark
   searchStrategies: [
     'vector-search',
     'hybrid-search',
-    'combined-search'
+    'combined-search',
+    'rrf-search',
+    'graph-expand-search',
+    'bm25-search'
   ],
   
   // LLM models to benchmark
@@ -53,6 +78,9 @@ const CONFIG = {
     { name: 'large', topK: 10 }
   ],
   
+  // HyDE options (--hyde, --hyde-model <model>), or null to search with the question embedding
+  hyde,
+  
   // Number of test queries to run for each combination
   numQueries: 1,
   
@@ -72,6 +100,9 @@ async function runComprehensiveBenchmarks() {
   console.log(chalk.cyan(`Content Types: ${chalk.white(CONFIG.contentTypes.join(', '))}`));
   console.log(chalk.cyan(`Context Sizes: ${chalk.white(CONFIG.contextSizes.map(cs => `${cs.name} (${cs.topK})`).join(', '))}`));
   console.log(chalk.cyan(`Queries per combination: ${chalk.white(CONFIG.numQueries.toString())}`));
+  if (CONFIG.hyde) {
+    console.log(chalk.cyan(`HyDE: ${chalk.white(CONFIG.hyde.model || 'drafted by each LLM model')}`));
+  }
   console.log(chalk.blue('================================\n'));
   
   const allResults = [];
@@ -101,6 +132,7 @@ async function runComprehensiveBenchmarks() {
               contentTypes: [contentType],
               numQueries: CONFIG.numQueries,
               topK: contextSize.topK,
+              hyde: CONFIG.hyde,
               outputFile: `temp-${searchStrategy}-${llmModel}-${embeddingModel}-${contentType}-${contextSize.name}.json`
             });
             
@@ -114,6 +146,7 @@ async function runComprehensiveBenchmarks() {
                 contentType,
                 contextSize: contextSize.name,
                 topK: contextSize.topK,
+                hyde: Boolean(CONFIG.hyde),
                 combinationId: `${completedCombinations}`
               }
             }));
@@ -187,11 +220,15 @@ function generateSummary(results) {
     const avgTime = average(modelResults.map(r => r.metrics.llmResponseTime));
     const avgCost = average(modelResults.map(r => r.metrics.llmCost));
     const avgKeywords = average(modelResults.map(r => r.metrics.keywordMatchPercentage));
+    const referenceSummary = summarizeReferenceScores(modelResults);
     
     console.log(chalk.yellow(`  ${model}:`));
     console.log(chalk.white(`    Avg Response Time: ${avgTime.toFixed(2)}ms`));
     console.log(chalk.white(`    Avg Cost: $${avgCost.toFixed(6)}`));
     console.log(chalk.white(`    Avg Keyword Match: ${avgKeywords.toFixed(2)}%`));
+    if (referenceSummary) {
+      console.log(chalk.white(`    Reference Answers: ${formatReferenceSummary(referenceSummary)}`));
+    }
   }
   
   // Group by context size
@@ -234,6 +271,19 @@ function generateSummary(results) {
     console.log(chalk.white(`    Avg Keyword Match: ${avgKeywords.toFixed(2)}%`));
   }
   
+  // Group by search strategy (only results of test queries with labelled relevant documents)
+  const byStrategy = groupBy(successfulResults, 'search_strategy');
+  const retrievalByStrategy = Object.entries(byStrategy)
+    .map(([strategy, strategyResults]) => [strategy, summarizeRetrievalMetrics(strategyResults)])
+    .filter(([, retrieval]) => retrieval);
+  if (retrievalByStrategy.length > 0) {
+    console.log(chalk.bold.cyan('\nRetrieval Quality by Search Strategy:'));
+    for (const [strategy, retrieval] of retrievalByStrategy) {
+      console.log(chalk.yellow(`  ${strategy}:`));
+      console.log(chalk.white(`    ${formatRetrievalSummary(retrieval)}`));
+    }
+  }
+  
   // Best combinations
   console.log(chalk.bold.cyan('\nBest Combinations:'));
   
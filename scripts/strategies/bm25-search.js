@@ -0,0 +1,186 @@
+/**
+ * BM25 Search Strategy for RAG
+ *
+ * This module implements Okapi BM25 ranking in SQL. Term frequencies and document
+ * lengths come from each document's persisted `tsv` column, and document frequencies,
+ * corpus size and average document length come from the statistics maintained by
+ * bm25-statistics.js for the searched table, content type and embedding model.
+ *
+ *   score(D, Q) = Σ IDF(q) · tf(q, D) · (k1 + 1) / (tf(q, D) + k1 · (1 - b + b · |D| / avgdl))
+ *   IDF(q)      = ln(1 + (N - df(q) + 0.5) / (df(q) + 0.5))
+ *
+ * Query terms are the words parseTextQuery() extracts, including split Xeto identifiers
+ * and expanded abbreviations. Searches only read the statistics: they are computed by
+ * the database builder or `scripts/manage-bm25-statistics.js refresh`, and searching a
+ * corpus without them fails.
+ */
+
+import { Pool } from 'pg';
+import { toSearchResult, getStoredEmbeddingModel } from './search-request.js';
+import { buildDocumentScope } from './filters.js';
+import { parseTextQuery } from './text-query.js';
+import { DOCUMENT_LENGTH_SQL, getBM25CorpusStatistics } from './bm25-statistics.js';
+
+// Default term frequency saturation
+const DEFAULT_BM25_K1 = 1.2;
+
+// Default document length normalization
+const DEFAULT_BM25_B = 0.75;
+
+/**
+ * BM25SearchStrategy class
+ */
+export class BM25SearchStrategy {
+  /**
+   * Constructor
+   * @param {Object} dbConfig - Database configuration
+   */
+  constructor(dbConfig) {
+    this.pool = new Pool(dbConfig);
+    this.name = 'bm25-search';
+  }
+
+  /**
+   * Perform BM25 keyword search
+   * @param {Object} request - Search request (see createSearchRequest)
+   * @param {Number} request.options.bm25K1 - Term frequency saturation k1 (default: 1.2)
+   * @param {Number} request.options.bm25B - Length normalization b, between 0 and 1 (default: 0.75)
+   * @returns {Array} Search results ranked by BM25 score
+   * @throws {Error} If the request has no embedding model, k1/b are out of range or the corpus has no statistics
+   */
+  async search(request) {
+    const { queryText, contentType, topK, dimension, options } = request;
+
+    const k1 = options.bm25K1 ?? DEFAULT_BM25_K1;
+    const b = options.bm25B ?? DEFAULT_BM25_B;
+
+    if (typeof k1 !== 'number' || !(k1 >= 0)) {
+      throw new Error(`Invalid BM25 k1: ${k1}`);
+    }
+    if (typeof b !== 'number' || !(b >= 0 && b <= 1)) {
+      throw new Error(`Invalid BM25 b: ${b}`);
+    }
+
+    // Corpus statistics are kept per embedding model, so the model must be known
+    const storedModel = getStoredEmbeddingModel(request.embeddingModel);
+    if (!storedModel) {
+      throw new Error('BM25 search requires the embedding model of the request');
+    }
+
+    // Determine which table to use based on dimension
+    const tableName = `documents_${dimension}`;
+
+    const corpus = await getBM25CorpusStatistics(this.pool, tableName, contentType, storedModel);
+    if (!corpus) {
+      throw new Error(
+        `No BM25 statistics for ${tableName} (${contentType}, ${storedModel}); ` +
+        'run "node scripts/manage-bm25-statistics.js refresh" after loading documents'
+      );
+    }
+
+    // BM25 scores a bag of words, so web search syntax and prefixes are not used
+    const textQuery = parseTextQuery(queryText);
+    const lexemes = textQuery.terms.map(term => term.lexeme);
+    const matchQuery = lexemes.map(lexeme => `'${lexeme}'`).join(' | ');
+
+    // Scope to the query's embedding model and the request's metadata filters
+    const filterClause = buildDocumentScope(request, 9);
+
+    const query = `
+      WITH query_terms AS (
+        SELECT DISTINCT unnest(tsvector_to_array(to_tsvector('english', $5))) AS term
+      ),
+      corpus AS (
+        SELECT doc_count, avg_doc_length
+        FROM bm25_corpus_stats
+        WHERE table_name = $1 AND content_type = $2 AND embedding_model = $6
+      ),
+      term_idf AS (
+        SELECT
+          s.term,
+          LN(1 + (c.doc_count - s.doc_freq + 0.5) / (s.doc_freq + 0.5)) AS idf
+        FROM query_terms q
+        JOIN bm25_term_stats s ON s.term = q.term
+        CROSS JOIN corpus c
+        WHERE s.table_name = $1 AND s.content_type = $2 AND s.embedding_model = $6
+      ),
+      candidates AS (
+        SELECT id, tsv, ${DOCUMENT_LENGTH_SQL} AS doc_length
+        FROM ${tableName}
+        WHERE
+          content_type = $2${filterClause.sql} AND
+          tsv @@ to_tsquery('english', NULLIF($4, ''))
+      ),
+      scored AS (
+        SELECT
+          d.id,
+          d.doc_length,
+          COUNT(*) AS matched_terms,
+          SUM(
+            i.idf * (t.tf * ($7::float8 + 1)) /
+            (t.tf + $7::float8 * (1 - $8::float8 + $8::float8 * d.doc_length / NULLIF(c.avg_doc_length, 0)))
+          ) AS bm25_score
+        FROM candidates d
+        CROSS JOIN LATERAL (
+          SELECT lexeme, COALESCE(array_length(positions, 1), 1) AS tf
+          FROM unnest(d.tsv)
+        ) t
+        JOIN term_idf i ON i.term = t.lexeme
+        CROSS JOIN corpus c
+        GROUP BY d.id, d.doc_length
+      )
+      SELECT
+        doc.id,
+        doc.content,
+        doc.content_type,
+        doc.metadata,
+        doc.xeto_spec_name,
+        doc.xeto_library,
+        s.doc_length,
+        s.matched_terms,
+        s.bm25_score AS similarity
+      FROM scored s
+      JOIN ${tableName} doc ON doc.id = s.id
+      ORDER BY s.bm25_score DESC, doc.id
+      LIMIT $3
+    `;
+
+    const result = await this.pool.query(query, [
+      tableName,
+      contentType,
+      topK,
+      matchQuery,
+      lexemes.join(' '),
+      storedModel,
+      k1,
+      b,
+      ...filterClause.params
+    ]);
+
+    return result.rows.map(row => toSearchResult(row, {
+      bm25Score: parseFloat(row.similarity || 0),
+      bm25MatchedTerms: parseInt(row.matched_terms),
+      bm25DocLength: parseInt(row.doc_length),
+      bm25K1: k1,
+      bm25B: b
+    }));
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    await this.pool.end();
+  }
+}
+
+/**
+ * Create a new BM25 search strategy
+ * @param {Object} dbConfig - Database configuration
+ * @returns {BM25SearchStrategy} BM25 search strategy instance
+ */
+export function createBM25SearchStrategy(dbConfig) {
+  return new BM25SearchStrategy(dbConfig);
+}
+
+export default createBM25SearchStrategy;
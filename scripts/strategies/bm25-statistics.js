@@ -0,0 +1,133 @@
+/**
+ * BM25 Corpus Statistics
+ *
+ * BM25 needs corpus-level numbers that a single row cannot provide: how many documents
+ * contain each term (document frequency), how many documents there are, and their
+ * average length. This module maintains them in `bm25_term_stats` and
+ * `bm25_corpus_stats`, computed from the persisted `tsv` column of a documents_* table.
+ *
+ * Statistics are kept per table, content_type and embedding_model, because each
+ * combination is a separate corpus: a benchmark run only ever searches one of them.
+ * Document length is the number of token positions in `tsv` (stop words excluded).
+ *
+ * Statistics are only written by refreshBM25Statistics(): the database builder calls it
+ * after loading documents, and scripts/manage-bm25-statistics.js refreshes them on demand.
+ */
+
+// SQL expression for the length of a document in tokens
+export const DOCUMENT_LENGTH_SQL = 'COALESCE((SELECT SUM(COALESCE(array_length(positions, 1), 1)) FROM unnest(tsv)), 0)';
+
+/**
+ * Recompute BM25 statistics for a documents_* table
+ * @param {Object} pool - pg Pool (or anything with connect())
+ * @param {String} tableName - Documents table (e.g. documents_1536)
+ * @param {Object} scope - Optional corpus to limit the refresh to
+ * @param {String} scope.contentType - Content type
+ * @param {String} scope.embeddingModel - Stored embedding_model value
+ * @returns {Number} Number of corpora (content_type/embedding_model pairs) refreshed
+ */
+export async function refreshBM25Statistics(pool, tableName, scope = {}) {
+  const conditions = ['table_name = $1'];
+  const sourceConditions = [];
+  const params = [tableName];
+
+  if (scope.contentType) {
+    params.push(scope.contentType);
+    conditions.push(`content_type = $${params.length}`);
+    sourceConditions.push(`content_type = $${params.length}`);
+  }
+  if (scope.embeddingModel) {
+    params.push(scope.embeddingModel);
+    conditions.push(`embedding_model = $${params.length}`);
+    sourceConditions.push(`embedding_model = $${params.length}`);
+  }
+
+  const where = conditions.join(' AND ');
+  const sourceWhere = sourceConditions.length > 0 ? `WHERE ${sourceConditions.join(' AND ')}` : '';
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`DELETE FROM bm25_term_stats WHERE ${where}`, params);
+    await client.query(`DELETE FROM bm25_corpus_stats WHERE ${where}`, params);
+
+    await client.query(`
+      INSERT INTO bm25_term_stats (table_name, content_type, embedding_model, term, doc_freq)
+      SELECT $1, d.content_type, d.embedding_model, t.lexeme, COUNT(*)
+      FROM ${tableName} d, unnest(d.tsv) t
+      ${sourceWhere}
+      GROUP BY d.content_type, d.embedding_model, t.lexeme
+    `, params);
+
+    const corpora = await client.query(`
+      INSERT INTO bm25_corpus_stats (table_name, content_type, embedding_model, doc_count, avg_doc_length)
+      SELECT $1, content_type, embedding_model, COUNT(*), AVG(${DOCUMENT_LENGTH_SQL})
+      FROM ${tableName}
+      ${sourceWhere}
+      GROUP BY content_type, embedding_model
+    `, params);
+
+    await client.query('COMMIT');
+    return corpora.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the corpus statistics for one content type and embedding model
+ * @param {Object} pool - pg Pool
+ * @param {String} tableName - Documents table (e.g. documents_1536)
+ * @param {String} contentType - Content type
+ * @param {String} embeddingModel - Stored embedding_model value
+ * @returns {Object|null} { docCount, avgDocLength, updatedAt }, or null when not computed yet
+ */
+export async function getBM25CorpusStatistics(pool, tableName, contentType, embeddingModel) {
+  const result = await pool.query(`
+    SELECT doc_count, avg_doc_length, updated_at
+    FROM bm25_corpus_stats
+    WHERE table_name = $1 AND content_type = $2 AND embedding_model = $3
+  `, [tableName, contentType, embeddingModel]);
+
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    docCount: parseInt(row.doc_count),
+    avgDocLength: parseFloat(row.avg_doc_length),
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * List the corpora of a documents_* table that have statistics
+ * @param {Object} pool - pg Pool
+ * @param {String} tableName - Documents table (e.g. documents_1536)
+ * @returns {Array} [{ contentType, embeddingModel, docCount, avgDocLength, updatedAt }]
+ */
+export async function listBM25CorpusStatistics(pool, tableName) {
+  const result = await pool.query(`
+    SELECT content_type, embedding_model, doc_count, avg_doc_length, updated_at
+    FROM bm25_corpus_stats
+    WHERE table_name = $1
+    ORDER BY content_type, embedding_model
+  `, [tableName]);
+
+  return result.rows.map(row => ({
+    contentType: row.content_type,
+    embeddingModel: row.embedding_model,
+    docCount: parseInt(row.doc_count),
+    avgDocLength: parseFloat(row.avg_doc_length),
+    updatedAt: row.updated_at
+  }));
+}
+
+export default {
+  DOCUMENT_LENGTH_SQL,
+  refreshBM25Statistics,
+  getBM25CorpusStatistics,
+  listBM25CorpusStatistics
+};
@@ -0,0 +1,104 @@
+/**
+ * Two-Stage Vector Search on Coarse Vector Forms
+ *
+ * pgvector cannot index `vector` columns with more than 2000 dimensions, so searches on
+ * documents_3072 always scan the whole table. That table can additionally store an
+ * indexable coarse form of each embedding (added by scripts/manage-indexes.js):
+ *
+ * - halfvec: the full vector in half precision (HNSW/IVFFlat up to 4000 dimensions)
+ * - prefix:  the first 1536 dimensions (a Matryoshka prefix of text-embedding-3-large)
+ * - binary:  one bit per dimension (binary quantization, compared by Hamming distance)
+ *
+ * With `options.coarseVector` set, vectorSearchSource() makes a strategy's vector source
+ * a two-stage search: the coarse form (through its index) selects `rescoreFactor` times
+ * more candidates than needed, and the strategy's own ORDER BY on the full `embedding`
+ * rescores them. Tables that can index their full vectors are searched unchanged.
+ */
+
+// Tables that store coarse vector forms
+export const COARSE_VECTOR_DIMENSIONS = [3072];
+
+// Length of the Matryoshka prefix form
+export const MATRYOSHKA_PREFIX_DIMENSION = 1536;
+
+// Default number of coarse candidates per requested result
+export const DEFAULT_RESCORE_FACTOR = 4;
+
+// Coarse forms: stored column, its type and generation expression, and the query distance
+export const COARSE_VECTOR_FORMS = {
+  halfvec: {
+    column: 'embedding_halfvec',
+    columnType: dimension => `HALFVEC(${dimension})`,
+    expression: dimension => `embedding::halfvec(${dimension})`,
+    distance: (param, dimension) => `embedding_halfvec <=> ${param}::vector::halfvec(${dimension})`
+  },
+  prefix: {
+    column: 'embedding_prefix',
+    columnType: () => `VECTOR(${MATRYOSHKA_PREFIX_DIMENSION})`,
+    expression: () => `subvector(embedding, 1, ${MATRYOSHKA_PREFIX_DIMENSION})::vector(${MATRYOSHKA_PREFIX_DIMENSION})`,
+    distance: param => `embedding_prefix <=> subvector(${param}::vector, 1, ${MATRYOSHKA_PREFIX_DIMENSION})::vector(${MATRYOSHKA_PREFIX_DIMENSION})`
+  },
+  binary: {
+    column: 'embedding_binary',
+    columnType: dimension => `BIT(${dimension})`,
+    expression: dimension => `binary_quantize(embedding)::bit(${dimension})`,
+    distance: (param, dimension) => `embedding_binary <~> binary_quantize(${param}::vector)::bit(${dimension})`
+  }
+};
+
+/**
+ * Resolve the coarse search settings of a request
+ * @param {Object} request - Search request (see createSearchRequest)
+ * @param {String} request.options.coarseVector - Coarse form to search first (halfvec, prefix, binary)
+ * @param {Number} request.options.rescoreFactor - Coarse candidates per result (default: 4)
+ * @returns {Object|null} { form, rescoreFactor }, or null when the full vectors are searched directly
+ * @throws {Error} If the form or rescore factor is invalid
+ */
+export function resolveCoarseVector(request) {
+  const { coarseVector, rescoreFactor = DEFAULT_RESCORE_FACTOR } = request.options || {};
+
+  if (!coarseVector) return null;
+
+  if (!COARSE_VECTOR_FORMS[coarseVector]) {
+    throw new Error(`Unknown coarse vector form '${coarseVector}'. Available forms: ${Object.keys(COARSE_VECTOR_FORMS).join(', ')}`);
+  }
+  if (!Number.isInteger(rescoreFactor) || rescoreFactor < 1) {
+    throw new Error(`Invalid rescore factor: ${rescoreFactor}`);
+  }
+
+  if (!COARSE_VECTOR_DIMENSIONS.includes(request.dimension)) return null;
+
+  return { form: coarseVector, rescoreFactor };
+}
+
+/**
+ * Build the FROM source for a strategy's vector search
+ * @param {String} tableName - Documents table (e.g. documents_3072)
+ * @param {Object} request - Search request (see createSearchRequest)
+ * @param {String} whereSql - Conditions of the vector search (e.g. 'content_type = $2 AND ...')
+ * @param {String} limitSql - Number of results the vector search keeps (e.g. '$3 * 2')
+ * @param {String} embeddingParam - Positional parameter holding the query embedding (default: '$1')
+ * @returns {String} The table name, or a subquery of coarse candidates aliased as the table
+ */
+export function vectorSearchSource(tableName, request, whereSql, limitSql, embeddingParam = '$1') {
+  const coarse = resolveCoarseVector(request);
+  if (!coarse) return tableName;
+
+  const form = COARSE_VECTOR_FORMS[coarse.form];
+  return `(
+        SELECT *
+        FROM ${tableName}
+        WHERE ${whereSql}
+        ORDER BY ${form.distance(embeddingParam, request.dimension)}
+        LIMIT (${limitSql}) * ${coarse.rescoreFactor}
+      ) AS ${tableName}`;
+}
+
+export default {
+  COARSE_VECTOR_DIMENSIONS,
+  COARSE_VECTOR_FORMS,
+  DEFAULT_RESCORE_FACTOR,
+  MATRYOSHKA_PREFIX_DIMENSION,
+  resolveCoarseVector,
+  vectorSearchSource
+};
@@ -7,6 +7,11 @@
  */
 
 import { Pool } from 'pg';
+import { toSearchResult } from './search-request.js';
+import { buildDocumentScope } from './filters.js';
+import { vectorSearchSource } from './coarse-vectors.js';
+import { parseTextQuery, tsquerySql } from './text-query.js';
+import { resolveNormalization, normalizeScoreSql, missingScoreFloorSql } from './score-normalization.js';
 
 /**
  * CombinedSearchStrategy class
@@ -23,23 +28,23 @@ export class CombinedSearchStrategy {
 
   /**
    * Perform combined search using multiple strategies
-   * @param {Array} embedding - Query embedding vector
-   * @param {String} queryText - Original query text for keyword search
-   * @param {String} embeddingModel - Embedding model used
-   * @param {String} contentType - Content type to search
-   * @param {Number} topK - Number of results to return
-   * @param {Number} dimension - Embedding dimension
-   * @param {Object} options - Additional options
-   * @param {Number} options.vectorWeight - Weight for vector search (default: 0.5)
-   * @param {Number} options.keywordWeight - Weight for keyword search (default: 0.3)
-   * @param {Number} options.bm25Weight - Weight for BM25 search (default: 0.2)
+   * @param {Object} request - Search request (see createSearchRequest)
+   * @param {Number} request.weights.vectorWeight - Weight for vector search (default: 0.5)
+   * @param {Number} request.weights.keywordWeight - Weight for keyword search (default: 0.3)
+   * @param {Number} request.weights.bm25Weight - Weight for BM25 search (default: 0.2)
+   * @param {String} request.options.normalization - Per-source score normalization (none, minmax, zscore, rank)
    * @returns {Array} Search results
    */
-  async search(embedding, queryText, embeddingModel, contentType, topK, dimension, options = {}) {
-    // Set default weights
-    const vectorWeight = options.vectorWeight || 0.5;
-    const keywordWeight = options.keywordWeight || 0.3;
-    const bm25Weight = options.bm25Weight || 0.2;
+  async search(request) {
+    const { embedding, queryText, contentType, topK, dimension, weights, options } = request;
+    
+    // Set default weights (an explicit 0 turns a source off)
+    const vectorWeight = weights.vectorWeight ?? 0.5;
+    const keywordWeight = weights.keywordWeight ?? 0.3;
+    const bm25Weight = weights.bm25Weight ?? 0.2;
+    
+    // Normalize each source over its own candidates before fusion
+    const normalization = resolveNormalization(options.normalization);
     
     // Determine which table to use based on dimension
     const tableName = `documents_${dimension}`;
@@ -47,9 +52,15 @@ export class CombinedSearchStrategy {
     // Format embedding for PostgreSQL
     const embeddingStr = JSON.stringify(embedding);
     
-    // Prepare query keywords
-    const keywords = this.extractKeywords(queryText);
-    const keywordPattern = keywords.join(' | ');
+    // Scope to the query's embedding model and the request's metadata filters
+    const filterClause = buildDocumentScope(request, 10);
+    
+    // Parse the query text into a safe tsquery and an escaped phrase pattern
+    const textQuery = parseTextQuery(queryText);
+    const keywordQuery = tsquerySql(textQuery, '$4');
+    
+    // Search a coarse vector form first when requested (see coarse-vectors.js)
+    const vectorSource = vectorSearchSource(tableName, request, `content_type = $2${filterClause.sql}`, '$3 * 3');
     
     // Build combined query using multiple search approaches
     const query = `
@@ -63,8 +74,8 @@ export class CombinedSearchStrategy {
           xeto_spec_name,
           xeto_library,
           1 - (embedding <=> $1::vector) AS vector_similarity
-        FROM ${tableName}
-        WHERE content_type = $2
+        FROM ${vectorSource}
+        WHERE content_type = $2${filterClause.sql}
         ORDER BY embedding <=> $1::vector
         LIMIT $3 * 3
       ),
@@ -77,16 +88,16 @@ export class CombinedSearchStrategy {
           metadata,
           xeto_spec_name,
           xeto_library,
-          ts_rank_cd(to_tsvector('english', content), to_tsquery('english', $4)) AS keyword_similarity
+          ts_rank_cd(tsv, ${keywordQuery}) AS keyword_similarity
         FROM ${tableName}
         WHERE 
-          content_type = $2 AND
-          to_tsvector('english', content) @@ to_tsquery('english', $4)
+          content_type = $2${filterClause.sql} AND
+          tsv @@ ${keywordQuery}
         ORDER BY keyword_similarity DESC
         LIMIT $3 * 3
       ),
       bm25_results AS (
-        -- BM25 search for more nuanced text relevance
+        -- Length-normalized cover density ranking (a BM25 approximation; bm25-search computes real BM25)
         SELECT 
           id,
           content,
@@ -95,17 +106,29 @@ export class CombinedSearchStrategy {
           xeto_spec_name,
           xeto_library,
           ts_rank_cd(
-            setweight(to_tsvector('english', coalesce(xeto_spec_name, '')), 'A') ||
-            setweight(to_tsvector('english', coalesce(xeto_library, '')), 'B') ||
-            setweight(to_tsvector('english', content), 'C'),
+            tsv_weighted,
             plainto_tsquery('english', $5),
             32 /* rank_normalization: divide by document length */
           ) AS bm25_similarity
         FROM ${tableName}
-        WHERE content_type = $2
+        WHERE
+          content_type = $2${filterClause.sql} AND
+          tsv_weighted @@ plainto_tsquery('english', $5)
         ORDER BY bm25_similarity DESC
         LIMIT $3 * 3
       ),
+      vector_normalized AS (
+        SELECT *, ${normalizeScoreSql('vector_similarity', normalization)} AS vector_score
+        FROM vector_results
+      ),
+      keyword_normalized AS (
+        SELECT *, ${normalizeScoreSql('keyword_similarity', normalization)} AS keyword_score
+        FROM keyword_results
+      ),
+      bm25_normalized AS (
+        SELECT *, ${normalizeScoreSql('bm25_similarity', normalization)} AS bm25_score
+        FROM bm25_results
+      ),
       vk_join AS (
         -- First join vector and keyword results
         SELECT 
@@ -116,9 +139,11 @@ export class CombinedSearchStrategy {
           COALESCE(v.xeto_spec_name, k.xeto_spec_name) AS xeto_spec_name,
           COALESCE(v.xeto_library, k.xeto_library) AS xeto_library,
           v.vector_similarity,
-          k.keyword_similarity
-        FROM vector_results v
-        FULL OUTER JOIN keyword_results k ON v.id = k.id
+          k.keyword_similarity,
+          v.vector_score,
+          k.keyword_score
+        FROM vector_normalized v
+        FULL OUTER JOIN keyword_normalized k ON v.id = k.id
       ),
       combined_results AS (
         -- Combine all results with weighted scoring
@@ -129,24 +154,31 @@ export class CombinedSearchStrategy {
           COALESCE(vk.metadata, b.metadata) AS metadata,
           COALESCE(vk.xeto_spec_name, b.xeto_spec_name) AS xeto_spec_name,
           COALESCE(vk.xeto_library, b.xeto_library) AS xeto_library,
-          COALESCE(vk.vector_similarity, 0) * $6 AS weighted_vector_similarity,
-          COALESCE(vk.keyword_similarity, 0) * $7 AS weighted_keyword_similarity,
-          COALESCE(b.bm25_similarity, 0) * $8 AS weighted_bm25_similarity,
-          (COALESCE(vk.vector_similarity, 0) * $6) + 
-          (COALESCE(vk.keyword_similarity, 0) * $7) + 
-          (COALESCE(b.bm25_similarity, 0) * $8) AS combined_score
+          COALESCE(vk.vector_similarity, 0) AS vector_similarity,
+          COALESCE(vk.keyword_similarity, 0) AS keyword_similarity,
+          COALESCE(b.bm25_similarity, 0) AS bm25_similarity,
+          ${missingScoreFloorSql('vk.vector_score', 'vector_normalized', 'vector_score')} AS vector_score,
+          ${missingScoreFloorSql('vk.keyword_score', 'keyword_normalized', 'keyword_score')} AS keyword_score,
+          ${missingScoreFloorSql('b.bm25_score', 'bm25_normalized', 'bm25_score')} AS bm25_score
         FROM vk_join vk
-        FULL OUTER JOIN bm25_results b ON vk.id = b.id
+        FULL OUTER JOIN bm25_normalized b ON vk.id = b.id
+      ),
+      weighted_results AS (
+        SELECT 
+          cr.*,
+          (vector_score * $6) + (keyword_score * $7) + (bm25_score * $8) AS combined_score
+        FROM combined_results cr
       ),
       -- Add semantic similarity boost for documents that contain exact phrases from the query
+      -- (ABS keeps the 20% boost upward when z-score normalization yields negative scores)
       phrase_boosted AS (
         SELECT 
           cr.*,
           CASE 
-            WHEN content ILIKE '%' || $5 || '%' THEN combined_score * 1.2
+            WHEN content ILIKE $9 THEN combined_score + ABS(combined_score) * 0.2
             ELSE combined_score
           END AS boosted_score
-        FROM combined_results cr
+        FROM weighted_results cr
       )
       SELECT 
         id,
@@ -155,9 +187,12 @@ export class CombinedSearchStrategy {
         metadata,
         xeto_spec_name,
         xeto_library,
-        weighted_vector_similarity / $6 AS vector_similarity,
-        weighted_keyword_similarity / $7 AS keyword_similarity,
-        weighted_bm25_similarity / $8 AS bm25_similarity,
+        vector_similarity,
+        keyword_similarity,
+        bm25_similarity,
+        vector_score,
+        keyword_score,
+        bm25_score,
         boosted_score AS similarity
       FROM phrase_boosted
       ORDER BY boosted_score DESC
@@ -168,46 +203,27 @@ export class CombinedSearchStrategy {
       embeddingStr, 
       contentType, 
       topK, 
-      keywordPattern,
+      textQuery.text,
       queryText,
       vectorWeight,
       keywordWeight,
-      bm25Weight
+      bm25Weight,
+      textQuery.phrasePattern,
+      ...filterClause.params
     ]);
     
-    return result.rows.map(row => ({
-      id: row.id,
-      content: row.content,
-      contentType: row.content_type,
-      metadata: row.metadata,
-      xetoSpecName: row.xeto_spec_name,
-      xetoLibrary: row.xeto_library,
+    return result.rows.map(row => toSearchResult(row, {
       vectorSimilarity: parseFloat(row.vector_similarity || 0),
       keywordSimilarity: parseFloat(row.keyword_similarity || 0),
       bm25Similarity: parseFloat(row.bm25_similarity || 0),
-      similarity: parseFloat(row.similarity || 0)
+      vectorScore: parseFloat(row.vector_score || 0),
+      keywordScore: parseFloat(row.keyword_score || 0),
+      bm25Score: parseFloat(row.bm25_score || 0),
+      normalization,
+      textQueryMode: textQuery.mode
     }));
   }
 
-  /**
-   * Extract keywords from query text
-   * @param {String} queryText - Query text
-   * @returns {Array} Array of keywords
-   */
-  extractKeywords(queryText) {
-    // Remove common stop words
-    const stopWords = ['a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'in', 'on', 'at', 'to', 'for', 'with'];
-    
-    // Split query into words, convert to lowercase, and filter out stop words
-    const words = queryText.toLowerCase()
-      .replace(/[^\w\s]/g, '') // Remove punctuation
-      .split(/\s+/)
-      .filter(word => word.length > 2 && !stopWords.includes(word));
-    
-    // Return unique keywords
-    return [...new Set(words)];
-  }
-
   /**
    * Close database connection
    */
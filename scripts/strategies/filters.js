@@ -0,0 +1,152 @@
+/**
+ * Metadata Filters for Search Strategies
+ *
+ * This module turns the `filters` object of a search request into a SQL condition that
+ * every strategy appends to its WHERE clauses, so all strategies narrow the
+ * documents_* tables the same way. buildDocumentScope() additionally restricts rows to
+ * the embedding model that produced the query vector.
+ *
+ * Supported filters (all optional, combined with AND):
+ * - library:        xeto_library equals the value (or any value of an array)
+ * - specName:       xeto_spec_name equals the value (or any value of an array)
+ * - metadata:       metadata JSONB contains every key/value pair of the object
+ * - chunkSize:      metadata.chunkSize equals the value
+ * - filePathPrefix: file_path starts with the value
+ * - inherits:       inheritance_path contains the type (or every type of an array)
+ */
+
+import { getStoredEmbeddingModel } from './search-request.js';
+
+// Filter keys accepted in a search request
+export const FILTER_KEYS = ['library', 'specName', 'metadata', 'chunkSize', 'filePathPrefix', 'inherits'];
+
+/**
+ * Build the SQL condition that scopes a search request to its documents
+ *
+ * Rows must come from the request's embedding model (vectors from different models
+ * of the same dimension are not comparable) and match the request's filters.
+ * @param {Object} request - Search request (see createSearchRequest)
+ * @param {Number} firstParamIndex - Index of the first positional parameter to use
+ * @param {String} alias - Optional table alias to qualify columns with
+ * @returns {Object} { sql, params } where sql is '' or starts with ' AND '
+ */
+export function buildDocumentScope(request, firstParamIndex, alias = '') {
+  const storedModel = getStoredEmbeddingModel(request.embeddingModel);
+  const modelClause = storedModel
+    ? { sql: ` AND ${alias ? `${alias}.` : ''}embedding_model = $${firstParamIndex}`, params: [storedModel] }
+    : { sql: '', params: [] };
+
+  const filterClause = buildFilterClause(request.filters, firstParamIndex + modelClause.params.length, alias);
+
+  return {
+    sql: modelClause.sql + filterClause.sql,
+    params: [...modelClause.params, ...filterClause.params]
+  };
+}
+
+/**
+ * Build a SQL condition for search filters
+ * @param {Object} filters - Search filters (see module documentation)
+ * @param {Number} firstParamIndex - Index of the first positional parameter to use
+ * @param {String} alias - Optional table alias to qualify columns with
+ * @returns {Object} { sql, params } where sql is '' or starts with ' AND '
+ * @throws {Error} If a filter key or value is invalid
+ */
+export function buildFilterClause(filters = {}, firstParamIndex, alias = '') {
+  const column = name => (alias ? `${alias}.${name}` : name);
+  const conditions = [];
+  const params = [];
+  const nextParam = value => {
+    params.push(value);
+    return `$${firstParamIndex + params.length - 1}`;
+  };
+
+  const unknownKeys = Object.keys(filters).filter(key => !FILTER_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown search filters: ${unknownKeys.join(', ')}. Available filters: ${FILTER_KEYS.join(', ')}`);
+  }
+
+  if (isSet(filters.library)) {
+    conditions.push(`${column('xeto_library')} = ANY(${nextParam(toArray(filters.library))}::text[])`);
+  }
+
+  if (isSet(filters.specName)) {
+    conditions.push(`${column('xeto_spec_name')} = ANY(${nextParam(toArray(filters.specName))}::text[])`);
+  }
+
+  // metadata and chunkSize are both answered by one JSONB containment check
+  const containment = { ...(filters.metadata || {}) };
+  if (isSet(filters.chunkSize)) {
+    const chunkSize = Number(filters.chunkSize);
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+      throw new Error(`chunkSize filter must be a positive integer, got ${filters.chunkSize}`);
+    }
+    containment.chunkSize = chunkSize;
+  }
+  if (Object.keys(containment).length > 0) {
+    conditions.push(`${column('metadata')} @> ${nextParam(JSON.stringify(containment))}::jsonb`);
+  }
+
+  if (isSet(filters.filePathPrefix)) {
+    conditions.push(`${column('file_path')} LIKE ${nextParam(`${escapeLike(filters.filePathPrefix)}%`)}`);
+  }
+
+  if (isSet(filters.inherits)) {
+    conditions.push(`${column('inheritance_path')} @> ${nextParam(toArray(filters.inherits))}::text[]`);
+  }
+
+  return {
+    sql: conditions.length > 0 ? ` AND ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Describe active filters for logging
+ * @param {Object} filters - Search filters
+ * @returns {String} Human-readable description ('none' when no filter is set)
+ */
+export function describeFilters(filters = {}) {
+  const parts = Object.entries(filters)
+    .filter(([, value]) => isSet(value) && !(typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0))
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+
+  return parts.length > 0 ? parts.join(', ') : 'none';
+}
+
+/**
+ * Check whether a filter value is set
+ * @param {*} value - Filter value
+ * @returns {Boolean} True unless the value is undefined, null, '' or an empty array
+ */
+function isSet(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+/**
+ * Wrap a single value in an array
+ * @param {*} value - Value or array of values
+ * @returns {Array} Array of string values
+ */
+function toArray(value) {
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Escape LIKE wildcards so a value matches literally
+ * @param {String} value - Value to match
+ * @returns {String} Escaped value
+ */
+export function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+export default {
+  FILTER_KEYS,
+  buildDocumentScope,
+  buildFilterClause,
+  describeFilters,
+  escapeLike
+};
@@ -0,0 +1,208 @@
+/**
+ * Inheritance Graph Expansion Search Strategy for RAG
+ *
+ * This module retrieves seed specs by vector search and then walks the Xeto inheritance
+ * graph stored in `inheritance_path` (each spec's parent types). Every hop adds the
+ * parents of the current frontier (specs named in its inheritance_path) and its children
+ * (specs whose inheritance_path names a frontier spec), so questions like "What types
+ * inherit from NumberPoint?" see the related specs even when they are not close to the
+ * query in embedding space.
+ *
+ * Expanded documents are ranked by similarity to the query, and at most `graphBudget`
+ * of them enter the results. Seeds and budget are capped so that no more than topK
+ * documents are returned.
+ */
+
+import { Pool } from 'pg';
+import { toSearchResult } from './search-request.js';
+import { buildDocumentScope } from './filters.js';
+import { vectorSearchSource } from './coarse-vectors.js';
+
+// Default number of inheritance hops to follow from the seeds
+const DEFAULT_GRAPH_HOPS = 1;
+
+/**
+ * GraphExpandSearchStrategy class
+ */
+export class GraphExpandSearchStrategy {
+  /**
+   * Constructor
+   * @param {Object} dbConfig - Database configuration
+   */
+  constructor(dbConfig) {
+    this.pool = new Pool(dbConfig);
+    this.name = 'graph-expand-search';
+  }
+
+  /**
+   * Perform vector search and expand the results along the inheritance graph
+   * @param {Object} request - Search request (see createSearchRequest)
+   * @param {Number} request.options.graphHops - Inheritance hops to follow (default: 1)
+   * @param {Number} request.options.graphSeeds - Seed documents from vector search (default: half of topK, at most topK)
+   * @param {Number} request.options.graphBudget - Maximum expanded documents (default and at most: topK - seeds)
+   * @returns {Array} Seed results followed by expanded results, with graph details in `scores`
+   */
+  async search(request) {
+    const { embedding, contentType, topK, dimension, options } = request;
+
+    const hops = options.graphHops ?? DEFAULT_GRAPH_HOPS;
+    const seedOption = options.graphSeeds ?? Math.max(1, Math.ceil(topK / 2));
+    const budgetOption = options.graphBudget ?? null;
+
+    if (!Number.isInteger(hops) || hops < 0) {
+      throw new Error(`Invalid graph hop depth: ${hops}`);
+    }
+    if (!Number.isInteger(seedOption) || seedOption < 1) {
+      throw new Error(`Invalid graph seed count: ${seedOption}`);
+    }
+    if (budgetOption !== null && (!Number.isInteger(budgetOption) || budgetOption < 0)) {
+      throw new Error(`Invalid graph expansion budget: ${budgetOption}`);
+    }
+
+    // Seeds and expansions together never exceed topK
+    const seedCount = Math.min(topK, seedOption);
+    const budget = Math.min(budgetOption ?? topK, Math.max(0, topK - seedCount));
+
+    // Determine which table to use based on dimension
+    const tableName = `documents_${dimension}`;
+
+    // Format embedding for PostgreSQL
+    const embeddingStr = JSON.stringify(embedding);
+
+    const seeds = await this.findSeeds(request, tableName, embeddingStr, seedCount);
+    const results = seeds.map(row => toSearchResult(row, {
+      vectorSimilarity: parseFloat(row.similarity),
+      graphHop: 0,
+      graphRelation: 'seed'
+    }));
+
+    const seenIds = seeds.map(row => row.id);
+    let frontier = seeds;
+
+    for (let hop = 1; hop <= hops && results.length - seeds.length < budget; hop++) {
+      const remaining = budget - (results.length - seeds.length);
+      const expanded = await this.expandFrontier(request, tableName, embeddingStr, frontier, seenIds, remaining);
+      if (expanded.length === 0) break;
+
+      for (const row of expanded) {
+        seenIds.push(row.id);
+        results.push(toSearchResult(row, {
+          vectorSimilarity: parseFloat(row.similarity),
+          graphHop: hop,
+          graphRelation: row.relation
+        }));
+      }
+
+      frontier = expanded;
+    }
+
+    return results;
+  }
+
+  /**
+   * Find seed documents by vector search
+   * @param {Object} request - Search request
+   * @param {String} tableName - Documents table
+   * @param {String} embeddingStr - Query embedding formatted for PostgreSQL
+   * @param {Number} seedCount - Number of seeds
+   * @returns {Array} Seed rows
+   */
+  async findSeeds(request, tableName, embeddingStr, seedCount) {
+    // Scope to the query's embedding model and the request's metadata filters
+    const filterClause = buildDocumentScope(request, 4);
+
+    // Search a coarse vector form first when requested (see coarse-vectors.js)
+    const vectorSource = vectorSearchSource(tableName, request, `content_type = $2${filterClause.sql}`, '$3');
+
+    const query = `
+      SELECT
+        id,
+        content,
+        content_type,
+        metadata,
+        xeto_spec_name,
+        xeto_library,
+        inheritance_path,
+        1 - (embedding <=> $1::vector) AS similarity
+      FROM ${vectorSource}
+      WHERE content_type = $2${filterClause.sql}
+      ORDER BY embedding <=> $1::vector
+      LIMIT $3
+    `;
+
+    const result = await this.pool.query(query, [embeddingStr, request.contentType, seedCount, ...filterClause.params]);
+    return result.rows;
+  }
+
+  /**
+   * Find the parents and children of a frontier that have not been returned yet
+   * @param {Object} request - Search request
+   * @param {String} tableName - Documents table
+   * @param {String} embeddingStr - Query embedding formatted for PostgreSQL
+   * @param {Array} frontier - Rows reached by the previous hop
+   * @param {Array} seenIds - Ids already in the results
+   * @param {Number} limit - Maximum documents to add
+   * @returns {Array} Expanded rows, most similar to the query first
+   */
+  async expandFrontier(request, tableName, embeddingStr, frontier, seenIds, limit) {
+    const frontierSpecs = [...new Set(frontier.map(row => row.xeto_spec_name).filter(Boolean))];
+    const parentSpecs = [...new Set(frontier.flatMap(row => row.inheritance_path || []))];
+
+    if (frontierSpecs.length === 0 && parentSpecs.length === 0) {
+      return [];
+    }
+
+    // Scope to the query's embedding model and the request's metadata filters
+    const filterClause = buildDocumentScope(request, 7);
+
+    const query = `
+      SELECT
+        id,
+        content,
+        content_type,
+        metadata,
+        xeto_spec_name,
+        xeto_library,
+        inheritance_path,
+        1 - (embedding <=> $1::vector) AS similarity,
+        CASE WHEN xeto_spec_name = ANY($3::text[]) THEN 'parent' ELSE 'child' END AS relation
+      FROM ${tableName}
+      WHERE
+        content_type = $2${filterClause.sql} AND
+        (xeto_spec_name = ANY($3::text[]) OR inheritance_path && $4::text[]) AND
+        NOT (id = ANY($5::int[]))
+      ORDER BY embedding <=> $1::vector
+      LIMIT $6
+    `;
+
+    const result = await this.pool.query(query, [
+      embeddingStr,
+      request.contentType,
+      parentSpecs,
+      frontierSpecs,
+      seenIds,
+      limit,
+      ...filterClause.params
+    ]);
+
+    return result.rows;
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    await this.pool.end();
+  }
+}
+
+/**
+ * Create a new graph expansion search strategy
+ * @param {Object} dbConfig - Database configuration
+ * @returns {GraphExpandSearchStrategy} Graph expansion search strategy instance
+ */
+export function createGraphExpandSearchStrategy(dbConfig) {
+  return new GraphExpandSearchStrategy(dbConfig);
+}
+
+export default createGraphExpandSearchStrategy;
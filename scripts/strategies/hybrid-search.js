@@ -6,6 +6,11 @@
  */
 
 import { Pool } from 'pg';
+import { toSearchResult } from './search-request.js';
+import { buildDocumentScope } from './filters.js';
+import { vectorSearchSource } from './coarse-vectors.js';
+import { parseTextQuery, tsquerySql } from './text-query.js';
+import { resolveNormalization, normalizeScoreSql, missingScoreFloorSql } from './score-normalization.js';
 
 /**
  * HybridSearchStrategy class
@@ -22,21 +27,21 @@ export class HybridSearchStrategy {
 
   /**
    * Perform hybrid search (vector + keyword)
-   * @param {Array} embedding - Query embedding vector
-   * @param {String} queryText - Original query text for keyword search
-   * @param {String} embeddingModel - Embedding model used
-   * @param {String} contentType - Content type to search
-   * @param {Number} topK - Number of results to return
-   * @param {Number} dimension - Embedding dimension
-   * @param {Object} options - Additional options
-   * @param {Number} options.vectorWeight - Weight for vector search (default: 0.7)
-   * @param {Number} options.keywordWeight - Weight for keyword search (default: 0.3)
+   * @param {Object} request - Search request (see createSearchRequest)
+   * @param {Number} request.weights.vectorWeight - Weight for vector search (default: 0.7)
+   * @param {Number} request.weights.keywordWeight - Weight for keyword search (default: 0.3)
+   * @param {String} request.options.normalization - Per-source score normalization (none, minmax, zscore, rank)
    * @returns {Array} Search results
    */
-  async search(embedding, queryText, embeddingModel, contentType, topK, dimension, options = {}) {
-    // Set default weights
-    const vectorWeight = options.vectorWeight || 0.7;
-    const keywordWeight = options.keywordWeight || 0.3;
+  async search(request) {
+    const { embedding, queryText, contentType, topK, dimension, weights, options } = request;
+    
+    // Set default weights (an explicit 0 turns a source off)
+    const vectorWeight = weights.vectorWeight ?? 0.7;
+    const keywordWeight = weights.keywordWeight ?? 0.3;
+    
+    // Normalize each source over its own candidates before fusion
+    const normalization = resolveNormalization(options.normalization);
     
     // Determine which table to use based on dimension
     const tableName = `documents_${dimension}`;
@@ -44,9 +49,15 @@ export class HybridSearchStrategy {
     // Format embedding for PostgreSQL
     const embeddingStr = JSON.stringify(embedding);
     
-    // Prepare query keywords
-    const keywords = this.extractKeywords(queryText);
-    const keywordPattern = keywords.join(' | ');
+    // Scope to the query's embedding model and the request's metadata filters
+    const filterClause = buildDocumentScope(request, 7);
+    
+    // Search a coarse vector form first when requested (see coarse-vectors.js)
+    const vectorSource = vectorSearchSource(tableName, request, `content_type = $2${filterClause.sql}`, '$3 * 2');
+    
+    // Parse the query text into a safe tsquery
+    const textQuery = parseTextQuery(queryText);
+    const keywordQuery = tsquerySql(textQuery, '$4');
     
     // Build hybrid query combining vector similarity with text search
     const query = `
@@ -59,8 +70,8 @@ export class HybridSearchStrategy {
           xeto_spec_name,
           xeto_library,
           1 - (embedding <=> $1::vector) AS vector_similarity
-        FROM ${tableName}
-        WHERE content_type = $2
+        FROM ${vectorSource}
+        WHERE content_type = $2${filterClause.sql}
         ORDER BY embedding <=> $1::vector
         LIMIT $3 * 2
       ),
@@ -72,14 +83,22 @@ export class HybridSearchStrategy {
           metadata,
           xeto_spec_name,
           xeto_library,
-          ts_rank_cd(to_tsvector('english', content), to_tsquery('english', $4)) AS keyword_similarity
+          ts_rank_cd(tsv, ${keywordQuery}) AS keyword_similarity
         FROM ${tableName}
         WHERE 
-          content_type = $2 AND
-          to_tsvector('english', content) @@ to_tsquery('english', $4)
+          content_type = $2${filterClause.sql} AND
+          tsv @@ ${keywordQuery}
         ORDER BY keyword_similarity DESC
         LIMIT $3 * 2
       ),
+      vector_normalized AS (
+        SELECT *, ${normalizeScoreSql('vector_similarity', normalization)} AS vector_score
+        FROM vector_results
+      ),
+      keyword_normalized AS (
+        SELECT *, ${normalizeScoreSql('keyword_similarity', normalization)} AS keyword_score
+        FROM keyword_results
+      ),
       combined_results AS (
         SELECT 
           COALESCE(v.id, k.id) AS id,
@@ -88,11 +107,12 @@ export class HybridSearchStrategy {
           COALESCE(v.metadata, k.metadata) AS metadata,
           COALESCE(v.xeto_spec_name, k.xeto_spec_name) AS xeto_spec_name,
           COALESCE(v.xeto_library, k.xeto_library) AS xeto_library,
-          COALESCE(v.vector_similarity, 0) * $5 AS weighted_vector_similarity,
-          COALESCE(k.keyword_similarity, 0) * $6 AS weighted_keyword_similarity,
-          (COALESCE(v.vector_similarity, 0) * $5) + (COALESCE(k.keyword_similarity, 0) * $6) AS combined_score
-        FROM vector_results v
-        FULL OUTER JOIN keyword_results k ON v.id = k.id
+          COALESCE(v.vector_similarity, 0) AS vector_similarity,
+          COALESCE(k.keyword_similarity, 0) AS keyword_similarity,
+          ${missingScoreFloorSql('v.vector_score', 'vector_normalized', 'vector_score')} AS vector_score,
+          ${missingScoreFloorSql('k.keyword_score', 'keyword_normalized', 'keyword_score')} AS keyword_score
+        FROM vector_normalized v
+        FULL OUTER JOIN keyword_normalized k ON v.id = k.id
       )
       SELECT 
         id,
@@ -101,11 +121,13 @@ export class HybridSearchStrategy {
         metadata,
         xeto_spec_name,
         xeto_library,
-        weighted_vector_similarity / $5 AS vector_similarity,
-        weighted_keyword_similarity / $6 AS keyword_similarity,
-        combined_score AS similarity
+        vector_similarity,
+        keyword_similarity,
+        vector_score,
+        keyword_score,
+        (vector_score * $5) + (keyword_score * $6) AS similarity
       FROM combined_results
-      ORDER BY combined_score DESC
+      ORDER BY similarity DESC
       LIMIT $3
     `;
     
@@ -113,43 +135,22 @@ export class HybridSearchStrategy {
       embeddingStr, 
       contentType, 
       topK, 
-      keywordPattern,
+      textQuery.text,
       vectorWeight,
-      keywordWeight
+      keywordWeight,
+      ...filterClause.params
     ]);
     
-    return result.rows.map(row => ({
-      id: row.id,
-      content: row.content,
-      contentType: row.content_type,
-      metadata: row.metadata,
-      xetoSpecName: row.xeto_spec_name,
-      xetoLibrary: row.xeto_library,
+    return result.rows.map(row => toSearchResult(row, {
       vectorSimilarity: parseFloat(row.vector_similarity || 0),
       keywordSimilarity: parseFloat(row.keyword_similarity || 0),
-      similarity: parseFloat(row.similarity || 0)
+      vectorScore: parseFloat(row.vector_score || 0),
+      keywordScore: parseFloat(row.keyword_score || 0),
+      normalization,
+      textQueryMode: textQuery.mode
     }));
   }
 
-  /**
-   * Extract keywords from query text
-   * @param {String} queryText - Query text
-   * @returns {Array} Array of keywords
-   */
-  extractKeywords(queryText) {
-    // Remove common stop words
-    const stopWords = ['a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'in', 'on', 'at', 'to', 'for', 'with'];
-    
-    // Split query into words, convert to lowercase, and filter out stop words
-    const words = queryText.toLowerCase()
-      .replace(/[^\w\s]/g, '') // Remove punctuation
-      .split(/\s+/)
-      .filter(word => word.length > 2 && !stopWords.includes(word));
-    
-    // Return unique keywords
-    return [...new Set(words)];
-  }
-
   /**
    * Close database connection
    */
@@ -1,35 +1,132 @@
 /**
  * RAG Search Strategy Factory
- * 
+ *
  * This module provides a factory for creating and managing different RAG search strategies.
+ * Built-in strategies are always registered; additional strategies can be loaded from
+ * directories or packages with loadStrategies().
  */
 
 import { createVectorSearchStrategy } from './vector-search.js';
 import { createHybridSearchStrategy } from './hybrid-search.js';
 import { createCombinedSearchStrategy } from './combined-search.js';
+import { createRRFSearchStrategy } from './rrf-search.js';
+import { createGraphExpandSearchStrategy } from './graph-expand-search.js';
+import { createBM25SearchStrategy } from './bm25-search.js';
+import { createSearchRequest, toSearchResult } from './search-request.js';
+import {
+  getConfiguredStrategySources,
+  loadStrategiesFromDirectory,
+  loadStrategyFromPackage,
+  validateStrategyInstance
+} from './loader.js';
+
+export { createSearchRequest, toSearchResult };
 
 // Available strategies
 const STRATEGIES = {
   'vector-search': createVectorSearchStrategy,
   'hybrid-search': createHybridSearchStrategy,
-  'combined-search': createCombinedSearchStrategy
+  'combined-search': createCombinedSearchStrategy,
+  'rrf-search': createRRFSearchStrategy,
+  'graph-expand-search': createGraphExpandSearchStrategy,
+  'bm25-search': createBM25SearchStrategy
 };
 
+// Where each registered strategy came from ('built-in', a file path or a package name)
+const STRATEGY_SOURCES = Object.fromEntries(
+  Object.keys(STRATEGIES).map(name => [name, 'built-in'])
+);
+
+// Directories and packages that have already been loaded
+const loadedSources = new Set();
+
 /**
  * Create a search strategy
  * @param {String} strategyName - Name of the strategy to create
  * @param {Object} dbConfig - Database configuration
  * @returns {Object} Search strategy instance
- * @throws {Error} If strategy is not found
+ * @throws {Error} If strategy is not found or does not implement the search contract
  */
 export function createSearchStrategy(strategyName, dbConfig) {
   const strategyCreator = STRATEGIES[strategyName];
-  
+
   if (!strategyCreator) {
     throw new Error(`Search strategy '${strategyName}' not found. Available strategies: ${Object.keys(STRATEGIES).join(', ')}`);
   }
-  
-  return strategyCreator(dbConfig);
+
+  return validateStrategyInstance(strategyCreator(dbConfig), strategyName);
+}
+
+/**
+ * Register a search strategy
+ * @param {String} strategyName - Name of the strategy
+ * @param {Function} strategyCreator - Factory that takes a database configuration
+ * @param {String} source - Where the strategy came from (default: 'custom')
+ * @throws {Error} If the name is already registered from a different source
+ */
+export function registerStrategy(strategyName, strategyCreator, source = 'custom') {
+  if (typeof strategyCreator !== 'function') {
+    throw new Error(`Search strategy '${strategyName}' must be registered with a factory function`);
+  }
+
+  const existingSource = STRATEGY_SOURCES[strategyName];
+  if (existingSource && existingSource !== source) {
+    throw new Error(`Search strategy '${strategyName}' from ${source} conflicts with the one from ${existingSource}`);
+  }
+
+  STRATEGIES[strategyName] = strategyCreator;
+  STRATEGY_SOURCES[strategyName] = source;
+}
+
+/**
+ * Load third-party strategies from directories and packages
+ * @param {Object} options - Load options
+ * @param {Array} options.directories - Directories to scan (default: RAG_STRATEGY_DIRS)
+ * @param {Array} options.packages - Packages to import (default: RAG_STRATEGY_PACKAGES)
+ * @returns {Object} { loaded: [names], errors: [{ source, message }] }
+ */
+export async function loadStrategies(options = {}) {
+  const configured = getConfiguredStrategySources();
+  const directories = options.directories || configured.directories;
+  const packages = options.packages || configured.packages;
+
+  const loaded = [];
+  const errors = [];
+
+  const register = descriptors => {
+    for (const { name, factory, source } of descriptors) {
+      try {
+        registerStrategy(name, factory, source);
+        loaded.push(name);
+      } catch (error) {
+        errors.push({ source, message: error.message });
+      }
+    }
+  };
+
+  for (const directory of directories) {
+    if (loadedSources.has(directory)) continue;
+    try {
+      const { descriptors, errors: moduleErrors } = await loadStrategiesFromDirectory(directory);
+      register(descriptors);
+      errors.push(...moduleErrors);
+      loadedSources.add(directory);
+    } catch (error) {
+      errors.push({ source: directory, message: error.message });
+    }
+  }
+
+  for (const packageName of packages) {
+    if (loadedSources.has(packageName)) continue;
+    try {
+      register([await loadStrategyFromPackage(packageName)]);
+      loadedSources.add(packageName);
+    } catch (error) {
+      errors.push({ source: packageName, message: error.message });
+    }
+  }
+
+  return { loaded, errors };
 }
 
 /**
@@ -40,7 +137,20 @@ export function getAvailableStrategies() {
   return Object.keys(STRATEGIES);
 }
 
+/**
+ * Get where a registered strategy came from
+ * @param {String} strategyName - Name of the strategy
+ * @returns {String|undefined} 'built-in', a file path or a package name
+ */
+export function getStrategySource(strategyName) {
+  return STRATEGY_SOURCES[strategyName];
+}
+
 export default {
   createSearchStrategy,
-  getAvailableStrategies
+  getAvailableStrategies,
+  getStrategySource,
+  registerStrategy,
+  loadStrategies,
+  createSearchRequest
 };
@@ -0,0 +1,133 @@
+/**
+ * Search Strategy Loader
+ *
+ * This module discovers third-party search strategy modules from directories
+ * on disk or from installed packages, so experimental retrievers can be
+ * benchmarked without editing the built-in strategy registry.
+ *
+ * A strategy module must default-export a factory that takes the database
+ * configuration and returns an object with `search(request)` and `close()`.
+ * It may export `strategyName`; otherwise the file (or package) name is used.
+ * Each factory is called once at load time with an empty configuration and the
+ * instance is closed again, so factories must not connect before the first search.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// File extensions treated as strategy modules
+const MODULE_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * Get strategy directories and packages configured through the environment
+ * @returns {Object} Object with `directories` and `packages` arrays
+ */
+export function getConfiguredStrategySources() {
+  return {
+    directories: splitList(process.env.RAG_STRATEGY_DIRS),
+    packages: splitList(process.env.RAG_STRATEGY_PACKAGES)
+  };
+}
+
+/**
+ * Discover strategy modules in a directory
+ * @param {String} directory - Directory to scan (non-recursive)
+ * @returns {Object} { descriptors: [{ name, factory, source }], errors: [{ source, message }] }
+ * @throws {Error} If the directory cannot be read
+ */
+export async function loadStrategiesFromDirectory(directory) {
+  const resolvedDir = path.resolve(directory);
+  const entries = await fs.readdir(resolvedDir, { withFileTypes: true });
+
+  const files = entries
+    .filter(entry => entry.isFile())
+    .map(entry => entry.name)
+    .filter(name => MODULE_EXTENSIONS.includes(path.extname(name)) && !name.startsWith('_'))
+    .sort();
+
+  const descriptors = [];
+  const errors = [];
+  for (const file of files) {
+    const filePath = path.join(resolvedDir, file);
+    try {
+      const module = await import(pathToFileURL(filePath).href);
+      descriptors.push(await toStrategyDescriptor(module, path.basename(file, path.extname(file)), filePath));
+    } catch (error) {
+      // One broken module should not hide the rest of the directory
+      errors.push({ source: filePath, message: error.message });
+    }
+  }
+
+  return { descriptors, errors };
+}
+
+/**
+ * Load a strategy module from an installed package
+ * @param {String} packageName - Package name (or any specifier `import()` accepts)
+ * @returns {Object} Loaded strategy descriptor ({ name, factory, source })
+ */
+export async function loadStrategyFromPackage(packageName) {
+  const module = await import(packageName);
+  const fallbackName = packageName.split('/').pop();
+  return await toStrategyDescriptor(module, fallbackName, packageName);
+}
+
+/**
+ * Validate a module against the strategy contract and describe it
+ * @param {Object} module - Imported module namespace
+ * @param {String} fallbackName - Name to use when the module does not export `strategyName`
+ * @param {String} source - Where the module was loaded from
+ * @returns {Object} Strategy descriptor ({ name, factory, source })
+ * @throws {Error} If the module or the instance its factory returns does not implement
+ *   the strategy contract
+ */
+async function toStrategyDescriptor(module, fallbackName, source) {
+  const factory = module.default;
+
+  if (typeof factory !== 'function') {
+    throw new Error(`Strategy module '${source}' must default-export a factory function`);
+  }
+
+  const name = module.strategyName || fallbackName;
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error(`Strategy module '${source}' exports an invalid strategyName`);
+  }
+
+  // Same check as createSearchStrategy, so broken modules are reported instead of listed
+  const instance = validateStrategyInstance(factory({}), name);
+  await instance.close();
+
+  return { name, factory, source };
+}
+
+/**
+ * Check that a strategy instance implements search(request) and close()
+ * @param {Object} instance - Strategy instance returned by a factory
+ * @param {String} strategyName - Strategy name (for error messages)
+ * @returns {Object} The same instance
+ * @throws {Error} If the instance does not implement the contract
+ */
+export function validateStrategyInstance(instance, strategyName) {
+  if (!instance || typeof instance !== 'object') {
+    throw new Error(`Search strategy '${strategyName}' factory did not return an object`);
+  }
+
+  for (const method of ['search', 'close']) {
+    if (typeof instance[method] !== 'function') {
+      throw new Error(`Search strategy '${strategyName}' does not implement ${method}()`);
+    }
+  }
+
+  return instance;
+}
+
+/**
+ * Split a comma-separated list, dropping empty entries
+ * @param {String} value - Comma-separated list
+ * @returns {Array} List entries
+ */
+function splitList(value) {
+  if (!value) return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
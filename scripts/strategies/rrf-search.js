@@ -0,0 +1,183 @@
+/**
+ * Reciprocal Rank Fusion Search Strategy for RAG
+ *
+ * This module fuses vector, keyword (tsquery) and field-weighted rankings with
+ * Reciprocal Rank Fusion (RRF). Unlike the weighted sums in the hybrid and combined
+ * strategies, RRF only uses each document's rank in every source, so cosine
+ * similarity and ts_rank_cd scores never have to share a scale.
+ *
+ * score(d) = sum over sources of 1 / (k + rank_source(d))
+ */
+
+import { Pool } from 'pg';
+import { toSearchResult } from './search-request.js';
+import { buildDocumentScope } from './filters.js';
+import { vectorSearchSource } from './coarse-vectors.js';
+import { parseTextQuery, tsquerySql } from './text-query.js';
+
+// Default RRF constant (from Cormack et al., 2009)
+const DEFAULT_RRF_K = 60;
+
+/**
+ * RRFSearchStrategy class
+ */
+export class RRFSearchStrategy {
+  /**
+   * Constructor
+   * @param {Object} dbConfig - Database configuration
+   */
+  constructor(dbConfig) {
+    this.pool = new Pool(dbConfig);
+    this.name = 'rrf-search';
+  }
+
+  /**
+   * Perform search fused by Reciprocal Rank Fusion
+   * @param {Object} request - Search request (see createSearchRequest)
+   * @param {Number} request.options.rrfK - RRF k constant (default: 60)
+   * @param {Number} request.options.rrfCandidates - Candidates taken from each source (default: topK * 3)
+   * @returns {Array} Search results with per-source ranks in `scores`
+   */
+  async search(request) {
+    const { embedding, queryText, contentType, topK, dimension, options } = request;
+
+    const rrfK = options.rrfK ?? DEFAULT_RRF_K;
+    if (!Number.isFinite(rrfK) || rrfK < 0) {
+      throw new Error(`Invalid RRF k constant: ${rrfK}`);
+    }
+    const candidateCount = options.rrfCandidates || topK * 3;
+
+    // Determine which table to use based on dimension
+    const tableName = `documents_${dimension}`;
+
+    // Format embedding for PostgreSQL
+    const embeddingStr = JSON.stringify(embedding);
+
+    // Scope to the query's embedding model and the request's metadata filters
+    const filterClause = buildDocumentScope(request, 8);
+
+    // Search a coarse vector form first when requested (see coarse-vectors.js)
+    const vectorSource = vectorSearchSource(tableName, request, `content_type = $2${filterClause.sql}`, '$3');
+
+    // Parse the query text into a safe tsquery
+    const textQuery = parseTextQuery(queryText);
+    const keywordQuery = tsquerySql(textQuery, '$4');
+
+    const query = `
+      WITH vector_ranked AS (
+        SELECT
+          id,
+          ROW_NUMBER() OVER (ORDER BY embedding <=> $1::vector) AS rank
+        FROM ${vectorSource}
+        WHERE content_type = $2${filterClause.sql}
+        ORDER BY embedding <=> $1::vector
+        LIMIT $3
+      ),
+      keyword_ranked AS (
+        SELECT
+          id,
+          ROW_NUMBER() OVER (
+            ORDER BY ts_rank_cd(tsv, ${keywordQuery}) DESC
+          ) AS rank
+        FROM ${tableName}
+        WHERE
+          content_type = $2${filterClause.sql} AND
+          tsv @@ ${keywordQuery}
+        ORDER BY rank
+        LIMIT $3
+      ),
+      field_ranked AS (
+        -- Spec name and library matches outrank body matches
+        SELECT
+          id,
+          ROW_NUMBER() OVER (
+            ORDER BY ts_rank_cd(tsv_weighted, plainto_tsquery('english', $5), 32) DESC
+          ) AS rank
+        FROM ${tableName}
+        WHERE
+          content_type = $2${filterClause.sql} AND
+          tsv_weighted @@ plainto_tsquery('english', $5)
+        ORDER BY rank
+        LIMIT $3
+      ),
+      fused AS (
+        SELECT
+          id,
+          MIN(rank) FILTER (WHERE source = 'vector') AS vector_rank,
+          MIN(rank) FILTER (WHERE source = 'keyword') AS keyword_rank,
+          MIN(rank) FILTER (WHERE source = 'field') AS field_rank,
+          SUM(1.0 / ($6::float8 + rank)) AS rrf_score
+        FROM (
+          SELECT id, rank, 'vector' AS source FROM vector_ranked
+          UNION ALL
+          SELECT id, rank, 'keyword' AS source FROM keyword_ranked
+          UNION ALL
+          SELECT id, rank, 'field' AS source FROM field_ranked
+        ) ranked
+        GROUP BY id
+      )
+      SELECT
+        d.id,
+        d.content,
+        d.content_type,
+        d.metadata,
+        d.xeto_spec_name,
+        d.xeto_library,
+        f.vector_rank,
+        f.keyword_rank,
+        f.field_rank,
+        f.rrf_score AS similarity
+      FROM fused f
+      JOIN ${tableName} d ON d.id = f.id
+      ORDER BY f.rrf_score DESC, f.vector_rank ASC NULLS LAST
+      LIMIT $7
+    `;
+
+    const result = await this.pool.query(query, [
+      embeddingStr,
+      contentType,
+      candidateCount,
+      textQuery.text,
+      queryText,
+      rrfK,
+      topK,
+      ...filterClause.params
+    ]);
+
+    return result.rows.map(row => toSearchResult(row, {
+      vectorRank: toRank(row.vector_rank),
+      keywordRank: toRank(row.keyword_rank),
+      fieldRank: toRank(row.field_rank),
+      rrfScore: parseFloat(row.similarity || 0),
+      rrfK,
+      textQueryMode: textQuery.mode
+    }));
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    await this.pool.end();
+  }
+}
+
+/**
+ * Convert a rank column to a number (null when the source did not return the document)
+ * @param {String|Number|null} value - Rank from PostgreSQL (bigint arrives as a string)
+ * @returns {Number|null} Rank
+ */
+function toRank(value) {
+  return value === null || value === undefined ? null : parseInt(value, 10);
+}
+
+/**
+ * Create a new RRF search strategy
+ * @param {Object} dbConfig - Database configuration
+ * @returns {RRFSearchStrategy} RRF search strategy instance
+ */
+export function createRRFSearchStrategy(dbConfig) {
+  return new RRFSearchStrategy(dbConfig);
+}
+
+export default createRRFSearchStrategy;
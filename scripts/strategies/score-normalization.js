@@ -0,0 +1,84 @@
+/**
+ * Score Normalization for Fused Search Strategies
+ *
+ * Cosine similarity (0..1) and ts_rank_cd (unbounded) live on different scales, so a
+ * weighted sum of the raw values does not honour the configured weights. This module
+ * builds SQL expressions that normalize each source over its own candidate set before
+ * fusion. The expressions use window functions, so they must be selected from a CTE
+ * that already holds exactly one source's candidates.
+ *
+ * Modes:
+ * - none:   raw scores (previous behaviour)
+ * - minmax: (x - min) / (max - min), 1 when every candidate has the same score
+ * - zscore: (x - mean) / stddev, 0 when every candidate has the same score
+ * - rank:   (n - rank + 1) / n, so the best candidate scores 1
+ */
+
+// Supported normalization modes
+export const NORMALIZATION_MODES = ['none', 'minmax', 'zscore', 'rank'];
+
+// Default mode keeps the original weighted-sum behaviour
+export const DEFAULT_NORMALIZATION = 'none';
+
+/**
+ * Resolve and validate a normalization mode
+ * @param {String} mode - Requested mode (default: 'none')
+ * @returns {String} Normalization mode
+ * @throws {Error} If the mode is not supported
+ */
+export function resolveNormalization(mode) {
+  const resolved = mode || DEFAULT_NORMALIZATION;
+
+  if (!NORMALIZATION_MODES.includes(resolved)) {
+    throw new Error(`Unknown score normalization '${resolved}'. Available modes: ${NORMALIZATION_MODES.join(', ')}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Build a SQL expression that normalizes a score column over the current candidate set
+ * @param {String} column - Raw score column
+ * @param {String} mode - Normalization mode
+ * @returns {String} SQL expression
+ */
+export function normalizeScoreSql(column, mode) {
+  switch (resolveNormalization(mode)) {
+    case 'minmax':
+      return `COALESCE(
+        (${column} - MIN(${column}) OVER ()) / NULLIF(MAX(${column}) OVER () - MIN(${column}) OVER (), 0),
+        1.0
+      )`;
+    case 'zscore':
+      return `COALESCE(
+        (${column} - AVG(${column}) OVER ()) / NULLIF(STDDEV_POP(${column}) OVER (), 0),
+        0.0
+      )`;
+    case 'rank':
+      return `(COUNT(*) OVER () - RANK() OVER (ORDER BY ${column} DESC) + 1)::float / COUNT(*) OVER ()`;
+    default:
+      return column;
+  }
+}
+
+/**
+ * Build a SQL expression for a normalized score that may be missing after a FULL OUTER JOIN
+ *
+ * A document absent from a source gets that source's floor: 0 for none/minmax/rank, and the
+ * lowest z-score in the candidate set for zscore (so absence never beats a below-average hit).
+ * @param {String} column - Qualified normalized score column (e.g. v.vector_score)
+ * @param {String} cte - CTE holding the normalized scores
+ * @param {String} cteColumn - Normalized score column inside the CTE
+ * @returns {String} SQL expression
+ */
+export function missingScoreFloorSql(column, cte, cteColumn) {
+  return `COALESCE(${column}, LEAST(0, (SELECT MIN(${cteColumn}) FROM ${cte})))`;
+}
+
+export default {
+  NORMALIZATION_MODES,
+  DEFAULT_NORMALIZATION,
+  resolveNormalization,
+  normalizeScoreSql,
+  missingScoreFloorSql
+};
@@ -0,0 +1,98 @@
+/**
+ * Search Request and Result Shapes
+ *
+ * This module defines the request object every search strategy accepts and the
+ * result shape every strategy returns, so the benchmark runner can call any
+ * registered strategy the same way.
+ */
+
+/**
+ * Create a search request
+ * @param {Object} params - Request parameters
+ * @param {Array} params.embedding - Query embedding vector
+ * @param {String} params.queryText - Original query text
+ * @param {String} params.embeddingModel - Embedding model used to embed the query
+ * @param {String} params.contentType - Content type to search
+ * @param {Number} params.topK - Number of results to return (default: 5)
+ * @param {Number} params.dimension - Embedding dimension (selects the documents_<dimension> table)
+ * @param {Object} params.filters - Metadata filters, see filters.js (default: {})
+ * @param {Object} params.weights - Strategy-specific fusion weights (default: {})
+ * @param {Object} params.options - Additional strategy-specific options (default: {})
+ * @returns {Object} Search request
+ * @throws {Error} If a required field is missing
+ */
+export function createSearchRequest(params = {}) {
+  const {
+    embedding,
+    queryText = '',
+    embeddingModel,
+    contentType,
+    topK = 5,
+    dimension,
+    filters = {},
+    weights = {},
+    options = {}
+  } = params;
+
+  if (!Array.isArray(embedding) || embedding.length === 0) {
+    throw new Error('Search request requires a non-empty embedding array');
+  }
+
+  if (!contentType) {
+    throw new Error('Search request requires a contentType');
+  }
+
+  return {
+    embedding,
+    queryText,
+    embeddingModel,
+    contentType,
+    topK,
+    dimension: dimension || embedding.length,
+    filters,
+    weights,
+    options
+  };
+}
+
+/**
+ * Get the embedding_model value the database builder stores for a model
+ *
+ * The builder writes `${provider}_${model}` (e.g. openai_text-embedding-3-small), so a
+ * documents_* table shared by several models of the same dimension can be scoped to the
+ * model that produced the query vector.
+ * @param {String} embeddingModel - Embedding model name (prefixed names are returned unchanged)
+ * @returns {String|null} Stored embedding_model value, or null when no model is given
+ */
+export function getStoredEmbeddingModel(embeddingModel) {
+  if (!embeddingModel) return null;
+  if (/^(openai|gemini)_/.test(embeddingModel)) return embeddingModel;
+
+  const provider = embeddingModel.includes('text-embedding-3') ? 'openai' : 'gemini';
+  return `${provider}_${embeddingModel}`;
+}
+
+/**
+ * Convert a database row into the common search result shape
+ * @param {Object} row - Database row
+ * @param {Object} scores - Per-source scores to attach (e.g. vectorSimilarity)
+ * @returns {Object} Search result
+ */
+export function toSearchResult(row, scores = {}) {
+  return {
+    id: row.id,
+    content: row.content,
+    contentType: row.content_type,
+    metadata: row.metadata,
+    xetoSpecName: row.xeto_spec_name,
+    xetoLibrary: row.xeto_library,
+    similarity: parseFloat(row.similarity || 0),
+    scores
+  };
+}
+
+export default {
+  createSearchRequest,
+  getStoredEmbeddingModel,
+  toSearchResult
+};
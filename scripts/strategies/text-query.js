@@ -0,0 +1,88 @@
+/**
+ * Text Query Parsing for Lexical Search
+ *
+ * This module turns free query text into the full-text search inputs the lexical
+ * sources of hybrid-search, combined-search and rrf-search use, so user input never
+ * reaches to_tsquery or ILIKE unescaped.
+ *
+ * - Plain queries become an OR of quoted lexemes ('co2' | 'sensor'), without stop words.
+ * - CamelCase or alphanumeric Xeto names (ZoneAirTemp, Co2) are matched as prefixes,
+ *   so a partial name still finds ZoneAirTempSensor or Co2Sensor, and their split words
+ *   and expanded abbreviations are added (see xeto-identifiers.js).
+ * - Queries written with web search syntax ("air handler", -fan, OR) are passed to
+ *   websearch_to_tsquery instead, which understands it. Only an uppercase OR counts, so
+ *   questions like "sensor or meter for co2" keep prefix matching and identifier terms.
+ * - Queries without searchable words produce a NULL tsquery, which matches nothing.
+ */
+
+import { escapeLike } from './filters.js';
+import { identifierTerms } from './xeto-identifiers.js';
+import { STOP_WORDS } from '../text/tokenize.js';
+
+// Double-quoted phrases, -exclusions and an uppercase OR between terms are web search syntax
+const WEBSEARCH_SYNTAX = /"[^"]+"|(^|\s)-[\p{L}\p{N}]|\sOR\s/u;
+
+/**
+ * Parse query text for lexical search
+ * @param {String} queryText - Query text
+ * @returns {Object} { mode: 'terms' | 'websearch' | 'empty', text, terms, phrasePattern }
+ *   where text is the value to bind to the tsquery parameter (see tsquerySql), terms are
+ *   the extracted words and phrasePattern is an ILIKE pattern for the whole query (or null)
+ */
+export function parseTextQuery(queryText = '') {
+  const trimmed = (queryText || '').trim();
+  const phrasePattern = trimmed ? `%${escapeLike(trimmed)}%` : null;
+
+  const seen = new Set();
+  const terms = [];
+  const addTerm = (word, prefix) => {
+    const lexeme = word.toLowerCase();
+    if (lexeme.length < 2 || STOP_WORDS.includes(lexeme) || seen.has(lexeme)) return;
+    seen.add(lexeme);
+    terms.push({ word, lexeme, prefix });
+  };
+
+  const words = trimmed.match(/[\p{L}\p{N}]+/gu) || [];
+  words.forEach(word => addTerm(word, isCompoundName(word)));
+  words.forEach(word => identifierTerms(word).forEach(term => addTerm(term, false)));
+
+  if (terms.length === 0) {
+    return { mode: 'empty', text: '', terms, phrasePattern };
+  }
+
+  if (WEBSEARCH_SYNTAX.test(trimmed)) {
+    return { mode: 'websearch', text: trimmed, terms, phrasePattern };
+  }
+
+  // Lexemes only contain letters and digits, so quoting them cannot break the tsquery
+  const text = terms
+    .map(term => `'${term.lexeme}'${term.prefix ? ':*' : ''}`)
+    .join(' | ');
+
+  return { mode: 'terms', text, terms, phrasePattern };
+}
+
+/**
+ * Build the SQL tsquery expression for a parsed query
+ * @param {Object} textQuery - Parsed query (see parseTextQuery)
+ * @param {String} param - Positional parameter bound to textQuery.text (e.g. '$4')
+ * @returns {String} SQL expression (NULL for an empty query)
+ */
+export function tsquerySql(textQuery, param) {
+  const parser = textQuery.mode === 'websearch' ? 'websearch_to_tsquery' : 'to_tsquery';
+  return `${parser}('english', NULLIF(${param}, ''))`;
+}
+
+/**
+ * Check whether a word is a CamelCase or alphanumeric name (e.g. ZoneAirTemp, CO2)
+ * @param {String} word - Query word
+ * @returns {Boolean} True when the word should be matched as a prefix
+ */
+function isCompoundName(word) {
+  return /\p{Ll}\p{Lu}/u.test(word) || /\p{L}\p{N}|\p{N}\p{L}/u.test(word);
+}
+
+export default {
+  parseTextQuery,
+  tsquerySql
+};
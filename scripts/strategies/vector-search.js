@@ -5,6 +5,9 @@
  */
 
 import { Pool } from 'pg';
+import { toSearchResult } from './search-request.js';
+import { buildDocumentScope } from './filters.js';
+import { vectorSearchSource } from './coarse-vectors.js';
 
 /**
  * VectorSearchStrategy class
@@ -21,22 +24,23 @@ export class VectorSearchStrategy {
 
   /**
    * Perform vector search
-   * @param {Array} embedding - Query embedding vector
-   * @param {String} embeddingModel - Embedding model used
-   * @param {String} contentType - Content type to search
-   * @param {Number} topK - Number of results to return
-   * @param {Number} dimension - Embedding dimension
+   * @param {Object} request - Search request (see createSearchRequest)
    * @returns {Array} Search results
    */
-  async search(embedding, embeddingModel, contentType, topK, dimension) {
+  async search(request) {
+    const { embedding, contentType, topK, dimension } = request;
+    
     // Determine which table to use based on dimension
     const tableName = `documents_${dimension}`;
     
     // Format embedding for PostgreSQL
     const embeddingStr = JSON.stringify(embedding);
     
-    // Build provider prefix
-    const providerPrefix = embeddingModel.includes('text-embedding-3') ? 'openai_' : 'gemini_';
+    // Scope to the query's embedding model and the request's metadata filters
+    const filterClause = buildDocumentScope(request, 4);
+    
+    // Search a coarse vector form first when requested (see coarse-vectors.js)
+    const vectorSource = vectorSearchSource(tableName, request, `content_type = $2${filterClause.sql}`, '$3');
     
     // Build query
     const query = `
@@ -48,22 +52,16 @@ export class VectorSearchStrategy {
         xeto_spec_name,
         xeto_library,
         1 - (embedding <=> $1::vector) AS similarity
-      FROM ${tableName}
-      WHERE content_type = $2
+      FROM ${vectorSource}
+      WHERE content_type = $2${filterClause.sql}
       ORDER BY embedding <=> $1::vector
       LIMIT $3
     `;
     
-    const result = await this.pool.query(query, [embeddingStr, contentType, topK]);
+    const result = await this.pool.query(query, [embeddingStr, contentType, topK, ...filterClause.params]);
     
-    return result.rows.map(row => ({
-      id: row.id,
-      content: row.content,
-      contentType: row.content_type,
-      metadata: row.metadata,
-      xetoSpecName: row.xeto_spec_name,
-      xetoLibrary: row.xeto_library,
-      similarity: parseFloat(row.similarity)
+    return result.rows.map(row => toSearchResult(row, {
+      vectorSimilarity: parseFloat(row.similarity)
     }));
   }
 
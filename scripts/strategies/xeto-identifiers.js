@@ -0,0 +1,73 @@
+/**
+ * Xeto Identifier Terms for Keyword Search
+ *
+ * The `english` text search configuration keeps Xeto identifiers such as
+ * DischargeAirTempSensor as one token, so "discharge air temperature sensor" never
+ * matches them lexically. This module splits CamelCase identifiers into their words and
+ * expands common abbreviations (Temp -> temperature, Co2 -> carbon dioxide).
+ *
+ * The database builder stores the extra terms of every document in `search_text`, and
+ * parseTextQuery() adds the same terms to queries, so both sides agree on the split.
+ */
+
+// Abbreviations used in Xeto/Haystack names and the words they stand for
+export const ABBREVIATIONS = {
+  ahu: ['air', 'handling', 'unit'],
+  cmd: ['command'],
+  co2: ['carbon', 'dioxide'],
+  elec: ['electric'],
+  equip: ['equipment'],
+  freq: ['frequency'],
+  hum: ['humidity'],
+  rtu: ['rooftop', 'unit'],
+  sp: ['setpoint'],
+  temp: ['temperature'],
+  vav: ['variable', 'air', 'volume']
+};
+
+/**
+ * Split a CamelCase identifier into its words
+ * @param {String} word - Identifier (e.g. DischargeAirTempSensor, Co2Sensor, AHUStatus)
+ * @returns {Array} Words in their original case (a single-element array for plain words)
+ */
+export function splitIdentifier(word) {
+  return word.match(/\p{Lu}+(?!\p{Ll})\p{N}*|\p{Lu}?\p{Ll}+\p{N}*|\p{N}+/gu) || [word];
+}
+
+/**
+ * Get the extra search terms for one word
+ * @param {String} word - Word or identifier
+ * @returns {Array} Lowercase split words and abbreviation expansions (empty for plain words)
+ */
+export function identifierTerms(word) {
+  const parts = splitIdentifier(word).map(part => part.toLowerCase());
+  const terms = parts.length > 1 ? [...parts] : [];
+
+  for (const part of parts) {
+    terms.push(...(ABBREVIATIONS[part] || []));
+  }
+
+  return [...new Set(terms)];
+}
+
+/**
+ * Build the extra search text for a document
+ * @param {String} text - Document content
+ * @returns {String} Space-separated split identifiers and expansions ('' when there are none)
+ */
+export function buildSearchText(text) {
+  const terms = new Set();
+
+  for (const word of (text || '').match(/[\p{L}\p{N}]+/gu) || []) {
+    identifierTerms(word).forEach(term => terms.add(term));
+  }
+
+  return [...terms].join(' ');
+}
+
+export default {
+  ABBREVIATIONS,
+  splitIdentifier,
+  identifierTerms,
+  buildSearchText
+};
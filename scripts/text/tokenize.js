@@ -0,0 +1,54 @@
+/**
+ * Shared Text Tokenization
+ *
+ * The lexical reranker, the stub judge, the groundedness check, reference answer scoring
+ * and the lexical search query parser all compare texts by their words. They share the
+ * stop word list and the word splitting of this module, so a word that is ignored by one
+ * of them is ignored by all.
+ */
+
+// Common words ignored when comparing terms
+export const STOP_WORDS = [
+  'a', 'an', 'the', 'and', 'or', 'but', 'not', 'no',
+  'is', 'are', 'was', 'were', 'be', 'has', 'have', 'do', 'can',
+  'in', 'on', 'at', 'to', 'for', 'with', 'of', 'by', 'as', 'from',
+  'it', 'its', 'this', 'that', 'these', 'those', 'which', 'there', 'their', 'they',
+  'i', 'me', 'you', 'your', 'what', 'how', 'show', 'all', 'also', 'such'
+];
+
+/**
+ * Split text into lowercase words without punctuation
+ * @param {String} text - Text to split
+ * @returns {Array} Words, with repeats
+ */
+export function splitWords(text) {
+  return (text || '').toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Split text into lowercase terms without stop words
+ * @param {String} text - Text to split
+ * @param {Object} options - Tokenization options
+ * @param {Array} options.extraStopWords - Words ignored in addition to STOP_WORDS
+ * @param {Boolean} options.foldPlurals - Fold plurals ("sensors" -> "sensor")
+ * @returns {Array} Unique terms
+ */
+export function tokenize(text, { extraStopWords = [], foldPlurals = false } = {}) {
+  let words = splitWords(text)
+    .filter(word => word.length > 1 && !STOP_WORDS.includes(word) && !extraStopWords.includes(word));
+
+  if (foldPlurals) {
+    words = words.map(word => word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+  }
+
+  return [...new Set(words)];
+}
+
+export default {
+  STOP_WORDS,
+  splitWords,
+  tokenize
+};
@@ -11,6 +11,9 @@ import fs from 'fs/promises';
 import path from 'path';
 import { createServer } from 'http';
 import { fileURLToPath } from 'url';
+import { summarizeRetrievalMetrics } from './evaluation/retrieval-metrics.js';
+import { summarizeGroundednessByConfiguration } from './evaluation/groundedness.js';
+import { summarizeReferenceScores } from './evaluation/reference-answers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -137,9 +140,19 @@ function generateHtmlReport(benchmarkResults) {
   
   // Calculate averages
   const strategyAverages = calculateAverages(byStrategy, 'search_strategy');
+  const strategyRetrievalAverages = calculateRetrievalAverages(byStrategy);
   const llmAverages = calculateAverages(byLLM, 'llm_model');
   const embeddingAverages = calculateAverages(byEmbedding, 'embedding_model');
   const contentTypeAverages = calculateAverages(byContentType, 'content_type');
+  
+  // Hallucination rate of each configuration (only for answers the groundedness check covered)
+  const groundednessRows = summarizeGroundednessByConfiguration(successfulResults);
+  
+  // Similarity to reference answers of each LLM (only for test queries with a reference answer)
+  const referenceRows = Object.entries(byLLM)
+    .map(([model, items]) => ({ model, summary: summarizeReferenceScores(items) }))
+    .filter(row => row.summary);
+  
   // Calculate averages for context size
   const contextSizeAverages = {};
   for (const [size, items] of Object.entries(byContextSize)) {
@@ -573,6 +586,76 @@ function generateHtmlReport(benchmarkResults) {
               `).join('')}
             </table>
             
+            ${Object.keys(strategyRetrievalAverages).length > 0 ? `
+            <h3>Retrieval Quality by Search Strategy</h3>
+            <table>
+              <tr>
+                <th>Strategy</th>
+                <th>Recall@K</th>
+                <th>Precision@K</th>
+                <th>MRR</th>
+                <th>nDCG</th>
+                <th>Hit Rate</th>
+                <th>Labelled Queries</th>
+              </tr>
+              ${Object.entries(strategyRetrievalAverages).map(([strategy, retrieval]) => `
+                <tr>
+                  <td>${strategy}</td>
+                  <td>${retrieval.recallAtK.toFixed(2)}</td>
+                  <td>${retrieval.precisionAtK.toFixed(2)}</td>
+                  <td>${retrieval.mrr.toFixed(2)}</td>
+                  <td>${retrieval.ndcg.toFixed(2)}</td>
+                  <td>${retrieval.hitRate.toFixed(2)}</td>
+                  <td>${retrieval.labelledQueries}</td>
+                </tr>
+              `).join('')}
+            </table>
+            ` : ''}
+            
+            ${groundednessRows.length > 0 ? `
+            <h3>Hallucination Rate by Configuration</h3>
+            <table>
+              <tr>
+                <th>Configuration</th>
+                <th>Hallucination Rate (%)</th>
+                <th>Unsupported Claims</th>
+                <th>Answers with Unsupported Claims</th>
+              </tr>
+              ${groundednessRows.map(row => `
+                <tr>
+                  <td>${row.configuration}</td>
+                  <td>${(row.hallucinationRate * 100).toFixed(2)}</td>
+                  <td>${row.unsupportedClaims}/${row.claims}</td>
+                  <td>${row.answersWithHallucinations}/${row.checkedAnswers}</td>
+                </tr>
+              `).join('')}
+            </table>
+            ` : ''}
+            
+            ${referenceRows.length > 0 ? `
+            <h3>Reference Answer Match by LLM Model</h3>
+            <table>
+              <tr>
+                <th>Model</th>
+                <th>Avg Semantic Similarity</th>
+                <th>Avg Token F1</th>
+                <th>Avg Token Precision</th>
+                <th>Avg Token Recall</th>
+                <th>Answers with Reference</th>
+              </tr>
+              ${referenceRows.map(({ model, summary }) => `
+                <tr>
+                  <td>${model}</td>
+                  <td>${summary.semanticSimilarity.toFixed(2)}</td>
+                  <td>${summary.tokenF1.toFixed(2)}</td>
+                  <td>${summary.tokenPrecision.toFixed(2)}</td>
+                  <td>${summary.tokenRecall.toFixed(2)}</td>
+                  <td>${summary.scoredAnswers}</td>
+                </tr>
+              `).join('')}
+            </table>
+            ` : ''}
+            
             <h3>Strategy Performance by Content Type</h3>
             <table>
               <tr>
@@ -840,6 +923,21 @@ function calculateAverages(groupedResults, groupKey) {
   return averages;
 }
 
+/**
+ * Calculate retrieval metrics for grouped results
+ * Groups without labelled relevant documents are left out
+ */
+function calculateRetrievalAverages(groupedResults) {
+  const averages = {};
+  
+  for (const [key, items] of Object.entries(groupedResults)) {
+    const retrieval = summarizeRetrievalMetrics(items);
+    if (retrieval) averages[key] = retrieval;
+  }
+  
+  return averages;
+}
+
 /**
  * Helper function to group array by property
  */
@@ -11,6 +11,10 @@ import fs from 'fs/promises';
 import path from 'path';
 import { createServer } from 'http';
 import { fileURLToPath } from 'url';
+import { parseEmbeddingModel } from './dimensions/matryoshka.js';
+import { summarizeRetrievalMetrics } from './evaluation/retrieval-metrics.js';
+import { summarizeGroundednessByConfiguration } from './evaluation/groundedness.js';
+import { summarizeReferenceScores } from './evaluation/reference-answers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -101,6 +105,7 @@ function generateHtmlReport(benchmarkResults) {
   }
   
   // Group results
+  const byStrategy = groupBy(successfulResults, 'search_strategy');
   const byLLM = groupBy(successfulResults, 'llm_model');
   const byEmbedding = groupBy(successfulResults, 'embedding_model');
   const byContentType = groupBy(successfulResults, 'content_type');
@@ -110,6 +115,21 @@ function generateHtmlReport(benchmarkResults) {
   const embeddingAverages = calculateAverages(byEmbedding, 'embedding_model');
   const contentTypeAverages = calculateAverages(byContentType, 'content_type');
   
+  // Retrieval quality against labelled relevant documents (only for labelled test queries)
+  const strategyRetrievalAverages = calculateRetrievalAverages(byStrategy);
+  
+  // Hallucination rate of each configuration (only for answers the groundedness check covered)
+  const groundednessRows = summarizeGroundednessByConfiguration(successfulResults);
+  
+  // Similarity to reference answers of each LLM (only for test queries with a reference answer)
+  const referenceRows = Object.entries(byLLM)
+    .map(([model, items]) => ({ model, summary: summarizeReferenceScores(items) }))
+    .filter(row => row.summary);
+  
+  // Quality, storage and latency of each embedding dimension (native and truncated)
+  const dimensionRows = calculateDimensionRows(byEmbedding);
+  const dimensionSeries = groupBy(dimensionRows, 'baseModel');
+  
   // Find best combinations
   const fastestResult = successfulResults.sort((a, b) => a.metrics.totalTime - b.metrics.totalTime)[0];
   const cheapestResult = successfulResults.sort((a, b) => a.metrics.totalCost - b.metrics.totalCost)[0];
@@ -312,6 +332,111 @@ function generateHtmlReport(benchmarkResults) {
             `).join('')}
           </table>
           
+          ${dimensionRows.length > 0 ? `
+          <h3>Quality vs. Embedding Dimensions</h3>
+          <div class="chart-container">
+            <div class="chart">
+              <h3>Keyword Match by Dimensions</h3>
+              <canvas id="dimensionQualityChart"></canvas>
+            </div>
+            
+            <div class="chart">
+              <h3>Search Time by Dimensions</h3>
+              <canvas id="dimensionTimeChart"></canvas>
+            </div>
+          </div>
+          <table>
+            <tr>
+              <th>Model</th>
+              <th>Dimensions</th>
+              <th>Storage per Vector (bytes)</th>
+              <th>Avg Search Time (ms)</th>
+              <th>Avg Keyword Match (%)</th>
+              <th>Count</th>
+            </tr>
+            ${dimensionRows.map(row => `
+              <tr>
+                <td>${row.model}</td>
+                <td>${row.dimensions}</td>
+                <td>${row.storageBytes}</td>
+                <td>${row.searchTime.toFixed(2)}</td>
+                <td>${row.keywordMatchPercentage.toFixed(2)}</td>
+                <td>${row.count}</td>
+              </tr>
+            `).join('')}
+          </table>
+          ` : ''}
+          
+          ${Object.keys(strategyRetrievalAverages).length > 0 ? `
+          <h3>Retrieval Quality by Search Strategy</h3>
+          <table>
+            <tr>
+              <th>Strategy</th>
+              <th>Recall@K</th>
+              <th>Precision@K</th>
+              <th>MRR</th>
+              <th>nDCG</th>
+              <th>Hit Rate</th>
+              <th>Labelled Queries</th>
+            </tr>
+            ${Object.entries(strategyRetrievalAverages).map(([strategy, retrieval]) => `
+              <tr>
+                <td>${strategy}</td>
+                <td>${retrieval.recallAtK.toFixed(2)}</td>
+                <td>${retrieval.precisionAtK.toFixed(2)}</td>
+                <td>${retrieval.mrr.toFixed(2)}</td>
+                <td>${retrieval.ndcg.toFixed(2)}</td>
+                <td>${retrieval.hitRate.toFixed(2)}</td>
+                <td>${retrieval.labelledQueries}</td>
+              </tr>
+            `).join('')}
+          </table>
+          ` : ''}
+          
+          ${groundednessRows.length > 0 ? `
+          <h3>Hallucination Rate by Configuration</h3>
+          <table>
+            <tr>
+              <th>Configuration</th>
+              <th>Hallucination Rate (%)</th>
+              <th>Unsupported Claims</th>
+              <th>Answers with Unsupported Claims</th>
+            </tr>
+            ${groundednessRows.map(row => `
+              <tr>
+                <td>${row.configuration}</td>
+                <td>${(row.hallucinationRate * 100).toFixed(2)}</td>
+                <td>${row.unsupportedClaims}/${row.claims}</td>
+                <td>${row.answersWithHallucinations}/${row.checkedAnswers}</td>
+              </tr>
+            `).join('')}
+          </table>
+          ` : ''}
+          
+          ${referenceRows.length > 0 ? `
+          <h3>Reference Answer Match by LLM Model</h3>
+          <table>
+            <tr>
+              <th>Model</th>
+              <th>Avg Semantic Similarity</th>
+              <th>Avg Token F1</th>
+              <th>Avg Token Precision</th>
+              <th>Avg Token Recall</th>
+              <th>Answers with Reference</th>
+            </tr>
+            ${referenceRows.map(({ model, summary }) => `
+              <tr>
+                <td>${model}</td>
+                <td>${summary.semanticSimilarity.toFixed(2)}</td>
+                <td>${summary.tokenF1.toFixed(2)}</td>
+                <td>${summary.tokenPrecision.toFixed(2)}</td>
+                <td>${summary.tokenRecall.toFixed(2)}</td>
+                <td>${summary.scoredAnswers}</td>
+              </tr>
+            `).join('')}
+          </table>
+          ` : ''}
+          
           <h3>By Content Type</h3>
           <table>
             <tr>
@@ -446,6 +571,43 @@ function generateHtmlReport(benchmarkResults) {
               }
             });
             
+            ${dimensionRows.length > 0 ? `
+            // Dimension Charts: one line per base model, from its smallest truncation to its native size
+            new Chart(document.getElementById('dimensionQualityChart'), {
+              type: 'scatter',
+              data: {
+                datasets: ${JSON.stringify(Object.entries(dimensionSeries).map(([model, rows]) => ({
+                  label: model,
+                  data: rows.map(row => ({ x: row.dimensions, y: row.keywordMatchPercentage })),
+                  showLine: true
+                })))}
+              },
+              options: {
+                scales: {
+                  x: { title: { display: true, text: 'Dimensions' } },
+                  y: { beginAtZero: true, max: 100, title: { display: true, text: 'Avg Keyword Match (%)' } }
+                }
+              }
+            });
+            
+            new Chart(document.getElementById('dimensionTimeChart'), {
+              type: 'scatter',
+              data: {
+                datasets: ${JSON.stringify(Object.entries(dimensionSeries).map(([model, rows]) => ({
+                  label: model,
+                  data: rows.map(row => ({ x: row.dimensions, y: row.searchTime })),
+                  showLine: true
+                })))}
+              },
+              options: {
+                scales: {
+                  x: { title: { display: true, text: 'Dimensions' } },
+                  y: { beginAtZero: true, title: { display: true, text: 'Avg Search Time (ms)' } }
+                }
+              }
+            });
+            ` : ''}
+            
             // Content Accuracy Chart
             new Chart(document.getElementById('contentAccuracyChart'), {
               type: 'bar',
@@ -532,6 +694,46 @@ function calculateAverages(groupedResults, groupKey) {
   return averages;
 }
 
+/**
+ * Calculate retrieval metrics for grouped results
+ * Groups without labelled relevant documents are left out
+ */
+function calculateRetrievalAverages(groupedResults) {
+  const averages = {};
+  
+  for (const [key, items] of Object.entries(groupedResults)) {
+    const retrieval = summarizeRetrievalMetrics(items);
+    if (retrieval) averages[key] = retrieval;
+  }
+  
+  return averages;
+}
+
+/**
+ * Calculate quality, storage and latency per embedding model and dimension
+ * Results from before embeddingDimensions was recorded are left out
+ */
+function calculateDimensionRows(groupedResults) {
+  const rows = [];
+  
+  for (const [model, items] of Object.entries(groupedResults)) {
+    const dimensions = items[0].metrics.embeddingDimensions;
+    if (!dimensions) continue;
+    
+    rows.push({
+      model,
+      baseModel: parseEmbeddingModel(model).model,
+      dimensions,
+      storageBytes: items[0].metrics.vectorStorageBytes,
+      searchTime: average(items.map(item => item.metrics.searchTime)),
+      keywordMatchPercentage: average(items.map(item => item.metrics.keywordMatchPercentage)),
+      count: items.length
+    });
+  }
+  
+  return rows.sort((a, b) => a.baseModel.localeCompare(b.baseModel) || a.dimensions - b.dimensions);
+}
+
 /**
  * Helper function to calculate average
  */
@@ -0,0 +1,57 @@
+/**
+ * Tests for Matryoshka dimension truncation (scripts/dimensions/matryoshka.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseEmbeddingModel,
+  formatEmbeddingModel,
+  getNativeDimensions,
+  truncateEmbedding,
+  getVectorStorageBytes
+} from '../scripts/dimensions/matryoshka.js';
+
+test('model specs split into the model and its target dimensions', () => {
+  assert.deepEqual(parseEmbeddingModel('text-embedding-3-large@256'), { model: 'text-embedding-3-large', dimensions: 256 });
+  assert.deepEqual(parseEmbeddingModel('text-embedding-3-small@1536'), { model: 'text-embedding-3-small', dimensions: 1536 });
+  assert.deepEqual(parseEmbeddingModel('text-embedding-004'), { model: 'text-embedding-004', dimensions: null });
+  assert.equal(formatEmbeddingModel('text-embedding-3-large', 256), 'text-embedding-3-large@256');
+});
+
+test('target dimensions must be an integer from 1 to the native dimensions', () => {
+  for (const value of ['0', '1.5', '-8', '', 'abc']) {
+    assert.throws(
+      () => parseEmbeddingModel(`text-embedding-3-small@${value}`),
+      new RegExp(`Invalid dimensions for text-embedding-3-small: '${value}' \\(expected an integer from 1 to 1536\\)`)
+    );
+  }
+  assert.throws(() => parseEmbeddingModel('text-embedding-3-small@2048'), /expected an integer from 1 to 1536/);
+  assert.throws(() => formatEmbeddingModel('text-embedding-3-large', 4096), /expected an integer from 1 to 3072/);
+});
+
+test('models that do not support shortening are rejected', () => {
+  assert.throws(
+    () => parseEmbeddingModel('text-embedding-004@256'),
+    /text-embedding-004 does not support shortening \(supported: text-embedding-3-small, text-embedding-3-large\)/
+  );
+});
+
+test('native dimensions also match provider-prefixed names', () => {
+  assert.equal(getNativeDimensions('text-embedding-3-large'), 3072);
+  assert.equal(getNativeDimensions('openai_text-embedding-3-small'), 1536);
+  assert.equal(getNativeDimensions('text-embedding-004'), null);
+});
+
+test('truncated embeddings are rescaled to unit length', () => {
+  assert.deepEqual(truncateEmbedding([3, 4, 0], 2), [0.6, 0.8]);
+  assert.deepEqual(truncateEmbedding([0, 0, 1], 2), [0, 0]);
+
+  const embedding = [0.5, 0.5, 0.5, 0.5];
+  assert.deepEqual(truncateEmbedding(embedding, 4), embedding);
+  assert.equal(embedding.length, 4);
+});
+
+test('vector storage is 4 bytes per dimension plus a header', () => {
+  assert.equal(getVectorStorageBytes(256), 1032);
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for Maximal Marginal Relevance selection (scripts/diversification/mmr.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectWithMMR, cosineSimilarity } from '../scripts/diversification/mmr.js';
+
+const QUERY = [1, 1, 0];
+
+// 1 matches the query, 2 is a near-duplicate of 1, 3 is less relevant but different
+const EMBEDDINGS = new Map([
+  [1, [1, 1, 0]],
+  [2, [1, 0.9, 0.1]],
+  [3, [1, 0, 0]]
+]);
+
+const CANDIDATES = [1, 2, 3].map(id => ({ id, content: `doc ${id}`, scores: { vectorRank: id } }));
+
+test('a near-duplicate is demoted below a diverse candidate when lambda < 1', () => {
+  const selected = selectWithMMR(QUERY, CANDIDATES, EMBEDDINGS, 3, 0.3);
+  assert.deepEqual(selected.map(result => result.id), [1, 3, 2]);
+});
+
+test('lambda = 1 keeps relevance order', () => {
+  const selected = selectWithMMR(QUERY, CANDIDATES, EMBEDDINGS, 3, 1);
+  assert.deepEqual(selected.map(result => result.id), [1, 2, 3]);
+  assert.equal(selected[0].scores.mmrScore, cosineSimilarity(QUERY, EMBEDDINGS.get(1)));
+});
+
+test('selected results keep their scores and gain mmrScore', () => {
+  const [first] = selectWithMMR(QUERY, CANDIDATES, EMBEDDINGS, 1, 0.5);
+  assert.equal(first.scores.vectorRank, 1);
+  assert.equal(first.scores.mmrScore, 0.5 * cosineSimilarity(QUERY, EMBEDDINGS.get(1)));
+  assert.equal(CANDIDATES[0].scores.mmrScore, undefined);
+});
+
+test('candidates without a stored embedding follow the compared ones', () => {
+  const candidates = [{ id: 9, scores: {} }, ...CANDIDATES];
+  assert.deepEqual(selectWithMMR(QUERY, candidates, EMBEDDINGS, 4, 1).map(result => result.id), [1, 2, 3, 9]);
+  assert.deepEqual(selectWithMMR(QUERY, candidates, EMBEDDINGS, 2, 1).map(result => result.id), [1, 2]);
+  assert.deepEqual(selectWithMMR(QUERY, candidates, new Map(), 2, 0.5).map(result => result.id), [9, 1]);
+});
+
+test('lambda outside [0, 1] is rejected', () => {
+  for (const lambda of [-0.1, 1.5, NaN]) {
+    assert.throws(() => selectWithMMR(QUERY, CANDIDATES, EMBEDDINGS, 3, lambda), /MMR lambda must be between 0 and 1/);
+  }
+});
+
+test('cosine similarity of zero and empty vectors is 0', () => {
+  assert.equal(cosineSimilarity([0, 0, 0], [1, 2, 3]), 0);
+  assert.equal(cosineSimilarity([1, 2, 3], [0, 0, 0]), 0);
+  assert.equal(cosineSimilarity([], []), 0);
+});
+
+test('cosine similarity ignores vector length', () => {
+  assert.equal(cosineSimilarity([3, 4], [6, 8]), 1);
+  assert.equal(cosineSimilarity([1, 0], [0, 2]), 0);
+  assert.equal(cosineSimilarity([1, 0], [-1, 0]), -1);
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for the rule-based query rewriter and multi-query merging (scripts/query-rewriters/)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQueryRewriter } from '../scripts/query-rewriters/index.js';
+import { mergeResultLists } from '../scripts/query-rewriters/merge-results.js';
+
+const rewriter = createQueryRewriter('rules');
+
+test('abbreviations and plain wording become CamelCase Xeto type names', async () => {
+  assert.deepEqual(await rewriter.rewrite('AHU and VAV boxes', 3), {
+    queries: ['Ahu and Vav boxes', 'Ahu Vav'],
+    usage: null
+  });
+  assert.deepEqual((await rewriter.rewrite('What is an air handler?', 3)).queries, ['What is an Ahu?', 'Ahu']);
+  assert.deepEqual((await rewriter.rewrite('Which sensor reads carbon dioxide?', 3)).queries, [
+    'Which sensor reads Co2Sensor Co2Point?',
+    'Co2Sensor Co2Point'
+  ]);
+});
+
+test('the most specific phrase wins over a shorter one it contains', async () => {
+  const { queries } = await rewriter.rewrite('discharge air temp readings', 3);
+  assert.deepEqual(queries, ['DischargeAirTempSensor readings', 'DischargeAirTempSensor']);
+});
+
+test('combination rules add a type when all of their words appear', async () => {
+  const { queries } = await rewriter.rewrite('How do I measure CO2 in a zone?', 3);
+  assert.deepEqual(queries, ['How do I measure Co2Sensor Co2Point in a zone?', 'Co2Sensor Co2Point ZoneCo2Sensor']);
+
+  const setpoint = await rewriter.rewrite('zone temperature setpoint', 3);
+  assert.deepEqual(setpoint.queries, ['ZoneAirTempSp']);
+});
+
+test('queries without known wording are not rewritten, and count limits the output', async () => {
+  assert.deepEqual(await rewriter.rewrite('What is a chiller?', 3), { queries: [], usage: null });
+  assert.deepEqual((await rewriter.rewrite('What is an air handler?', 1)).queries, ['What is an Ahu?']);
+});
+
+test('merging de-duplicates documents and ranks documents found by several queries first', () => {
+  const original = [{ id: 1, scores: { similarity: 0.9 } }, { id: 2, scores: { similarity: 0.8 } }];
+  const rewritten = [{ id: 2, scores: { similarity: 0.7 } }, { id: 3, scores: { similarity: 0.6 } }];
+
+  const merged = mergeResultLists([original, rewritten], 5);
+  assert.deepEqual(merged.map(result => result.id), [2, 1, 3]);
+  assert.deepEqual(merged[0].scores, {
+    similarity: 0.8,
+    multiQueryScore: 1 / 62 + 1 / 61,
+    multiQueryHits: 2
+  });
+  assert.equal(merged[1].scores.multiQueryHits, 1);
+});
+
+test('merging ranks by the best positions and keeps one copy per document', () => {
+  // Document 3 is first in the rewritten list, document 4 only third, and neither is in the original
+  const merged = mergeResultLists([
+    [{ id: 1, scores: { source: 'original' } }, { id: 2 }],
+    [{ id: 3 }, { id: 1, scores: { source: 'rewritten' } }, { id: 4 }]
+  ], 10);
+  assert.deepEqual(merged.map(result => result.id), [1, 3, 2, 4]);
+  assert.equal(merged.filter(result => result.id === 1).length, 1);
+  assert.equal(merged[0].scores.source, 'original');
+
+  // Equal scores keep the order in which documents were first seen
+  const tied = mergeResultLists([[{ id: 1 }, { id: 2 }], [{ id: 2 }, { id: 1 }]], 2);
+  assert.deepEqual(tied.map(result => result.id), [1, 2]);
+  assert.equal(tied[0].scores.multiQueryScore, tied[1].scores.multiQueryScore);
+
+  const single = mergeResultLists([[{ id: 1 }, { id: 2 }, { id: 3 }]], 2);
+  assert.deepEqual(single.map(result => result.scores.multiQueryScore), [1 / 61, 1 / 62]);
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for reference answer scoring (scripts/evaluation/reference-answers.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenF1, scoreReferenceAnswer } from '../scripts/evaluation/reference-answers.js';
+
+const ZERO = { precision: 0, recall: 0, f1: 0 };
+
+test('identical answers score 1, ignoring case, punctuation and articles', () => {
+  assert.deepEqual(tokenF1('The Co2Sensor measures CO2.', 'a co2sensor measures co2'), { precision: 1, recall: 1, f1: 1 });
+});
+
+test('an empty response or reference scores 0', () => {
+  assert.deepEqual(tokenF1('', 'A sensor that measures CO2'), ZERO);
+  assert.deepEqual(tokenF1('A sensor that measures CO2', ''), ZERO);
+  assert.deepEqual(tokenF1(null, undefined), ZERO);
+});
+
+test('text made only of articles has no tokens', () => {
+  assert.deepEqual(tokenF1('the a an', 'A sensor'), ZERO);
+  assert.deepEqual(tokenF1('A sensor', 'The.'), ZERO);
+});
+
+test('repeated tokens only match as often as they appear in the other text', () => {
+  assert.deepEqual(tokenF1('the sensor sensor', 'a sensor'), { precision: 1 / 2, recall: 1, f1: 2 / 3 });
+  assert.deepEqual(tokenF1('sensor', 'sensor sensor point'), { precision: 1, recall: 1 / 3, f1: 1 / 2 });
+});
+
+test('partial overlap scores between 0 and 1, no overlap scores 0', () => {
+  assert.equal(tokenF1('Measures humidity', 'Measures CO2').f1, 0.5);
+  assert.deepEqual(tokenF1('humidity', 'CO2'), ZERO);
+});
+
+test('queries without a reference answer get null scores', async () => {
+  const embed = async () => assert.fail('no embedding is needed without a reference');
+  const expected = { semanticSimilarity: null, tokenF1: null, tokenPrecision: null, tokenRecall: null };
+  assert.deepEqual(await scoreReferenceAnswer('A sensor', null, { embed }), expected);
+  assert.deepEqual(await scoreReferenceAnswer('A sensor', '  ', { embed }), expected);
+});
+
+test('a reference answer is scored by tokens and embeddings', async () => {
+  const embed = async text => (text.includes('CO2') ? [1, 0] : [0, 1]);
+  assert.deepEqual(await scoreReferenceAnswer('', 'Measures CO2', { embed }), {
+    semanticSimilarity: 0,
+    tokenF1: 0,
+    tokenPrecision: 0,
+    tokenRecall: 0
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests for retrieval quality metrics (scripts/evaluation/retrieval-metrics.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreRetrieval, summarizeRetrievalMetrics } from '../scripts/evaluation/retrieval-metrics.js';
+
+test('unlabelled queries get null metrics', () => {
+  const expected = { hitRate: null, recallAtK: null, precisionAtK: null, mrr: null, ndcg: null };
+  assert.deepEqual(scoreRetrieval([['Co2Sensor']], null, 5), expected);
+  assert.deepEqual(scoreRetrieval([['Co2Sensor']], [], 5), expected);
+});
+
+test('a perfect retrieval scores 1 on every metric', () => {
+  assert.deepEqual(
+    scoreRetrieval([['Co2Sensor'], ['Co2Point']], ['Co2Sensor', 'Co2Point'], 2),
+    { hitRate: 1, recallAtK: 1, precisionAtK: 1, mrr: 1, ndcg: 1 }
+  );
+});
+
+test('precision is divided by k, not by the number of results', () => {
+  const scores = scoreRetrieval([['Co2Sensor']], ['Co2Sensor'], 5);
+  assert.equal(scores.precisionAtK, 1 / 5);
+  assert.equal(scores.recallAtK, 1);
+});
+
+test('only the first row of each label gains DCG', () => {
+  // Two chunks of Co2Sensor: the duplicate counts for precision but not for recall or nDCG
+  const scores = scoreRetrieval([['Co2Sensor'], ['Co2Sensor'], ['Co2Point']], ['Co2Sensor', 'Co2Point'], 3);
+  const idealDcg = 1 + 1 / Math.log2(3);
+  assert.equal(scores.ndcg, (1 + 1 / Math.log2(4)) / idealDcg);
+  assert.equal(scores.recallAtK, 1);
+  assert.equal(scores.precisionAtK, 1);
+
+  const duplicatesOnly = scoreRetrieval([['Co2Sensor'], ['Co2Sensor']], ['Co2Sensor'], 2);
+  assert.equal(duplicatesOnly.ndcg, 1);
+});
+
+test('a row matching by spec name or file path is relevant once', () => {
+  const scores = scoreRetrieval([['Co2Sensor', 'lib/co2.xeto']], ['Co2Sensor', 'lib/co2.xeto'], 2);
+  assert.equal(scores.recallAtK, 1);
+  assert.equal(scores.precisionAtK, 1 / 2);
+});
+
+test('mrr uses the rank of the first relevant row and rows beyond k are ignored', () => {
+  const scores = scoreRetrieval([['AirTempSensor'], ['Co2Point'], ['Co2Sensor']], ['Co2Sensor'], 2);
+  assert.deepEqual(scores, { hitRate: 0, recallAtK: 0, precisionAtK: 0, mrr: 0, ndcg: 0 });
+
+  assert.equal(scoreRetrieval([['AirTempSensor'], ['Co2Sensor']], ['Co2Sensor'], 2).mrr, 1 / 2);
+});
+
+test('with k smaller than the number of labels, ideal DCG only counts k ranks', () => {
+  const scores = scoreRetrieval([['Co2Sensor'], ['Co2Point']], ['Co2Sensor', 'Co2Point', 'ZoneCo2Sensor'], 2);
+  assert.equal(scores.ndcg, 1);
+  assert.equal(scores.recallAtK, 2 / 3);
+  assert.equal(scores.precisionAtK, 1);
+});
+
+test('summaries average labelled results only', () => {
+  const summary = summarizeRetrievalMetrics([
+    { metrics: { hitRate: 1, recallAtK: 1, precisionAtK: 0.5, mrr: 1, ndcg: 1 } },
+    { metrics: { hitRate: 0, recallAtK: 0, precisionAtK: 0, mrr: 0, ndcg: 0 } },
+    { metrics: { hitRate: null, recallAtK: null, precisionAtK: null, mrr: null, ndcg: null } }
+  ]);
+  assert.deepEqual(summary, { labelledQueries: 2, hitRate: 0.5, recallAtK: 0.5, precisionAtK: 0.25, mrr: 0.5, ndcg: 0.5 });
+  assert.equal(summarizeRetrievalMetrics([{ metrics: {} }]), null);
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for score normalization SQL (scripts/strategies/score-normalization.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_NORMALIZATION,
+  resolveNormalization,
+  normalizeScoreSql,
+  missingScoreFloorSql
+} from '../scripts/strategies/score-normalization.js';
+
+/**
+ * Collapse the whitespace of generated SQL so it can be compared on one line
+ */
+function compact(sql) {
+  return sql.replace(/\s+/g, ' ').replace(/\( /g, '(').replace(/ \)/g, ')').trim();
+}
+
+test('modes are validated and default to none', () => {
+  assert.equal(DEFAULT_NORMALIZATION, 'none');
+  assert.equal(resolveNormalization(undefined), 'none');
+  assert.equal(resolveNormalization(''), 'none');
+  assert.equal(resolveNormalization('zscore'), 'zscore');
+  assert.throws(() => resolveNormalization('softmax'), /Unknown score normalization 'softmax'\. Available modes: none, minmax, zscore, rank/);
+  assert.throws(() => normalizeScoreSql('score', 'softmax'), /Unknown score normalization/);
+});
+
+test('none keeps the raw score column', () => {
+  assert.equal(normalizeScoreSql('similarity', 'none'), 'similarity');
+  assert.equal(normalizeScoreSql('similarity'), 'similarity');
+});
+
+test('minmax scores 1 when every candidate has the same score', () => {
+  // max - min is 0 for equal scores (and for a single candidate): NULLIF turns the division into NULL
+  assert.equal(
+    compact(normalizeScoreSql('similarity', 'minmax')),
+    'COALESCE((similarity - MIN(similarity) OVER ()) / NULLIF(MAX(similarity) OVER () - MIN(similarity) OVER (), 0), 1.0)'
+  );
+});
+
+test('zscore scores 0 when every candidate has the same score', () => {
+  // The population standard deviation of equal scores (or of one candidate) is 0
+  assert.equal(
+    compact(normalizeScoreSql('similarity', 'zscore')),
+    'COALESCE((similarity - AVG(similarity) OVER ()) / NULLIF(STDDEV_POP(similarity) OVER (), 0), 0.0)'
+  );
+});
+
+test('rank scores the best candidate 1 and a single candidate 1', () => {
+  // With n = 1 and rank 1: (1 - 1 + 1) / 1; ties share a rank, so equal scores all get 1
+  assert.equal(
+    compact(normalizeScoreSql('similarity', 'rank')),
+    '(COUNT(*) OVER () - RANK() OVER (ORDER BY similarity DESC) + 1)::float / COUNT(*) OVER ()'
+  );
+});
+
+test('missing scores get the floor of their source, never above 0', () => {
+  assert.equal(
+    missingScoreFloorSql('v.vector_score', 'vector_normalized', 'vector_score'),
+    'COALESCE(v.vector_score, LEAST(0, (SELECT MIN(vector_score) FROM vector_normalized)))'
+  );
+});
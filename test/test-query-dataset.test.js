@@ -0,0 +1,131 @@
+/**
+ * Tests for test query datasets (scripts/datasets/test-query-dataset.js)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  readDataset,
+  writeDataset,
+  serializeDataset,
+  validateTestQuery,
+  deduplicateTestQueries,
+  getQueryKey
+} from '../scripts/datasets/test-query-dataset.js';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'test-query-dataset-'));
+after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+// Queries with every CSV special case: quoted commas, doubled quotes, line breaks, '|' lists
+const QUERIES = [
+  {
+    category: 'basic',
+    query_text: 'What is Co2Sensor, and "why" does it matter?',
+    expected_keywords: ['Co2Sensor', 'carbon, dioxide', 'say "ppm"'],
+    difficulty_level: 2,
+    relevant_documents: ['Co2Sensor', 'lib/co2.xeto'],
+    rubric: 'Names the unit.\nMentions "ppm", the usual unit.',
+    reference_answer: 'A sensor that measures CO2,\r\nusually in ppm.'
+  },
+  {
+    category: 'functional',
+    query_text: 'How do I measure CO2 in a zone?',
+    expected_keywords: ['zone'],
+    difficulty_level: 1,
+    relevant_documents: null,
+    rubric: null,
+    reference_answer: null
+  }
+];
+
+/**
+ * Write queries to a dataset file and read them back
+ */
+async function roundTrip(name, queries) {
+  const file = path.join(tempDir, name);
+  await writeDataset(file, queries);
+  return readDataset(file);
+}
+
+test('CSV round-trips quoted commas, doubled quotes, line breaks and lists', async () => {
+  const { queries, duplicates } = await roundTrip('round-trip.csv', QUERIES);
+  assert.deepEqual(queries.map(({ id, ...query }) => query), QUERIES);
+  assert.deepEqual(duplicates, []);
+});
+
+test('JSONL round-trips the same queries', async () => {
+  const { queries } = await roundTrip('round-trip.jsonl', QUERIES);
+  assert.deepEqual(queries.map(({ id, ...query }) => query), QUERIES);
+  assert.deepEqual(queries.map(query => query.id), ['round-trip.jsonl:1', 'round-trip.jsonl:2']);
+});
+
+test('CSV query ids use the line a row starts on', async () => {
+  const { queries } = await roundTrip('lines.csv', QUERIES);
+  // The header is line 1 and the first row spans lines 2 to 4
+  assert.deepEqual(queries.map(query => query.id), ['lines.csv:2', 'lines.csv:5']);
+});
+
+test('CSV cells are quoted only when needed', () => {
+  const csv = serializeDataset(QUERIES.slice(1), 'csv');
+  assert.equal(csv, [
+    'category,query_text,expected_keywords,difficulty_level,relevant_documents,rubric,reference_answer',
+    'functional,How do I measure CO2 in a zone?,zone,1,,,',
+    ''
+  ].join('\n'));
+});
+
+test('a valid entry has no problems', () => {
+  assert.deepEqual(validateTestQuery(QUERIES[0]), []);
+  assert.deepEqual(validateTestQuery({ category: 'basic', query_text: 'x', expected_keywords: ['x'], difficulty_level: '3' }), []);
+});
+
+test('invalid entries list every problem', () => {
+  assert.deepEqual(validateTestQuery(['basic']), ['expected an object of test query fields']);
+  assert.deepEqual(validateTestQuery({ category: ' ', query_text: 'x', expected_keywords: [' '], difficulty_level: 6, extra: 1 }), [
+    'unknown fields extra (expected category, query_text, expected_keywords, difficulty_level, relevant_documents, rubric, reference_answer)',
+    'category is required',
+    'expected_keywords must be a non-empty list of keywords',
+    "difficulty_level must be an integer from 1 to 5, got '6'"
+  ]);
+  assert.deepEqual(validateTestQuery({ category: 'basic', query_text: 'x', expected_keywords: ['x'], difficulty_level: 1.5, relevant_documents: 'Co2Sensor', rubric: 3 }), [
+    'relevant_documents must be a list of spec names or document keys',
+    "difficulty_level must be an integer from 1 to 5, got '1.5'",
+    'rubric must be text'
+  ]);
+});
+
+test('invalid files are rejected with the line of each problem', async () => {
+  const file = path.join(tempDir, 'invalid.jsonl');
+  await fs.writeFile(file, '{"category":"basic","query_text":"x","expected_keywords":["x"]}\n\nnot json\n{"category":"basic","expected_keywords":[]}\n');
+  await assert.rejects(readDataset(file), error => {
+    assert.match(error.message, /line 3: invalid JSON/);
+    assert.match(error.message, /line 4: query_text is required/);
+    assert.match(error.message, /line 4: expected_keywords must be a non-empty list of keywords/);
+    return true;
+  });
+
+  const csv = path.join(tempDir, 'columns.csv');
+  await fs.writeFile(csv, 'category,query_text,expected_keywords\nbasic,x\n');
+  await assert.rejects(readDataset(csv), /line 2: expected 3 columns, got 2/);
+});
+
+test('repeated query texts are dropped, ignoring case and whitespace', async () => {
+  assert.equal(getQueryKey('  What is  Co2Sensor? '), 'what is co2sensor?');
+
+  const queries = [
+    { query_text: 'What is Co2Sensor?' },
+    { query_text: 'what  is co2sensor?' },
+    { query_text: 'What is Co2Point?' }
+  ];
+  assert.deepEqual(deduplicateTestQueries(queries), {
+    unique: [queries[0], queries[2]],
+    duplicates: ['what  is co2sensor?']
+  });
+
+  const { queries: read, duplicates } = await roundTrip('duplicates.jsonl', [QUERIES[1], { ...QUERIES[1], query_text: 'HOW do I measure co2 in a zone?' }]);
+  assert.equal(read.length, 1);
+  assert.deepEqual(duplicates, ['HOW do I measure co2 in a zone?']);
+});
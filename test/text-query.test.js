@@ -0,0 +1,94 @@
+/**
+ * Tests for the lexical search query parser (scripts/strategies/text-query.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTextQuery, tsquerySql } from '../scripts/strategies/text-query.js';
+
+// A to_tsquery input built from quoted lexemes, optionally prefix-matched, joined by OR
+const SAFE_TERMS_QUERY = /^'[\p{Ll}\p{N}]+'(:\*)?( \| '[\p{Ll}\p{N}]+'(:\*)?)*$/u;
+
+test('empty input produces an empty query that matches nothing', () => {
+  for (const queryText of ['', '   ', null, undefined]) {
+    const parsed = parseTextQuery(queryText);
+    assert.equal(parsed.mode, 'empty');
+    assert.equal(parsed.text, '');
+    assert.deepEqual(parsed.terms, []);
+    assert.equal(parsed.phrasePattern, null);
+  }
+  assert.equal(tsquerySql(parseTextQuery(''), '$4'), "to_tsquery('english', NULLIF($4, ''))");
+});
+
+test('stop-word-only input produces an empty query', () => {
+  const parsed = parseTextQuery('the and or');
+  assert.equal(parsed.mode, 'empty');
+  assert.equal(parsed.text, '');
+  assert.equal(parsed.phrasePattern, '%the and or%');
+});
+
+test('tsquery reserved characters never reach the tsquery', () => {
+  const reserved = parseTextQuery("&|!():*<>'\\");
+  assert.equal(reserved.mode, 'empty');
+  assert.equal(reserved.text, '');
+
+  const mixed = parseTextQuery("co2 & (sensor) | !fan:* <-> 'x'");
+  assert.equal(mixed.mode, 'terms');
+  assert.match(mixed.text, SAFE_TERMS_QUERY);
+  assert.deepEqual(mixed.terms.map(term => term.lexeme), ['co2', 'sensor', 'fan', 'carbon', 'dioxide']);
+});
+
+test('ILIKE wildcards in the phrase pattern are escaped', () => {
+  assert.equal(parseTextQuery('100% _fan').phrasePattern, '%100\\% \\_fan%');
+});
+
+test('unbalanced quotes are parsed as plain terms', () => {
+  for (const queryText of ['"air handler', 'air handler"', 'air "handler']) {
+    const parsed = parseTextQuery(queryText);
+    assert.equal(parsed.mode, 'terms');
+    assert.equal(parsed.text, "'air' | 'handler'");
+  }
+});
+
+test('balanced quotes are web search syntax', () => {
+  const parsed = parseTextQuery('"air handler" fan');
+  assert.equal(parsed.mode, 'websearch');
+  assert.equal(parsed.text, '"air handler" fan');
+  assert.equal(tsquerySql(parsed, '$2'), "websearch_to_tsquery('english', NULLIF($2, ''))");
+});
+
+test('a leading - excludes a word only when it is attached to the word', () => {
+  assert.equal(parseTextQuery('-fan coil').mode, 'websearch');
+  assert.equal(parseTextQuery('coil -fan').mode, 'websearch');
+
+  const detached = parseTextQuery('- fan');
+  assert.equal(detached.mode, 'terms');
+  assert.equal(detached.text, "'fan'");
+
+  assert.equal(parseTextQuery('air-handler').mode, 'terms');
+});
+
+test('only an uppercase OR between terms is web search syntax', () => {
+  assert.equal(parseTextQuery('vav OR ahu').mode, 'websearch');
+
+  const question = parseTextQuery('sensor or meter for co2');
+  assert.equal(question.mode, 'terms');
+  assert.equal(question.text, "'sensor' | 'meter' | 'co2':* | 'carbon' | 'dioxide'");
+});
+
+test('CamelCase identifiers are prefix-matched and expanded', () => {
+  const parsed = parseTextQuery('ZoneAirTempSensor');
+  assert.equal(parsed.mode, 'terms');
+  assert.equal(parsed.text, "'zoneairtempsensor':* | 'zone' | 'air' | 'temp' | 'sensor' | 'temperature'");
+  assert.deepEqual(parsed.terms[0], { word: 'ZoneAirTempSensor', lexeme: 'zoneairtempsensor', prefix: true });
+});
+
+test('alphanumeric names and abbreviations are expanded without duplicates', () => {
+  const parsed = parseTextQuery('Co2Sensor for AHU');
+  assert.match(parsed.text, SAFE_TERMS_QUERY);
+  assert.deepEqual(
+    parsed.terms.map(term => term.lexeme),
+    ['co2sensor', 'ahu', 'co2', 'sensor', 'carbon', 'dioxide', 'air', 'handling', 'unit']
+  );
+  assert.deepEqual(parsed.terms.filter(term => term.prefix).map(term => term.lexeme), ['co2sensor']);
+});
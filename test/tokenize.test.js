@@ -0,0 +1,27 @@
+/**
+ * Tests for the shared tokenizer (scripts/text/tokenize.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STOP_WORDS, splitWords, tokenize } from '../scripts/text/tokenize.js';
+import { parseTextQuery } from '../scripts/strategies/text-query.js';
+
+test('words are lowercased and split on punctuation, keeping repeats', () => {
+  assert.deepEqual(splitWords('The Sensor, the sensor!'), ['the', 'sensor', 'the', 'sensor']);
+  assert.deepEqual(splitWords(''), []);
+  assert.deepEqual(splitWords(null), []);
+});
+
+test('terms are unique and exclude stop words and single characters', () => {
+  assert.deepEqual(tokenize('Show me all the sensors of a VAV x'), ['sensors', 'vav']);
+});
+
+test('extra stop words and plural folding are optional', () => {
+  assert.deepEqual(tokenize('A complete answer covers sensors', { extraStopWords: ['complete', 'answer', 'covers'] }), ['sensors']);
+  assert.deepEqual(tokenize('sensors sensor class', { foldPlurals: true }), ['sensor', 'class']);
+});
+
+test('the lexical search parser uses the shared stop words', () => {
+  assert.equal(parseTextQuery(STOP_WORDS.join(' ')).mode, 'empty');
+});